@@ -1,6 +1,6 @@
 // Core initialization
 export { initLaikaTest, shutdown } from './init';
-export { LaikaConfig } from './types';
+export { LaikaConfig, Logger, LogLevel } from './types';
 
 // Session and user context (with AsyncLocalStorage support)
 export {
@@ -2,6 +2,7 @@
  * Unit tests for init.ts - SDK initialization and shutdown
  */
 
+import { diag } from '@opentelemetry/api';
 import { initLaikaTest, shutdown } from './init';
 
 // Mock the OpenTelemetry SDK
@@ -77,6 +78,28 @@ describe('initLaikaTest', () => {
     expect(consoleSpy).toHaveBeenCalledWith('[LaikaTest] Already initialized, skipping');
     consoleSpy.mockRestore();
   });
+
+  test('sends logs to the configured logger at its level', async () => {
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+    initLaikaTest({ apiKey: 'test-key', serviceName: 'test-service', logger, logLevel: 'warn' });
+    initLaikaTest({ apiKey: 'test-key', serviceName: 'test-service' });
+
+    expect(logger.info).not.toHaveBeenCalled();
+    expect(logger.warn).toHaveBeenCalledWith({}, 'Already initialized, skipping');
+  });
+
+  test('debug mode logs setup and OpenTelemetry diagnostics with the API key redacted', () => {
+    const logger = { debug: jest.fn(), info: jest.fn() };
+
+    initLaikaTest({ apiKey: 'secret-key', logger, debug: true, endpoint: 'https://collector/v1?key=secret-key' });
+    diag.debug('exporter ready');
+    diag.disable();
+
+    expect(logger.debug).toHaveBeenCalledWith(expect.objectContaining({ endpoint: 'https://collector/v1?key=[REDACTED]' }), 'Exporting traces');
+    expect(logger.debug).toHaveBeenCalledWith({}, '[otel] exporter ready');
+    expect(logger.info).toHaveBeenCalledWith({}, 'OpenTelemetry initialized');
+  });
 });
 
 describe('shutdown', () => {
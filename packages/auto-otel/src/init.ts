@@ -5,11 +5,12 @@ import { ATTR_SERVICE_NAME } from '@opentelemetry/semantic-conventions';
 import { HttpInstrumentation } from '@opentelemetry/instrumentation-http';
 import { OpenAIInstrumentation } from '@opentelemetry/instrumentation-openai';
 import { BatchSpanProcessor } from '@opentelemetry/sdk-trace-base';
-import { diag, DiagConsoleLogger, DiagLogLevel } from '@opentelemetry/api';
+import { diag, DiagLogLevel } from '@opentelemetry/api';
 import { LaikaConfig } from './types';
 import { LaikaSpanProcessor } from './laikaSpanProcessor';
 import { setSessionId, setUserId } from './context';
 import { setProperties } from './properties';
+import { createLogger, getLogger, setLogger, toDiagLogger } from './logger';
 import * as path from 'path';
 import * as fs from 'fs';
 
@@ -27,9 +28,9 @@ function getPackageJson(): { name?: string; version?: string } | null {
       return JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
     }
   } catch (error) {
-    console.warn(
-      '[LaikaTest] Failed to read package.json:',
-      error instanceof Error ? error.message : String(error)
+    getLogger().warn(
+      { error: error instanceof Error ? error.message : String(error) },
+      'Failed to read package.json'
     );
   }
   return null;
@@ -96,9 +97,9 @@ export async function shutdown(): Promise<void> {
   if (sdk) {
     try {
       await sdk.shutdown();
-      console.log('[LaikaTest] SDK shut down');
+      getLogger().info({}, 'SDK shut down');
     } catch (error) {
-      console.error('[LaikaTest] Error during SDK shutdown:', error);
+      getLogger().error({ error }, 'Error during SDK shutdown');
     } finally {
       sdk = null;
     }
@@ -112,7 +113,7 @@ function setupShutdown(): void {
       await shutdown();
       process.exit(0);
     } catch (error) {
-      console.error('[LaikaTest] Shutdown failed:', error);
+      getLogger().error({ error }, 'Shutdown failed');
       process.exit(1);
     }
   };
@@ -142,9 +143,9 @@ function validateConfig(config: LaikaConfig): void {
   }
 }
 
-// Enables OpenTelemetry diagnostic logging
+// Routes OpenTelemetry diagnostic logging through the SDK logger
 function enableDebugLogging(): void {
-  diag.setLogger(new DiagConsoleLogger(), DiagLogLevel.DEBUG);
+  diag.setLogger(toDiagLogger(getLogger()), DiagLogLevel.DEBUG);
 }
 
 // Initializes context from config options
@@ -177,11 +178,12 @@ function initializeContext(config: LaikaConfig): void {
 // Initializes LaikaTest OpenTelemetry SDK with tracing and HTTP instrumentation
 export function initLaikaTest(config: LaikaConfig): void {
   if (sdk) {
-    console.warn('[LaikaTest] Already initialized, skipping');
+    getLogger().warn({}, 'Already initialized, skipping');
     return;
   }
 
   validateConfig(config);
+  setLogger(createLogger(config, config.apiKey));
 
   if (config.debug) {
     enableDebugLogging();
@@ -191,7 +193,7 @@ export function initLaikaTest(config: LaikaConfig): void {
   const serviceName = config.serviceName || autoDetectServiceName();
 
   if (config.debug && !config.serviceName) {
-    console.log(`[LaikaTest] Auto-detected service name: ${serviceName}`);
+    getLogger().debug({ serviceName }, 'Auto-detected service name');
   }
 
   const exporter = createExporter(config);
@@ -212,10 +214,14 @@ export function initLaikaTest(config: LaikaConfig): void {
     initializeContext(config);
 
     setupShutdown();
-    console.log('[LaikaTest] OpenTelemetry initialized');
+    getLogger().info({}, 'OpenTelemetry initialized');
+    getLogger().debug(
+      { serviceName, endpoint: config.endpoint || DEFAULT_ENDPOINT, captureContent: config.captureContent ?? false },
+      'Exporting traces'
+    );
   } catch (error) {
     sdk = null;
-    console.error('[LaikaTest] Failed to start OpenTelemetry SDK:', error);
+    getLogger().error({ error }, 'Failed to start OpenTelemetry SDK');
     throw error;
   }
 }
@@ -10,9 +10,9 @@ import { Context } from '@opentelemetry/api';
 
 // Mock span for testing
 class MockSpan {
-  attributes: Record<string, string | number | boolean> = {};
+  attributes: Record<string, string | number | boolean | string[]> = {};
 
-  setAttribute(key: string, value: string | number | boolean): void {
+  setAttribute(key: string, value: string | number | boolean | string[]): void {
     this.attributes[key] = value;
   }
 }
@@ -138,6 +138,10 @@ describe('LaikaSpanProcessor - Experiment Context', () => {
     jest.resetModules();
   });
 
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
   test('does not inject experiment attributes when client not installed', () => {
     const mockSpan = new MockSpan();
     processor.onStart(mockSpan as any, mockContext);
@@ -145,6 +149,37 @@ describe('LaikaSpanProcessor - Experiment Context', () => {
     expect(mockSpan.attributes['laikatest.experiment.variant_id']).toBeUndefined();
   });
 
+  test('injects the most recent experiment and lists all active experiments', () => {
+    const client = require('@laikatest/js-client');
+    jest.spyOn(client, 'getCurrentExperiments').mockReturnValue([
+      { experimentId: 'exp-1', variantId: 'var-1', userId: 'user-1' },
+      { experimentId: 'exp-2', variantId: 'var-2', userId: null }
+    ]);
+
+    const mockSpan = new MockSpan();
+    processor.onStart(mockSpan as any, mockContext);
+
+    expect(mockSpan.attributes['laikatest.experiment.id']).toBe('exp-2');
+    expect(mockSpan.attributes['laikatest.experiment.variant_id']).toBe('var-2');
+    expect(mockSpan.attributes['laikatest.experiment.user_id']).toBeUndefined();
+    expect(mockSpan.attributes['laikatest.experiment.ids']).toEqual(['exp-1', 'exp-2']);
+    expect(mockSpan.attributes['laikatest.experiment.variant_ids']).toEqual(['var-1', 'var-2']);
+  });
+
+  test('supports clients that only expose getCurrentExperiment', () => {
+    const client = require('@laikatest/js-client');
+    // Fresh module instance per test (resetModules), so deleting is safe
+    delete client.getCurrentExperiments;
+    jest.spyOn(client, 'getCurrentExperiment').mockReturnValue({ experimentId: 'exp-1', variantId: 'var-1', userId: 'user-1' });
+
+    const mockSpan = new MockSpan();
+    processor.onStart(mockSpan as any, mockContext);
+
+    expect(mockSpan.attributes['laikatest.experiment.id']).toBe('exp-1');
+    expect(mockSpan.attributes['laikatest.experiment.user_id']).toBe('user-1');
+    expect(mockSpan.attributes['laikatest.experiment.ids']).toBeUndefined();
+  });
+
   test('logs error for unexpected require errors', () => {
     const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
 
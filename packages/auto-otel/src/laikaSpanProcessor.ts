@@ -7,27 +7,40 @@ import { SpanProcessor, ReadableSpan, Span } from '@opentelemetry/sdk-trace-base
 import { Context } from '@opentelemetry/api';
 import { getSessionId, getUserId } from './context';
 import { getProperties } from './properties';
+import { getLogger } from './logger';
+
+interface ExperimentContext {
+  experimentId: string;
+  variantId: string;
+  userId?: string | null;
+}
 
 /**
- * Retrieves current experiment context if @laikatest/js-client is installed.
- * Uses dynamic require to keep the client package optional - tracing works
- * standalone but gains experiment context injection when client is also used.
+ * Retrieves the experiments active in the current async context if
+ * @laikatest/js-client is installed, oldest first. Uses dynamic require to
+ * keep the client package optional - tracing works standalone but gains
+ * experiment context injection when client is also used.
  */
-function getExperimentContext(): { experimentId: string; variantId: string; userId?: string } | null {
+function getExperimentContexts(): ExperimentContext[] {
   try {
     const client = require('@laikatest/js-client');
+    if (client && typeof client.getCurrentExperiments === 'function') {
+      return client.getCurrentExperiments();
+    }
+    // Older clients only track a single experiment
     if (client && typeof client.getCurrentExperiment === 'function') {
-      return client.getCurrentExperiment();
+      const experiment = client.getCurrentExperiment();
+      return experiment ? [experiment] : [];
     }
-    return null;
+    return [];
   } catch (error: unknown) {
     // MODULE_NOT_FOUND is expected when client package is not installed
     if ((error as NodeJS.ErrnoException).code === 'MODULE_NOT_FOUND') {
-      return null;
+      return [];
     }
     // Log unexpected errors - they indicate real problems
-    console.error('[LaikaTest] Failed to get experiment context:', error);
-    return null;
+    getLogger().error({ error }, 'Failed to get experiment context');
+    return [];
   }
 }
 
@@ -52,8 +65,10 @@ export class LaikaSpanProcessor implements SpanProcessor {
       span.setAttribute(`laikatest.property.${key}`, value);
     });
 
-    // Inject experiment context if available
-    const experiment = getExperimentContext();
+    // Inject experiment context if available; single attributes carry the
+    // most recent experiment, list attributes carry all of them
+    const experiments = getExperimentContexts();
+    const experiment = experiments[experiments.length - 1];
     if (experiment) {
       span.setAttribute('laikatest.experiment.id', experiment.experimentId);
       span.setAttribute('laikatest.experiment.variant_id', experiment.variantId);
@@ -61,6 +76,10 @@ export class LaikaSpanProcessor implements SpanProcessor {
         span.setAttribute('laikatest.experiment.user_id', experiment.userId);
       }
     }
+    if (experiments.length > 1) {
+      span.setAttribute('laikatest.experiment.ids', experiments.map(e => e.experimentId));
+      span.setAttribute('laikatest.experiment.variant_ids', experiments.map(e => e.variantId));
+    }
   }
 
   // Context is injected on start; no end processing needed for LaikaTest attributes
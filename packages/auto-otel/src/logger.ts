@@ -0,0 +1,89 @@
+import { DiagLogger } from '@opentelemetry/api';
+import { Logger, LogLevel } from './types';
+
+const LOG_LEVELS: LogLevel[] = ['debug', 'info', 'warn', 'error', 'silent'];
+
+type LogMethod = 'debug' | 'info' | 'warn' | 'error';
+type LogFields = Record<string, unknown>;
+export type LevelLogger = Record<LogMethod, (fields: LogFields, message: string) => void>;
+
+const CONSOLE_METHODS: Record<LogMethod, 'debug' | 'log' | 'warn' | 'error'> = {
+  debug: 'debug',
+  info: 'log',
+  warn: 'warn',
+  error: 'error'
+};
+
+// Console output: prefixed message, then the fields if there are any
+const consoleLogger: Logger = {};
+(Object.keys(CONSOLE_METHODS) as LogMethod[]).forEach(method => {
+  consoleLogger[method] = (fields, message) => {
+    const text = `[LaikaTest] ${message}`;
+    console[CONSOLE_METHODS[method]](...(Object.keys(fields).length > 0 ? [text, fields] : [text]));
+  };
+});
+
+// The API key can show up in endpoints and diagnostics; mask it everywhere
+function hideKey(value: unknown, apiKey: string): unknown {
+  if (typeof value === 'string') {
+    return value.split(apiKey).join('[REDACTED]');
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => hideKey(item, apiKey));
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, hideKey(item, apiKey)]));
+  }
+  return value;
+}
+
+/**
+ * Logger at options.logLevel (else 'debug' with options.debug, else 'info')
+ * writing to options.logger or the console, with the API key masked.
+ */
+export function createLogger(
+  options: { logger?: Logger; logLevel?: LogLevel; debug?: boolean } = {},
+  apiKey?: string
+): LevelLogger {
+  const target = options.logger || consoleLogger;
+  const threshold = LOG_LEVELS.indexOf(options.logLevel || (options.debug ? 'debug' : 'info'));
+  const mask = <T>(value: T): T => (apiKey ? hideKey(value, apiKey) as T : value);
+
+  const write = (method: LogMethod) => (fields: LogFields, message: string): void => {
+    const fn = target[method];
+    if (LOG_LEVELS.indexOf(method) < threshold || typeof fn !== 'function') {
+      return;
+    }
+    try {
+      fn.call(target, mask(fields || {}), mask(message));
+    } catch (error) {
+      // A broken logger must not break tracing setup
+    }
+  };
+
+  return { debug: write('debug'), info: write('info'), warn: write('warn'), error: write('error') };
+}
+
+// Routes OpenTelemetry diagnostics through a LaikaTest logger
+export function toDiagLogger(logger: LevelLogger): DiagLogger {
+  const forward = (method: LogMethod) => (message: string, ...args: unknown[]) =>
+    logger[method](args.length > 0 ? { args } : {}, `[otel] ${message}`);
+  return {
+    verbose: forward('debug'),
+    debug: forward('debug'),
+    info: forward('info'),
+    warn: forward('warn'),
+    error: forward('error')
+  };
+}
+
+// Logger used by the package; replaced by initLaikaTest
+let activeLogger = createLogger();
+
+export function getLogger(): LevelLogger {
+  return activeLogger;
+}
+
+export function setLogger(logger: LevelLogger): void {
+  activeLogger = logger;
+}
@@ -1,3 +1,15 @@
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+/**
+ * Structured logger accepted by the logger option; missing methods are skipped
+ */
+export interface Logger {
+  debug?(fields: Record<string, unknown>, message: string): void;
+  info?(fields: Record<string, unknown>, message: string): void;
+  warn?(fields: Record<string, unknown>, message: string): void;
+  error?(fields: Record<string, unknown>, message: string): void;
+}
+
 /**
  * Configuration for LaikaTest OpenTelemetry SDK.
  * Matches PRD Path 1 - Greenfield integration.
@@ -18,8 +30,18 @@ export interface LaikaConfig {
   captureContent?: boolean;
   /** Optional callback for PII masking before export */
   maskingCallback?: ((text: string) => string) | null;
-  /** Enable debug logging. Default: false */
+  /**
+   * Enable debug logging: OpenTelemetry diagnostics and SDK decisions.
+   * Default: false
+   */
   debug?: boolean;
+  /**
+   * Where SDK logs go, called pino-style as logger.warn(fields, message).
+   * Default: the console, prefixed with [LaikaTest]
+   */
+  logger?: Logger;
+  /** Lowest level that is logged. Default: 'debug' with debug, else 'info' */
+  logLevel?: LogLevel;
 
   // Session tracking
   /** Static session ID for grouping related traces */
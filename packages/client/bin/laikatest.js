@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+// bin/laikatest.js
+// LaikaTest CLI entry point; see lib/cli.js
+
+const { run } = require('../lib/cli');
+
+run(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
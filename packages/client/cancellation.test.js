@@ -0,0 +1,191 @@
+/**
+ * Unit tests for AbortSignal and per-call timeout support
+ */
+
+const http = require('http');
+const { LaikaTest, NetworkError, TimeoutError, AbortError, ValidationError } = require('./index');
+const { makeHttpRequest } = require('./lib/http');
+
+const PROMPT = { success: true, data: { type: 'text', content: JSON.stringify([{ content: 'Hello' }]) } };
+const EXPERIMENT = {
+  success: true,
+  data: {
+    experimentId: 'exp-1',
+    bucketId: 'bucket-1',
+    prompt: { promptId: 'p1', promptVersionId: 'pv-1', type: 'text', content: JSON.stringify([{ content: 'Variant B' }]) }
+  }
+};
+
+// Local API that never answers prompts named "slow", experiments titled
+// "slow" or scores, and counts requests the client hung up on
+function startServer() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      server.requests.push(req.url);
+      res.on('close', () => {
+        if (!res.writableEnded) {
+          server.abandoned++;
+        }
+      });
+      res.setHeader('Content-Type', 'application/json');
+      const parsed = body ? JSON.parse(body) : {};
+      if (req.url.startsWith('/api/v1/prompts/by-name/slow') || parsed.experimentTitle === 'slow' || req.url.startsWith('/api/v1/scores')) {
+        return;
+      }
+      res.end(JSON.stringify(req.url.startsWith('/api/v3/experiments') ? EXPERIMENT : PROMPT));
+    });
+  });
+  server.requests = [];
+  server.abandoned = 0;
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function waitFor(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('cancellation and per-call timeouts', () => {
+  let server;
+  let baseUrl;
+  let client;
+
+  beforeEach(async () => {
+    server = await startServer();
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    client = new LaikaTest('test-key', { baseUrl, cacheEnabled: false });
+  });
+
+  afterEach(async () => {
+    await client.destroy();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('aborting getPrompt destroys the request and rejects with AbortError', async () => {
+    const controller = new AbortController();
+    const pending = client.getPrompt('slow', { signal: controller.signal });
+    await waitFor(() => server.requests.length === 1);
+    controller.abort('client went away');
+
+    const error = await pending.catch(e => e);
+    expect(error).toBeInstanceOf(AbortError);
+    expect(error).not.toBeInstanceOf(NetworkError);
+    expect(error.reason).toBe('client went away');
+    await waitFor(() => server.abandoned === 1);
+    expect(server.abandoned).toBe(1);
+  });
+
+  test('an already aborted signal sends no request', async () => {
+    const error = await client.getPrompt('greeting', { signal: AbortSignal.abort() }).catch(e => e);
+
+    expect(error).toBeInstanceOf(AbortError);
+    expect(server.requests).toEqual([]);
+  });
+
+  test('per-call timeout rejects with TimeoutError long before the client timeout', async () => {
+    const startedAt = Date.now();
+    const error = await client.getPrompt('slow', { timeout: 50 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.timeout).toBe(50);
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+    await waitFor(() => server.abandoned === 1);
+    expect(server.abandoned).toBe(1);
+  });
+
+  test('per-call timeout works without a global AbortController (Node.js 14)', async () => {
+    const { AbortController } = global;
+    delete global.AbortController;
+    try {
+      await expect(client.getPrompt('slow', { timeout: 50 })).rejects.toBeInstanceOf(TimeoutError);
+      await expect(client.getExperimentPrompt('slow', { userId: 'user-1' }, { timeout: 50 })).rejects.toBeInstanceOf(TimeoutError);
+    } finally {
+      global.AbortController = AbortController;
+    }
+    await waitFor(() => server.abandoned === 2);
+    expect(server.abandoned).toBe(2);
+  });
+
+  test('request attempts that exceed the client timeout reject with TimeoutError', async () => {
+    const error = await makeHttpRequest(`${baseUrl}/api/v1/prompts/by-name/slow`, { method: 'GET' }, 50).catch(e => e);
+
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error.message).toBe('Request timed out after 50ms');
+  });
+
+  test('a shared fetch survives one caller aborting and is destroyed once all have', async () => {
+    const first = new AbortController();
+    const second = new AbortController();
+    const firstCall = client.getPrompt('slow', { signal: first.signal });
+    const secondCall = client.getPrompt('slow', { signal: second.signal });
+    await waitFor(() => server.requests.length === 1);
+
+    first.abort();
+    await expect(firstCall).rejects.toBeInstanceOf(AbortError);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(server.abandoned).toBe(0);
+    expect(client.getStats().inFlightFetches).toBe(1);
+
+    second.abort();
+    await expect(secondCall).rejects.toBeInstanceOf(AbortError);
+    await waitFor(() => server.abandoned === 1);
+    expect(server.abandoned).toBe(1);
+    expect(client.getStats().inFlightFetches).toBe(0);
+    expect(server.requests).toHaveLength(1);
+  });
+
+  test('getExperimentPrompt and pushScore accept signal and timeout', async () => {
+    const controller = new AbortController();
+    const variant = await client.getExperimentPrompt('Checkout copy', { userId: 'user-1' }, { signal: controller.signal });
+    expect(variant.getContent()).toBe('Variant B');
+
+    const slow = client.getExperimentPrompt('slow', { userId: 'user-1' }, { signal: controller.signal });
+    await waitFor(() => server.requests.length === 2);
+    controller.abort();
+    await expect(slow).rejects.toBeInstanceOf(AbortError);
+
+    const score = await variant.pushScore([{ name: 'rating', type: 'int', value: 5 }], { userId: 'user-1', timeout: 50 }).catch(e => e);
+    expect(score).toBeInstanceOf(TimeoutError);
+    await waitFor(() => server.abandoned === 2);
+    expect(server.abandoned).toBe(2);
+  });
+
+  test('aborted and timed-out calls are neither retried nor counted by the circuit breaker', async () => {
+    const guarded = new LaikaTest('test-key', {
+      baseUrl,
+      cacheEnabled: false,
+      retry: { maxAttempts: 3, initialDelay: 10 },
+      circuitBreaker: { minimumRequests: 1 }
+    });
+    const controller = new AbortController();
+    const pending = guarded.getPrompt('slow', { signal: controller.signal });
+    await waitFor(() => server.requests.length === 1);
+    controller.abort();
+
+    await expect(pending).rejects.toBeInstanceOf(AbortError);
+    await expect(guarded.getExperimentPrompt('slow', { userId: 'user-1' }, { timeout: 50 })).rejects.toBeInstanceOf(TimeoutError);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(server.requests).toHaveLength(2);
+    expect(guarded.circuitBreaker.getStats()).toEqual(expect.objectContaining({ state: 'closed', requests: 0 }));
+    await guarded.destroy();
+  });
+
+  test('getPrompts reports prompts cut off by the batch timeout as failed', async () => {
+    const results = await client.getPrompts(['greeting', 'slow'], { timeout: 100 });
+
+    expect(results[0].prompt.getContent()).toBe('Hello');
+    expect(results[1].error).toBeInstanceOf(TimeoutError);
+  });
+
+  test('rejects invalid signal and timeout options', async () => {
+    await expect(client.getPrompt('greeting', { signal: {} })).rejects.toThrow(new ValidationError('signal must be an AbortSignal'));
+    await expect(client.getPrompt('greeting', { timeout: 0 })).rejects.toThrow('timeout must be positive');
+    await expect(client.flush({ timeout: 'soon' })).rejects.toThrow('timeout must be a number');
+    expect(server.requests).toEqual([]);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Unit tests for CircuitBreaker
+ */
+
+jest.mock('./lib/http', () => require('./test/helpers').httpMock());
+
+const { makeHttpRequest } = require('./lib/http');
+const { CircuitBreaker } = require('./lib/circuit_breaker');
+const { LaikaTest, CircuitOpenError, NetworkError } = require('./index');
+
+const failing = () => Promise.reject(new Error('ECONNREFUSED'));
+const ok = () => Promise.resolve({ statusCode: 200, data: '{}' });
+
+async function trip(breaker, times) {
+  for (let i = 0; i < times; i++) {
+    await breaker.execute(failing).catch(() => {});
+  }
+}
+
+describe('CircuitBreaker', () => {
+  let now;
+  let dateSpy;
+
+  beforeEach(() => {
+    now = 1000000;
+    dateSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    dateSpy.mockRestore();
+  });
+
+  test('stays closed until minimumRequests have been seen', async () => {
+    const breaker = new CircuitBreaker({ minimumRequests: 4 });
+    await trip(breaker, 3);
+    expect(breaker.getState()).toBe('closed');
+  });
+
+  test('opens when the failure rate reaches the threshold and emits events', async () => {
+    const breaker = new CircuitBreaker({ minimumRequests: 4, failureThreshold: 0.5 });
+    const changes = [];
+    breaker.on('stateChange', change => changes.push(change));
+
+    await breaker.execute(ok);
+    await breaker.execute(ok);
+    await trip(breaker, 2);
+
+    expect(breaker.getState()).toBe('open');
+    expect(changes).toEqual([{ from: 'closed', to: 'open' }]);
+  });
+
+  test('counts 5xx responses as failures but not 4xx', async () => {
+    const breaker = new CircuitBreaker({ minimumRequests: 2, failureThreshold: 0.6 });
+
+    await breaker.execute(() => Promise.resolve({ statusCode: 404 }));
+    await breaker.execute(() => Promise.resolve({ statusCode: 500 }));
+    expect(breaker.getState()).toBe('closed');
+
+    await breaker.execute(() => Promise.resolve({ statusCode: 503 }));
+    expect(breaker.getState()).toBe('open');
+  });
+
+  test('fails fast while open without calling the request', async () => {
+    const breaker = new CircuitBreaker({ minimumRequests: 1 });
+    await trip(breaker, 1);
+
+    const request = jest.fn(ok);
+    await expect(breaker.execute(request)).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(request).not.toHaveBeenCalled();
+  });
+
+  test('lets one trial through after resetTimeout and closes on success', async () => {
+    const breaker = new CircuitBreaker({ minimumRequests: 1, resetTimeout: 1000 });
+    await trip(breaker, 1);
+
+    now += 1000;
+    expect(breaker.getState()).toBe('half-open');
+
+    let release;
+    const trial = breaker.execute(() => new Promise(resolve => { release = resolve; }));
+    await expect(breaker.execute(ok)).rejects.toBeInstanceOf(CircuitOpenError);
+
+    release({ statusCode: 200 });
+    await trial;
+    expect(breaker.getState()).toBe('closed');
+  });
+
+  test('reopens when the trial request fails', async () => {
+    const breaker = new CircuitBreaker({ minimumRequests: 1, resetTimeout: 1000 });
+    await trip(breaker, 1);
+    now += 1000;
+
+    await breaker.execute(failing).catch(() => {});
+    expect(breaker.getState()).toBe('open');
+  });
+});
+
+describe('LaikaTest with circuitBreaker', () => {
+  beforeEach(() => {
+    makeHttpRequest.mockReset();
+    makeHttpRequest.mockRejectedValue(new Error('ECONNREFUSED'));
+  });
+
+  test('surfaces CircuitOpenError as a NetworkError and serves fallback prompts', async () => {
+    const client = new LaikaTest('test-key', {
+      cacheEnabled: false,
+      circuitBreaker: { minimumRequests: 1 },
+      fallbackPrompts: { greeting: 'Hello' }
+    });
+
+    await expect(client.getExperimentPrompt('exp')).rejects.toBeInstanceOf(NetworkError);
+    await expect(client.getExperimentPrompt('exp')).rejects.toBeInstanceOf(CircuitOpenError);
+
+    const prompt = await client.getPrompt('greeting');
+    expect(prompt.isFallback()).toBe(true);
+    expect(makeHttpRequest).toHaveBeenCalledTimes(1);
+
+    client.destroy();
+  });
+});
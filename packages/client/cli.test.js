@@ -0,0 +1,130 @@
+/**
+ * Unit tests for the laikatest CLI and the client lockfile option
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { run } = require('./lib/cli');
+const { LaikaTest, ValidationError } = require('./index');
+
+// Local API serving `prompts[name] = { version, content, type? }`; versionNumber picks older versions
+function startServer(prompts) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    requests.push(url);
+    const name = decodeURIComponent(url.pathname.replace('/api/v1/prompts/by-name/', ''));
+    const versions = prompts[name] || [];
+    const requested = url.searchParams.get('versionNumber');
+    const prompt = requested ? versions.find(v => String(v.version) === requested) : versions[versions.length - 1];
+    if (!prompt) {
+      res.statusCode = 404;
+      res.end(JSON.stringify({ success: false, error: 'Prompt not found' }));
+      return;
+    }
+    const type = prompt.type || 'text';
+    const content = JSON.stringify(type === 'text' ? [{ content: prompt.content }] : prompt.content);
+    res.end(JSON.stringify({ success: true, data: { type, content, versionNumber: prompt.version } }));
+  });
+  server.requests = requests;
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function output() {
+  const stream = { text: '', write(chunk) { stream.text += chunk; } };
+  return stream;
+}
+
+describe('laikatest CLI', () => {
+  let dir;
+  let server;
+  let stdout;
+  let stderr;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'laika-cli-'));
+    stdout = output();
+    stderr = output();
+    server = await startServer({
+      greeting: [{ version: 1, content: 'Hello' }, { version: 2, content: 'Hello\n{{name}}' }],
+      chat: [{ version: 4, type: 'chat', content: [{ role: 'system', content: 'Be nice' }] }]
+    });
+  });
+
+  afterEach(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function cli(...argv) {
+    const env = { LAIKATEST_API_KEY: 'test-key', LAIKATEST_BASE_URL: `http://127.0.0.1:${server.address().port}` };
+    return run(argv, { env, cwd: dir, stdout, stderr });
+  }
+
+  test('pull writes text and chat prompts as files', async () => {
+    expect(await cli('pull', 'greeting', 'chat')).toBe(0);
+
+    expect(fs.readFileSync(path.join(dir, 'prompts', 'greeting.txt'), 'utf8')).toBe('Hello\n{{name}}');
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'prompts', 'chat.json'), 'utf8'))).toEqual([{ role: 'system', content: 'Be nice' }]);
+    expect(stdout.text).toContain('Pulled greeting (version 2)');
+  });
+
+  test('diff reports local changes and exits with 1', async () => {
+    await cli('pull', 'greeting', 'chat');
+    expect(await cli('diff')).toBe(0);
+
+    fs.writeFileSync(path.join(dir, 'prompts', 'greeting.txt'), 'Hi\n{{name}}');
+    stdout.text = '';
+
+    expect(await cli('diff')).toBe(1);
+    expect(stdout.text).toContain('+++ greeting (remote version 2)');
+    expect(stdout.text).toContain('-Hi\n+Hello\n {{name}}');
+    expect(stdout.text).toContain('1 prompt(s) differ');
+  });
+
+  test('lock pins the latest versions and the client resolves them', async () => {
+    expect(await cli('lock', 'greeting', 'chat', '--lockfile', 'config/laika.lock.json')).toBe(0);
+
+    const lockfile = path.join(dir, 'config', 'laika.lock.json');
+    expect(JSON.parse(fs.readFileSync(lockfile, 'utf8'))).toEqual({ lockfileVersion: 1, prompts: { chat: '4', greeting: '2' } });
+
+    const client = new LaikaTest('test-key', { baseUrl: `http://127.0.0.1:${server.address().port}`, lockfile });
+    await client.getPrompt('greeting');
+    await client.getPrompt('greeting', { versionId: '1' });
+    await client.destroy();
+
+    const versions = server.requests.slice(-2).map(url => url.searchParams.get('versionNumber'));
+    expect(versions).toEqual(['2', '1']);
+  });
+
+  test('fails with usage errors and API errors', async () => {
+    expect(await cli('push')).toBe(2);
+    expect(stderr.text).toContain('Unknown command "push"');
+
+    expect(await cli('pull')).toBe(2);
+    expect(stderr.text).toContain('No prompts to work on');
+
+    expect(await cli('pull', 'missing')).toBe(2);
+    expect(stderr.text).toContain('Error: Prompt not found');
+  });
+
+  test('sends requests with the proxy and CA settings of the client', async () => {
+    const env = { LAIKATEST_API_KEY: 'test-key', HTTPS_PROXY: 'socks5://proxy:1080' };
+    expect(await run(['pull', 'greeting'], { env, cwd: dir, stdout, stderr })).toBe(2);
+    expect(stderr.text).toContain('Error: Only http:// proxies are supported');
+
+    expect(await cli('pull', 'greeting', '--ca', 'missing.pem')).toBe(2);
+    expect(stderr.text).toContain('missing.pem');
+
+    // Plain HTTP requests, like those to the local API, are never proxied
+    expect(await cli('pull', 'greeting', '--proxy', 'http://127.0.0.1:9')).toBe(0);
+  });
+
+  test('the client rejects unreadable lockfiles', () => {
+    expect(() => new LaikaTest('test-key', { lockfile: path.join(dir, 'missing.json') })).toThrow(ValidationError);
+    expect(() => new LaikaTest('test-key', { lockfile: 42 })).toThrow(ValidationError);
+  });
+});
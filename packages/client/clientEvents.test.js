@@ -0,0 +1,138 @@
+/**
+ * Unit tests for client lifecycle events and getStats
+ */
+
+jest.mock('./lib/http', () => require('./test/helpers').httpMock());
+
+const { makeHttpRequest } = require('./lib/http');
+const { errorResponse, textResponse, scoreResponse } = require('./test/helpers');
+const { LaikaTest, LaikaServiceError, ValidationError } = require('./index');
+
+// Record every client event in order
+function recordEvents(client) {
+  const events = [];
+  ['cache:hit', 'cache:miss', 'request:start', 'request:end', 'score:sent'].forEach(name => {
+    client.on(name, payload => events.push({ name, payload }));
+  });
+  return events;
+}
+
+describe('Client events', () => {
+  let client;
+
+  beforeEach(() => {
+    makeHttpRequest.mockReset();
+    client = new LaikaTest('test-key');
+  });
+
+  afterEach(async () => {
+    await client.destroy();
+  });
+
+  test('emits cache and request events with timings', async () => {
+    makeHttpRequest.mockResolvedValue(textResponse('Hello'));
+    const events = recordEvents(client);
+
+    await client.getPrompt('greeting', { label: 'production' });
+    await client.getPrompt('greeting', { label: 'production' });
+
+    expect(events.map(e => e.name)).toEqual(['cache:miss', 'request:start', 'request:end', 'cache:hit']);
+    expect(events[0].payload).toEqual({ name: 'greeting', versionId: null, label: 'production', durationMs: expect.any(Number) });
+    expect(events[1].payload).toEqual({ method: 'GET', url: expect.stringContaining('/api/v1/prompts/by-name/greeting?label=production') });
+    expect(events[2].payload).toMatchObject({ method: 'GET', statusCode: 200, durationMs: expect.any(Number) });
+    expect(events[3].payload).toMatchObject({ name: 'greeting', stale: false });
+  });
+
+  test('emits error with the failed operation only when listened to', async () => {
+    makeHttpRequest.mockResolvedValue(errorResponse(404, 'Prompt not found'));
+
+    await expect(client.getPrompt('missing')).rejects.toBeInstanceOf(LaikaServiceError);
+
+    const onError = jest.fn();
+    client.on('error', onError);
+    await expect(client.getPrompt('missing')).rejects.toBeInstanceOf(LaikaServiceError);
+    await expect(client.getPrompt('')).rejects.toBeInstanceOf(ValidationError);
+
+    expect(onError).toHaveBeenCalledTimes(2);
+    expect(onError.mock.calls[0]).toEqual([expect.any(LaikaServiceError), { operation: 'getPrompt', name: 'missing' }]);
+    expect(client.getStats().errors).toEqual({ LaikaServiceError: 2, ValidationError: 1 });
+  });
+
+  test('listener errors do not fail client calls', async () => {
+    makeHttpRequest.mockResolvedValue(textResponse('Hello'));
+    client.on('request:end', () => {
+      throw new Error('broken metrics exporter');
+    });
+
+    await expect(client.getPrompt('greeting')).resolves.toBeDefined();
+  });
+
+  test('emits score:sent for direct and batched scores', async () => {
+    await client.destroy();
+    client = new LaikaTest('test-key', { scoreBuffer: { batchSize: 2, flushInterval: 60000 } });
+    makeHttpRequest.mockResolvedValue(scoreResponse());
+    const events = recordEvents(client);
+
+    await client.pushScore('exp', 'bucket', 'version', [{ name: 'rating', type: 'int', value: 5 }], { userId: 'u1' });
+    await client.pushScore('exp', 'bucket', 'version', [{ name: 'rating', type: 'int', value: 4 }], { userId: 'u2' });
+    await client.flush();
+
+    const sent = events.filter(e => e.name === 'score:sent');
+    const buffered = { name: 'score:sent', payload: { count: 1, batched: true, durationMs: expect.any(Number) } };
+    expect(sent).toEqual([buffered, buffered]);
+    expect(client.getStats().scores).toEqual({ sent: 2, failed: 0 });
+  });
+});
+
+describe('getStats', () => {
+  let client;
+  let now;
+  let dateSpy;
+
+  beforeEach(() => {
+    makeHttpRequest.mockReset();
+    now = 1000000;
+    dateSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+    client = new LaikaTest('test-key', { cacheTTL: 1000 });
+  });
+
+  afterEach(async () => {
+    dateSpy.mockRestore();
+    await client.destroy();
+  });
+
+  test('reports cache hits, misses, evictions and request counts', async () => {
+    makeHttpRequest
+      .mockResolvedValueOnce(textResponse('a'))
+      .mockResolvedValueOnce(textResponse('b'))
+      .mockRejectedValueOnce(new Error('ECONNRESET'))
+      .mockResolvedValueOnce(textResponse('a again'));
+
+    await client.getPrompt('a');
+    await client.getPrompt('a');
+    await client.getPrompt('b');
+    await client.invalidatePrompt('b');
+    await expect(client.getPrompt('c')).rejects.toThrow();
+    now += 2000;
+    await client.getPrompt('a');
+
+    const stats = client.getStats();
+    expect(stats.cache).toEqual({ size: 1, hits: 1, staleHits: 0, misses: 4, evictions: 2 });
+    expect(stats.requests).toEqual({
+      started: 4,
+      completed: 3,
+      failed: 1,
+      inFlight: 0,
+      averageDurationMs: 0,
+      statusCodes: { 200: 3 }
+    });
+    expect(stats.errors).toEqual({ NetworkError: 1 });
+  });
+
+  test('has no cache section when caching is disabled', async () => {
+    await client.destroy();
+    client = new LaikaTest('test-key', { cacheEnabled: false });
+
+    expect(client.getStats().cache).toBeNull();
+  });
+});
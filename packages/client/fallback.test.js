@@ -0,0 +1,70 @@
+/**
+ * Unit tests for offline fallback prompts
+ */
+
+jest.mock('./lib/http', () => require('./test/helpers').httpMock());
+
+const { makeHttpRequest } = require('./lib/http');
+const { apiResponse } = require('./test/helpers');
+const { LaikaTest, NetworkError, LaikaServiceError } = require('./index');
+
+describe('Offline fallback', () => {
+  let client;
+
+  beforeEach(() => {
+    makeHttpRequest.mockReset();
+    client = new LaikaTest('test-key', {
+      cacheEnabled: false,
+      fallbackPrompts: {
+        greeting: 'Hello {{name}}',
+        'greeting:v2': 'Hi {{name}}'
+      }
+    });
+  });
+
+  afterEach(() => {
+    client.destroy();
+  });
+
+  test('serves snapshot content on network failure', async () => {
+    makeHttpRequest.mockRejectedValue(new Error('ECONNREFUSED'));
+
+    const prompt = await client.getPrompt('greeting');
+
+    expect(prompt.getContent()).toBe('Hello {{name}}');
+    expect(prompt.isFallback()).toBe(true);
+    expect(prompt.compile({ name: 'Ada' }).isFallback()).toBe(true);
+  });
+
+  test('serves pinned versions from "name:version" entries', async () => {
+    makeHttpRequest.mockResolvedValue(apiResponse(503, '<html>Service Unavailable</html>'));
+
+    const prompt = await client.getPrompt('greeting', { versionId: '2' });
+
+    expect(prompt.getContent()).toBe('Hi {{name}}');
+  });
+
+  test('rethrows when the snapshot has no matching entry', async () => {
+    makeHttpRequest.mockRejectedValue(new Error('ECONNREFUSED'));
+
+    await expect(client.getPrompt('greeting', { versionId: '7' })).rejects.toBeInstanceOf(NetworkError);
+  });
+
+  test('does not mask 4xx errors', async () => {
+    makeHttpRequest.mockResolvedValue(apiResponse(404, { success: false, error: 'Prompt not found' }));
+
+    await expect(client.getPrompt('greeting')).rejects.toBeInstanceOf(LaikaServiceError);
+  });
+
+  test('prefers the API when it is available', async () => {
+    makeHttpRequest.mockResolvedValue(apiResponse(200, {
+      success: true,
+      data: { type: 'text', content: JSON.stringify([{ content: 'Live {{name}}' }]) }
+    }));
+
+    const prompt = await client.getPrompt('greeting');
+
+    expect(prompt.getContent()).toBe('Live {{name}}');
+    expect(prompt.isFallback()).toBe(false);
+  });
+});
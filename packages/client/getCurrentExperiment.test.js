@@ -2,7 +2,33 @@
  * Unit tests for getCurrentExperiment - A/B Test Linking
  */
 
-const { getCurrentExperiment, clearCurrentExperiment } = require('./index');
+jest.mock('./lib/http', () => require('./test/helpers').httpMock());
+
+const { makeHttpRequest } = require('./lib/http');
+const {
+  LaikaTest,
+  getCurrentExperiment,
+  getCurrentExperiments,
+  clearCurrentExperiment,
+  runWithExperimentContext
+} = require('./index');
+
+// Respond to evaluate calls with experiment and bucket ids derived from the request
+function mockEvaluate(delays = {}) {
+  makeHttpRequest.mockImplementation((url, options) => {
+    const { experimentTitle, context } = JSON.parse(options.body);
+    const data = JSON.stringify({
+      success: true,
+      data: {
+        experimentId: `exp-${experimentTitle}`,
+        bucketId: `bucket-${context.userId}`,
+        groupName: 'control',
+        prompt: { promptId: 'p1', promptVersionId: 'v1', type: 'text', content: JSON.stringify([{ content: 'Hello' }]) }
+      }
+    });
+    return new Promise(resolve => setTimeout(() => resolve({ statusCode: 200, data }), delays[context.userId] || 0));
+  });
+}
 
 describe('Experiment Context API', () => {
   beforeEach(() => {
@@ -35,6 +61,74 @@ describe('Experiment Context API', () => {
   });
 });
 
+describe('Request-scoped experiment context', () => {
+  let client;
+
+  beforeEach(() => {
+    makeHttpRequest.mockReset();
+    client = new LaikaTest('test-key', { cacheEnabled: false });
+  });
+
+  afterEach(async () => {
+    await client.destroy();
+  });
+
+  test('is visible to the caller after getExperimentPrompt resolves', async () => {
+    mockEvaluate();
+
+    await client.getExperimentPrompt('checkout', { userId: 'alice' });
+
+    expect(getCurrentExperiment()).toEqual({ experimentId: 'exp-checkout', variantId: 'bucket-alice', userId: 'alice' });
+  });
+
+  test('keeps concurrent requests isolated', async () => {
+    mockEvaluate({ alice: 20, bob: 0 });
+
+    const handle = async userId => {
+      await client.getExperimentPrompt('checkout', { userId });
+      // Give the other request time to finish its evaluation
+      await new Promise(resolve => setTimeout(resolve, 30));
+      return getCurrentExperiments();
+    };
+
+    const [alice, bob] = await Promise.all([handle('alice'), handle('bob')]);
+
+    expect(alice).toEqual([{ experimentId: 'exp-checkout', variantId: 'bucket-alice', userId: 'alice' }]);
+    expect(bob).toEqual([{ experimentId: 'exp-checkout', variantId: 'bucket-bob', userId: 'bob' }]);
+  });
+
+  test('collects parallel evaluations inside runWithExperimentContext', async () => {
+    mockEvaluate();
+
+    const experiments = await runWithExperimentContext(async () => {
+      await Promise.all([
+        client.getExperimentPrompt('tone', { userId: 'alice' }),
+        client.getExperimentPrompt('model', { userId: 'alice' })
+      ]);
+      return getCurrentExperiments();
+    });
+
+    expect(experiments.map(e => e.experimentId).sort()).toEqual(['exp-model', 'exp-tone']);
+    expect(getCurrentExperiments()).toEqual([]);
+  });
+
+  test('replaces an experiment evaluated twice and clears only the current context', async () => {
+    mockEvaluate();
+
+    await runWithExperimentContext(async () => {
+      await client.getExperimentPrompt('tone', { userId: 'alice' });
+      await client.getExperimentPrompt('model', { userId: 'alice' });
+      await client.getExperimentPrompt('tone', { userId: 'bob' });
+
+      expect(getCurrentExperiments().map(e => e.variantId)).toEqual(['bucket-alice', 'bucket-bob']);
+      expect(getCurrentExperiment().experimentId).toBe('exp-tone');
+
+      clearCurrentExperiment();
+      expect(getCurrentExperiments()).toEqual([]);
+    });
+  });
+});
+
 // Integration test structure (requires mocked API)
 describe('Experiment Context Integration', () => {
   test('experiment context structure is correct when set', () => {
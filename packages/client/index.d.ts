@@ -24,14 +24,28 @@ export type ScoreInput =
   | { name: string; type: 'bool'; value: boolean }
   | { name: string; type: 'string'; value: string };
 
+/**
+ * Cancellation options accepted by every client call
+ */
+export interface CallOptions {
+  /** Abort the call; it rejects with AbortError and its request is destroyed */
+  signal?: AbortSignal;
+
+  /**
+   * Deadline in milliseconds for the whole call, retries included; it then
+   * rejects with TimeoutError. The client-wide `timeout` still limits each attempt
+   */
+  timeout?: number;
+}
+
 /**
  * Options for pushScore method
  * Must provide either sessionId, userId, or both (at least one required)
  */
-export type PushScoreOptions =
+export type PushScoreOptions = CallOptions & (
   | { sessionId: string; userId?: never }
   | { userId: string; sessionId?: never }
-  | { userId: string; sessionId: string };
+  | { userId: string; sessionId: string });
 /**
  * Response from pushScore method.
  * Returns success response on successful API call.
@@ -43,7 +57,125 @@ export interface PushScoreResponse {
   data: unknown;
 }
 
-export class Prompt<C = PromptContent> {
+/**
+ * Response from pushScore when scoreBuffer is enabled.
+ * The score is sent later in a batch; `queued` is false when the bounded
+ * queue was full and the score was dropped (dropPolicy: 'newest').
+ */
+export interface QueuedScoreResponse {
+  success: boolean;
+  queued: boolean;
+  /** Idempotency key sent with the score, used by the backend to dedupe */
+  sdkEventId: string;
+}
+
+/**
+ * Response from pushScore when scoreOutbox is enabled and the API could not
+ * be reached. The score was journaled to disk and will be replayed.
+ */
+export interface OutboxedScoreResponse {
+  success: false;
+  outboxed: true;
+  /** Idempotency key sent with the score, used by the backend to dedupe */
+  sdkEventId: string;
+  /** Message of the network or 5xx error that triggered the outbox */
+  error: string;
+}
+
+export type PushScoreResult = PushScoreResponse | QueuedScoreResponse | OutboxedScoreResponse;
+
+/**
+ * A part of a multi-part chat message
+ */
+export type ChatContentPart =
+  | { type: 'text'; text: string }
+  | { type: 'image_url'; image_url: { url: string; detail?: 'auto' | 'low' | 'high' } }
+  | { type: 'image'; url: string; mediaType?: string; detail?: 'auto' | 'low' | 'high' }
+  | { type: 'image'; data: string; mediaType: string; detail?: 'auto' | 'low' | 'high' };
+
+/**
+ * Chat prompt message (OpenAI-style), accepted by the provider conversions
+ */
+export interface ChatMessage {
+  role: 'system' | 'developer' | 'user' | 'assistant' | 'tool';
+  content: string | ChatContentPart[] | null;
+  name?: string;
+  /** Tool calls made by an assistant message */
+  tool_calls?: Array<{ id: string; type: 'function'; function: { name: string; arguments: string } }>;
+  /** Tool call a tool message answers */
+  tool_call_id?: string;
+}
+
+/**
+ * OpenAI Chat Completions message
+ */
+export interface OpenAIMessage {
+  role: ChatMessage['role'];
+  content: string | Array<{ type: 'text'; text: string } | { type: 'image_url'; image_url: { url: string; detail?: string } }> | null;
+  name?: string;
+  tool_calls?: Array<{ id: string; type: 'function'; function: { name: string; arguments: string } }>;
+  tool_call_id?: string;
+}
+
+export type AnthropicContentBlock =
+  | { type: 'text'; text: string }
+  | { type: 'image'; source: { type: 'base64'; media_type: string; data: string } | { type: 'url'; url: string } }
+  | { type: 'tool_use'; id: string; name: string; input: unknown }
+  | { type: 'tool_result'; tool_use_id: string; content: string };
+
+/**
+ * Anthropic Messages API request fields
+ */
+export interface AnthropicRequest {
+  system?: string;
+  messages: Array<{ role: 'user' | 'assistant'; content: string | AnthropicContentBlock[] }>;
+}
+
+export type GeminiPart =
+  | { text: string }
+  | { inlineData: { mimeType: string; data: string } }
+  | { fileData: { mimeType: string; fileUri: string } }
+  | { functionCall: { name: string; args: unknown } }
+  | { functionResponse: { name: string; response: Record<string, unknown> } };
+
+/**
+ * Gemini generateContent request fields
+ */
+export interface GeminiRequest {
+  systemInstruction?: { parts: Array<{ text: string }> };
+  contents: Array<{ role: 'user' | 'model'; parts: GeminiPart[] }>;
+}
+
+/**
+ * A prompt included through a {{> name}} partial
+ */
+export interface PromptInclude {
+  name: string;
+  /** Pinned version (e.g. "3"), or null when the current or a labelled version was used */
+  versionId: string | null;
+  /** Deployment label the include was pinned to (e.g. {{> name@production}}) */
+  label?: string;
+}
+
+/**
+ * Options for Prompt.compile
+ */
+export interface CompileOptions {
+  /**
+   * Throw a ValidationError naming missing and unexpected variables
+   * instead of leaving unresolved placeholders in the output
+   * @default false
+   */
+  strict?: boolean;
+}
+
+/**
+ * Variables passed to Prompt.compile. Declare V to type-check them:
+ * `client.getPrompt<string, { customerName: string }>('greeting')`
+ */
+export type PromptVariables = Record<string, unknown>;
+
+export class Prompt<C = PromptContent, V extends PromptVariables = PromptVariables> {
   constructor(content: C);
 
   getContent(): C;
@@ -58,13 +190,67 @@ export class Prompt<C = PromptContent> {
 
   getPromptVersionId(): string | null;
 
-  compile(variables: Record<string, unknown>): Prompt<C>;
+  /**
+   * True when the content was served from the offline fallback snapshot
+   * because the API was unreachable or returned a 5xx error
+   */
+  isFallback(): boolean;
+
+  /**
+   * Deployment label the prompt was fetched by, or null
+   */
+  getLabel(): string | null;
+
+  /**
+   * Prompts inlined through {{> name}} partials, each listed once
+   */
+  getIncludes(): PromptInclude[];
+
+  /**
+   * Render the content as a template in every string of text, chat and
+   * object prompts. Supports {{path.to.value}}, {{#if}}, {{#each}}, filters
+   * (default, upper, lower, json, truncate) and \{{ for literal braces.
+   * Variables that are not provided are left in place unless strict is set.
+   * @throws {ValidationError} If the template is malformed or uses an unknown
+   * filter, or in strict mode if a variable is missing or unexpected
+   */
+  compile(variables: V, options: CompileOptions & { strict: true }): Prompt<C, V>;
+  compile(variables: Partial<V>, options?: CompileOptions & { strict?: false }): Prompt<C, V>;
+  compile(variables: V, options: CompileOptions): Prompt<C, V>;
+
+  /**
+   * Top-level variables read by the templates in this prompt, across text,
+   * chat messages and object fields, in order of appearance. Names used only
+   * inside {{#each}} bodies are treated as item fields and not listed.
+   */
+  getVariables(): Array<keyof V & string>;
+
+  /**
+   * Convert a chat prompt to the OpenAI Chat Completions `messages` array
+   * @throws {ValidationError} If the prompt is not a chat prompt or a message cannot be converted
+   */
+  toOpenAI(): OpenAIMessage[];
+
+  /**
+   * Convert a chat prompt to Anthropic Messages API `{ system, messages }`.
+   * System messages are joined into `system`; consecutive messages with the
+   * same role are merged and tool results become user messages.
+   * @throws {ValidationError} If the prompt is not a chat prompt or a message cannot be converted
+   */
+  toAnthropic(): AnthropicRequest;
+
+  /**
+   * Convert a chat prompt to Gemini `{ systemInstruction, contents }`.
+   * Assistant messages use the `model` role; tool results become function responses.
+   * @throws {ValidationError} If the prompt is not a chat prompt or a message cannot be converted
+   */
+  toGemini(): GeminiRequest;
 
   /**
    * Push score for experimental prompts
    * @param scores - Array of score items
    * @param options - Options object containing sessionId and/or userId (at least one required)
-   * @returns Promise resolving to push score response with { success: true, statusCode, data }
+   * @returns Promise resolving to { success: true, statusCode, data }, or { success, queued, sdkEventId } when scoreBuffer is enabled
    * @throws {Error} If prompt is not from an experiment
    * @throws {ValidationError} If scores are invalid or neither sessionId nor userId is provided
    * @throws {AuthenticationError} If API authentication fails
@@ -74,7 +260,7 @@ export class Prompt<C = PromptContent> {
   pushScore(
     scores: ScoreInput[],
     options: PushScoreOptions
-  ): Promise<PushScoreResponse>;
+  ): Promise<PushScoreResult>;
 }
 
 export class LaikaTest {
@@ -85,6 +271,18 @@ export class LaikaTest {
    */
   constructor(apiKey: string, options?: ClientOptions);
 
+  /**
+   * Circuit breaker guarding API calls, or null when not enabled.
+   * Subscribe to 'stateChange' to alert on API degradation.
+   */
+  readonly circuitBreaker: CircuitBreaker | null;
+
+  /**
+   * Prompt-change subscription, or null when invalidation is not enabled.
+   * Subscribe to 'disconnect' to monitor the connection.
+   */
+  readonly invalidation: PromptChangeSubscriber | null;
+
   /**
    * Fetch prompt content by name
    * @param promptName - The name of the prompt template
@@ -94,20 +292,43 @@ export class LaikaTest {
    * @throws {AuthenticationError} If API key is invalid
    * @throws {LaikaServiceError} If API returns an error
    * @throws {NetworkError} If network request fails
+   * @throws {AbortError} If the call is aborted through options.signal
+   */
+  getPrompt<C = PromptContent, V extends PromptVariables = PromptVariables>(promptName: string, options?: GetPromptOptions): Promise<Prompt<C, V>>;
+
+  /**
+   * Fetch many prompts concurrently. Never rejects for individual prompts:
+   * each result, in input order, carries either `prompt` or `error`
+   * @throws {ValidationError} If prompts is not an array or concurrency is invalid
+   */
+  getPrompts(prompts: Array<string | PromptReference>, options?: GetPromptsOptions): Promise<PromptResult[]>;
+
+  /**
+   * Load prompts into the cache, e.g. at startup, reporting which failed
+   * @throws {ValidationError} If prompts is not an array or concurrency is invalid
    */
-  getPrompt<C = PromptContent>(promptName: string, options?: GetPromptOptions): Promise<Prompt<C>>;
+  prefetch(prompts: Array<string | PromptReference>, options?: GetPromptsOptions): Promise<PrefetchResult>;
+
+  /**
+   * Resolves with the report of the `prefetch` client option once warm-up
+   * and local experiment definitions have loaded. Rejects only when the wait
+   * is aborted or times out
+   */
+  ready(options?: CallOptions): Promise<PrefetchResult>;
 
   /**
    * Evaluate an experiment and retrieve the assigned prompt
    * @param experimentTitle - The title of the experiment to evaluate
    * @param context - Optional contextual data used for experiment bucketing
+   * @param options - Optional abort signal and call deadline
    * @returns Promise resolving to experiment assignment details
    * @throws {ValidationError} If experiment title or context is invalid
    * @throws {AuthenticationError} If API key is invalid
    * @throws {LaikaServiceError} If API returns an error
    * @throws {NetworkError} If network request fails
+   * @throws {AbortError} If the call is aborted through options.signal
    */
-  getExperimentPrompt<C = PromptContent>(experimentTitle: string, context?: Record<string, unknown>): Promise<Prompt<C>>;
+  getExperimentPrompt<C = PromptContent, V extends PromptVariables = PromptVariables>(experimentTitle: string, context?: Record<string, unknown>, options?: CallOptions): Promise<Prompt<C, V>>;
 
   /**
    * Push score for experimental prompts (advanced usage)
@@ -117,11 +338,12 @@ export class LaikaTest {
    * @param promptVersionId - Prompt Version ID
    * @param scores - Array of score items
    * @param options - Options object containing sessionId and/or userId (at least one required)
-   * @returns Promise resolving to push score response with { success: true, statusCode, data }
+   * @returns Promise resolving to { success: true, statusCode, data }, or { success, queued, sdkEventId } when scoreBuffer is enabled
    * @throws {ValidationError} If inputs are invalid or neither sessionId nor userId is provided
    * @throws {AuthenticationError} If API authentication fails
    * @throws {LaikaServiceError} If the API returns an error response (4xx, 5xx status codes)
    * @throws {NetworkError} If network request fails (timeout, DNS errors, connection issues)
+   * @throws {AbortError} If the call is aborted through options.signal
    */
   pushScore(
     expId: string,
@@ -129,16 +351,57 @@ export class LaikaTest {
     promptVersionId: string,
     scores: ScoreInput[],
     options: PushScoreOptions
-  ): Promise<PushScoreResponse>;
+  ): Promise<PushScoreResult>;
 
   /**
-   * Cleanup resources and stop background processes
+   * Evict every cached entry of a prompt. With refresh (default: the
+   * invalidation.refresh option), entries this client cached are fetched again
+   * in the background
+   * @throws {ValidationError} If prompt name is invalid
    */
-  destroy(): void;
+  invalidatePrompt(promptName: string, options?: CallOptions & { refresh?: boolean }): Promise<void>;
+
+  /**
+   * Node/Express request handler that evicts prompts named in prompt-change
+   * webhooks. Answers 204, 400 for malformed bodies and 401 for bad signatures.
+   * Node.js only.
+   * @throws {ValidationError} If neither secret nor allowUnsigned is set
+   */
+  createWebhookHandler(options: WebhookHandlerOptions): (req: any, res: any) => Promise<void>;
+
+  /**
+   * Snapshot of client metrics: coalesced fetches, cache hits, misses and
+   * evictions, HTTP requests, errors by type and scores
+   */
+  getStats(): ClientStats;
+
+  /**
+   * Subscribe to client events. 'error' is only emitted while a listener is
+   * attached; errors thrown by listeners are ignored
+   */
+  on<E extends keyof ClientEventMap>(event: E, listener: (...args: ClientEventMap[E]) => void): this;
+  once<E extends keyof ClientEventMap>(event: E, listener: (...args: ClientEventMap[E]) => void): this;
+  off<E extends keyof ClientEventMap>(event: E, listener: (...args: ClientEventMap[E]) => void): this;
+
+  /**
+   * Send all buffered scores now and replay the score outbox
+   * (no-op unless scoreBuffer or scoreOutbox is enabled). Aborting only stops
+   * the wait: scores already being sent are still delivered
+   */
+  flush(options?: CallOptions): Promise<void>;
+
+  /**
+   * Cleanup resources and stop background processes. Timers and the cache
+   * are released before it returns, so calling it without awaiting works as
+   * in earlier versions; the promise resolves once buffered scores are
+   * delivered and never rejects.
+   */
+  destroy(): Promise<void>;
 }
 
 /**
- * Configuration options for the client
+ * Configuration options for the client. Options marked "Node.js only" are
+ * rejected with a ValidationError by the build for edge runtimes and browsers.
  */
 export interface ClientOptions {
   /**
@@ -153,6 +416,107 @@ export interface ClientOptions {
    */
   timeout?: number;
 
+  /**
+   * Retry policy for API calls. `true` enables the defaults, an object
+   * overrides them. Only safe requests are retried: prompt fetches (GET)
+   * and score submissions (deduplicated by sdkEventId). Experiment
+   * evaluation is never retried.
+   * @default false
+   */
+  retry?: boolean | RetryOptions;
+
+  /**
+   * Circuit breaker for API calls. `true` enables the defaults, an object
+   * overrides them. While open, calls fail fast with CircuitOpenError (a
+   * NetworkError), so getPrompt serves stale cache or fallback prompts.
+   * @default false
+   */
+  circuitBreaker?: boolean | CircuitBreakerOptions;
+
+  /**
+   * Buffer pushScore calls in memory and send them in the background, one
+   * request each to /api/v1/scores. `true` enables the defaults, an object
+   * overrides them.
+   * @default false
+   */
+  scoreBuffer?: boolean | ScoreBufferOptions;
+
+  /**
+   * Journal scores that fail with a network or 5xx error to a local file and
+   * replay them on the next start and on a timer. Pass the journal path or
+   * an options object. Node.js only.
+   */
+  scoreOutbox?: string | ScoreOutboxOptions;
+
+  /**
+   * Assign experiment buckets locally from periodically downloaded
+   * definitions instead of calling the evaluate API on every request
+   * @default false
+   */
+  localEvaluation?: boolean | LocalEvaluationOptions;
+
+  /**
+   * Lockfile written by `laikatest lock`. getPrompt calls and partials that
+   * name no version or label resolve to the pinned version. `true` reads
+   * laikatest.lock.json from the working directory. Node.js only.
+   */
+  lockfile?: string | true;
+
+  /**
+   * Agent for API requests; also used for HTTPS unless httpsAgent is set.
+   * A custom agent disables the built-in proxy support. Node.js only.
+   */
+  agent?: import('http').Agent;
+
+  /** Agent for HTTPS API requests. Node.js only. */
+  httpsAgent?: import('https').Agent;
+
+  /**
+   * HTTP proxy for HTTPS requests. Defaults to the HTTPS_PROXY and NO_PROXY
+   * environment variables; `false` ignores them. Node.js only.
+   */
+  proxy?: false | string | ProxyOptions;
+
+  /** Extra PEM CA certificates trusted in addition to the Node.js defaults. Node.js only. */
+  ca?: string | Buffer | Array<string | Buffer>;
+
+  /**
+   * Reuse connections between requests. Node.js only.
+   * @default true
+   */
+  keepAlive?: boolean;
+
+  /**
+   * Replace the function that sends API requests. Agent, proxy and CA
+   * options do not apply to a custom transport.
+   */
+  transport?: Transport;
+
+  /**
+   * Record API exchanges to a fixture file, or replay them without network
+   * access, for hermetic integration tests. Node.js only.
+   */
+  recording?: RecordingOptions;
+
+  /**
+   * Subscribe to prompt changes and evict changed prompts from the cache
+   * immediately instead of waiting for cacheTTL. Node.js only.
+   * @default false
+   */
+  invalidation?: boolean | InvalidationOptions;
+
+  /**
+   * Prompts to load into the cache at startup; await client.ready()
+   * to wait for the warm-up
+   */
+  prefetch?: Array<string | PromptReference> | { prompts: Array<string | PromptReference>; concurrency?: number };
+
+  /**
+   * How deeply {{> name}} partials may include further partials
+   * @default 5
+   */
+  maxPartialDepth?: number;
+
   /**
    * Cache TTL (time-to-live) in milliseconds
    * @default 1800000 (30 minutes)
@@ -164,18 +528,655 @@ export interface ClientOptions {
    * @default true
    */
   cacheEnabled?: boolean;
+
+  /**
+   * Storage backend for cached prompts. Defaults to an in-memory
+   * MemoryCacheAdapter. Use FileCacheAdapter to survive restarts, or any
+   * object implementing CacheAdapter to share prompts across workers.
+   */
+  cacheAdapter?: CacheAdapter;
+
+  /**
+   * Keep serving expired cache entries while a single background refresh
+   * runs. If the refresh fails, the stale entry keeps being served until it
+   * is older than cacheTTL + maxStale.
+   * @default false
+   */
+  staleWhileRevalidate?: boolean;
+
+  /**
+   * How long past cacheTTL an entry may be served in stale-while-revalidate mode, in milliseconds
+   * @default 86400000 (24 hours)
+   */
+  maxStale?: number;
+
+  /**
+   * Directory of JSON snapshot files served by getPrompt when the API is
+   * unreachable or returns a 5xx error. Each file maps "name" or
+   * "name:version" keys to prompt content. Node.js only.
+   */
+  fallbackDir?: string;
+
+  /**
+   * Inline snapshot served by getPrompt when the API is unreachable or
+   * returns a 5xx error. Keys are "name" or "name:version", values are
+   * prompt content in the shape getPrompt returns. Takes precedence over
+   * entries loaded from fallbackDir.
+   */
+  fallbackPrompts?: Record<string, PromptContent>;
+
+  /**
+   * Where the client writes its logs. Called pino-style as
+   * logger.warn(fields, message), so pino and compatible loggers work as-is.
+   * @default the console, prefixed with [LaikaTest], when debug or logLevel is set
+   */
+  logger?: Logger;
+
+  /**
+   * Lowest level that is logged
+   * @default 'debug' with debug: true, 'info' with a logger, else 'silent'
+   */
+  logLevel?: LogLevel;
+
+  /**
+   * Log request URLs, cache decisions and experiment assignments at debug
+   * level. The API key is always redacted.
+   * @default false
+   */
+  debug?: boolean;
+}
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+/**
+ * Structured logger accepted by the logger option; missing methods are skipped
+ */
+export interface Logger {
+  debug?(fields: Record<string, unknown>, message: string): void;
+  info?(fields: Record<string, unknown>, message: string): void;
+  warn?(fields: Record<string, unknown>, message: string): void;
+  error?(fields: Record<string, unknown>, message: string): void;
+}
+
+/**
+ * Retry policy for API calls
+ */
+export interface RetryOptions {
+  /**
+   * Total attempts including the first one
+   * @default 3
+   */
+  maxAttempts?: number;
+
+  /**
+   * Backoff before the first retry, in milliseconds
+   * @default 200
+   */
+  initialDelay?: number;
+
+  /**
+   * Upper bound for a single backoff, in milliseconds. A Retry-After
+   * longer than this stops retrying and returns the response.
+   * @default 5000
+   */
+  maxDelay?: number;
+
+  /**
+   * Backoff multiplier between attempts
+   * @default 2
+   */
+  factor?: number;
+
+  /**
+   * Randomize each backoff between 0 and the computed delay
+   * @default true
+   */
+  jitter?: boolean;
+
+  /**
+   * Status codes that trigger a retry. Retry-After is honoured on 429 and 503.
+   * @default [408, 429, 500, 502, 503, 504]
+   */
+  retryableStatusCodes?: number[];
+}
+
+/**
+ * Buffered score submission settings
+ */
+export interface ScoreBufferOptions {
+  /**
+   * Buffered scores that trigger a flush, and scores sent per flush round
+   * @default 50
+   */
+  batchSize?: number;
+
+  /**
+   * How often the buffer is flushed, in milliseconds
+   * @default 5000
+   */
+  flushInterval?: number;
+
+  /**
+   * Maximum number of buffered scores
+   * @default 1000
+   */
+  maxQueueSize?: number;
+
+  /**
+   * Which score to drop when the buffer is full
+   * @default 'oldest'
+   */
+  dropPolicy?: 'oldest' | 'newest';
+}
+
+/**
+ * Client metrics from getStats
+ */
+export interface ClientStats {
+  /** Prompt fetches sent to the API */
+  promptFetches: number;
+  /** getPrompt calls and cache refreshes that joined an in-flight fetch */
+  coalescedFetches: number;
+  /** Prompt fetches currently in flight */
+  inFlightFetches: number;
+  /** Cache lookups, or null when caching is disabled */
+  cache: {
+    /** Stored entries, or null when the cache adapter has no size() */
+    size: number | null;
+    hits: number;
+    /** Hits served stale while being revalidated (included in hits) */
+    staleHits: number;
+    misses: number;
+    /** Entries removed because they expired or were invalidated */
+    evictions: number;
+  } | null;
+  /** HTTP attempts, retries included */
+  requests: {
+    started: number;
+    /** Attempts that received a response, whatever its status */
+    completed: number;
+    /** Attempts that failed without a response (network error, timeout) */
+    failed: number;
+    inFlight: number;
+    averageDurationMs: number;
+    /** Responses per HTTP status code */
+    statusCodes: Record<string, number>;
+  };
+  /** Errors thrown by client calls and background work, by error name */
+  errors: Record<string, number>;
+  scores: {
+    /** Scores delivered to the API */
+    sent: number;
+    /** Scores whose delivery failed; retried scores count again */
+    failed: number;
+  };
+}
+
+/**
+ * Payload of cache:hit and cache:miss events
+ */
+export interface CacheEvent {
+  name: string;
+  versionId: string | null;
+  label?: string;
+  /** Time spent on the cache lookup */
+  durationMs: number;
+  /** cache:hit only: the entry is being revalidated in the background */
+  stale?: boolean;
+}
+
+/**
+ * Payload of request:start and request:end events, one per HTTP attempt
+ */
+export interface RequestEvent {
+  method: string;
+  url: string;
+  /** request:end only: null when no response was received */
+  statusCode?: number | null;
+  /** request:end only */
+  durationMs?: number;
+  /** request:end only: set when no response was received */
+  error?: Error;
+}
+
+/**
+ * Payload of score:sent events
+ */
+export interface ScoreSentEvent {
+  /** Scores delivered by this request */
+  count: number;
+  /** Sent from the score buffer */
+  batched: boolean;
+  durationMs: number;
+}
+
+/**
+ * Second argument of error events
+ */
+export interface ErrorEventContext {
+  operation: 'getPrompt' | 'getExperimentPrompt' | 'pushScore' | 'revalidate' | 'scoreDelivery';
+  name?: string;
+  experimentTitle?: string;
+}
+
+export type ClientEventMap = {
+  'cache:hit': [event: CacheEvent];
+  'cache:miss': [event: CacheEvent];
+  'request:start': [event: RequestEvent];
+  'request:end': [event: RequestEvent];
+  'score:sent': [event: ScoreSentEvent];
+  'error': [error: Error, context: ErrorEventContext];
+};
+
+/**
+ * A prompt to load in bulk
+ */
+export interface PromptReference {
+  name: string;
+  versionId?: string | null;
+  label?: string;
+}
+
+/**
+ * Options for getPrompts and prefetch. signal and timeout cover the whole
+ * batch: prompts still loading when either fires fail with AbortError or
+ * TimeoutError
+ */
+export interface GetPromptsOptions extends CallOptions {
+  /**
+   * Maximum number of prompts fetched at the same time
+   * @default 5
+   */
+  concurrency?: number;
+
+  /** Bypass cache and force fresh fetches from the API */
+  bypassCache?: boolean;
+}
+
+/**
+ * Outcome of one prompt in getPrompts
+ */
+export interface PromptResult<C = PromptContent> {
+  name: string;
+  versionId: string | null;
+  label?: string;
+  /** Set when the prompt loaded */
+  prompt?: Prompt<C>;
+  /** Set when the prompt failed to load */
+  error?: Error;
+}
+
+/**
+ * Warm-up report from prefetch and ready
+ */
+export interface PrefetchResult {
+  loaded: Array<{ name: string; versionId: string | null; label?: string }>;
+  failed: Array<{ name: string; versionId: string | null; label?: string; error: Error }>;
+}
+
+/**
+ * Local experiment evaluation settings. Needs an API that serves
+ * GET /api/v3/experiments/definitions; on 404 the client stops downloading
+ * definitions and evaluates experiments remotely
+ */
+export interface LocalEvaluationOptions {
+  /**
+   * How often experiment definitions are downloaded, in milliseconds
+   * @default 60000
+   */
+  refreshInterval?: number;
+
+  /**
+   * Call the evaluate API when an experiment cannot be evaluated locally
+   * @default true
+   */
+  fallbackToRemote?: boolean;
+}
+
+/**
+ * Durable score outbox settings
+ */
+export interface ScoreOutboxOptions {
+  /** Path of the JSON-lines journal file; use one file per process */
+  path: string;
+
+  /**
+   * How often pending scores are replayed, in milliseconds
+   * @default 60000
+   */
+  replayInterval?: number;
+
+  /**
+   * Scores sent per replay request
+   * @default 50
+   */
+  batchSize?: number;
+}
+
+/**
+ * Circuit breaker thresholds
+ */
+export interface CircuitBreakerOptions {
+  /**
+   * Failure rate (0-1] over the rolling window that opens the circuit
+   * @default 0.5
+   */
+  failureThreshold?: number;
+
+  /**
+   * Minimum requests in the window before the failure rate is evaluated
+   * @default 10
+   */
+  minimumRequests?: number;
+
+  /**
+   * Number of most recent requests in the rolling window
+   * @default 20
+   */
+  windowSize?: number;
+
+  /**
+   * How long the circuit stays open before a trial request, in milliseconds
+   * @default 30000
+   */
+  resetTimeout?: number;
+
+  /**
+   * Concurrent trial requests allowed while half-open
+   * @default 1
+   */
+  halfOpenMaxRequests?: number;
+}
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+export interface CircuitStateChange {
+  from: CircuitState;
+  to: CircuitState;
+}
+
+/**
+ * Circuit breaker exposed as client.circuitBreaker.
+ * Network errors and 5xx responses count as failures.
+ */
+export class CircuitBreaker {
+  constructor(options?: CircuitBreakerOptions);
+
+  getState(): CircuitState;
+
+  getStats(): { state: CircuitState; requests: number; failures: number; failureRate: number };
+
+  on(event: 'stateChange', listener: (change: CircuitStateChange) => void): this;
+  on(event: 'open' | 'halfOpen' | 'close', listener: () => void): this;
+  off(event: 'stateChange', listener: (change: CircuitStateChange) => void): this;
+  off(event: 'open' | 'halfOpen' | 'close', listener: () => void): this;
+}
+
+/**
+ * HTTP proxy settings
+ */
+export interface ProxyOptions {
+  /**
+   * http:// proxy URL, credentials allowed
+   * @default process.env.HTTPS_PROXY
+   */
+  url?: string;
+
+  /**
+   * Hosts reached without the proxy, comma separated or as a list; '*'
+   * matches every host and 'host:port' a single port
+   * @default process.env.NO_PROXY
+   */
+  noProxy?: string | string[];
+}
+
+export interface TransportRequest {
+  method: string;
+  headers: Record<string, string>;
+  body?: string;
+  /** Set when the call can be cancelled; abort the request when it fires */
+  signal?: AbortSignal;
+}
+
+export interface TransportResponse {
+  statusCode: number;
+  headers: Record<string, string | string[] | undefined>;
+  /** Raw response body */
+  data: string;
+}
+
+/**
+ * Sends one API request; rejections are treated as network errors and
+ * retried according to the retry option
+ */
+export type Transport = (url: string, request: TransportRequest, timeout: number) => Promise<TransportResponse>;
+
+export type RecordingMode = 'record' | 'replay' | 'passthrough';
+
+/**
+ * Record/replay settings
+ */
+export interface RecordingOptions {
+  /**
+   * 'record' sends requests and saves each exchange, 'replay' answers from
+   * the fixture only, 'passthrough' sends requests without recording
+   * @default 'replay'
+   */
+  mode?: RecordingMode;
+
+  /** Fixture file path; required unless mode is 'passthrough' */
+  path?: string;
+
+  /**
+   * JSON body fields ignored when matching requests, at any depth
+   * @default ['sdkEventId', 'clientVersion']
+   */
+  ignoreBodyFields?: string[];
+}
+
+/**
+ * Request as matched in replay mode: query parameters sorted, JSON body
+ * keys sorted and ignored fields removed
+ */
+export interface RecordedRequest {
+  method: string;
+  path: string;
+  body: unknown;
+}
+
+/**
+ * Push invalidation settings
+ */
+export interface InvalidationOptions {
+  /**
+   * 'sse' keeps a server-sent events stream open; 'poll' long-polls for
+   * networks that cut idle streams. A custom transport or recording always
+   * long-polls, since they cannot keep a stream open
+   * @default 'sse'
+   */
+  mode?: 'sse' | 'poll';
+
+  /**
+   * First reconnect delay in milliseconds, doubled (with jitter) per failed attempt
+   * @default 1000
+   */
+  reconnectDelay?: number;
+
+  /**
+   * Upper bound for the reconnect delay, in milliseconds
+   * @default 30000
+   */
+  maxReconnectDelay?: number;
+
+  /**
+   * Reconnect when the stream sends nothing, not even a heartbeat, for this long
+   * @default 90000
+   */
+  heartbeatTimeout?: number;
+
+  /**
+   * How long the server may hold a long-poll request, in milliseconds
+   * @default 30000
+   */
+  pollTimeout?: number;
+
+  /**
+   * Minimum time between the starts of two long polls, in milliseconds. Polls
+   * the server answers early without changes are spaced out further, up to
+   * maxReconnectDelay.
+   * @default 1000
+   */
+  minPollInterval?: number;
+
+  /**
+   * Fetch evicted entries again in the background instead of on next use
+   * @default false
+   */
+  refresh?: boolean;
+}
+
+/**
+ * A prompt-change notification
+ */
+export interface PromptChange {
+  name: string;
+  versionId?: string;
+  label?: string;
+}
+
+export interface PromptChangeDisconnect {
+  /** Why the connection failed or ended; null when the server closed it */
+  error: Error | null;
+  /** Consecutive failed attempts, reset once connected */
+  attempt: number;
+  /** Milliseconds until the next attempt */
+  delay: number;
+}
+
+/**
+ * Prompt-change subscription exposed as client.invalidation
+ */
+export interface PromptChangeSubscriber {
+  isConnected(): boolean;
+
+  on(event: 'connect', listener: () => void): this;
+  on(event: 'change', listener: (change: PromptChange) => void): this;
+  on(event: 'disconnect', listener: (info: PromptChangeDisconnect) => void): this;
+  /** The API answered 404: it does not serve prompt changes, and the subscription stops */
+  on(event: 'unsupported', listener: (error: LaikaServiceError) => void): this;
+  off(event: 'connect', listener: () => void): this;
+  off(event: 'change', listener: (change: PromptChange) => void): this;
+  off(event: 'disconnect', listener: (info: PromptChangeDisconnect) => void): this;
+  off(event: 'unsupported', listener: (error: LaikaServiceError) => void): this;
+}
+
+/**
+ * Options for client.createWebhookHandler
+ */
+export interface WebhookHandlerOptions {
+  /**
+   * Shared secret; requests must carry X-LaikaTest-Signature: sha256=<hex HMAC-SHA256 of the raw body>.
+   * Frameworks that parse the body must expose the raw bytes as req.rawBody.
+   * Required unless allowUnsigned is true
+   */
+  secret?: string;
+
+  /**
+   * Accept webhooks without a signature. Anyone who can reach the route can
+   * then evict prompts, so only use it behind another authentication layer
+   * @default false
+   */
+  allowUnsigned?: boolean;
+
+  /**
+   * Fetch evicted entries again in the background
+   * @default the invalidation.refresh client option
+   */
+  refresh?: boolean;
+}
+
+/**
+ * Value stored by PromptCache in a cache adapter
+ */
+export interface CacheEntry<C = PromptContent> {
+  content: C;
+  /** Epoch milliseconds when the content was fetched from the API */
+  fetchedAt: number;
+}
+
+/**
+ * Storage backend contract for the prompt cache.
+ * Values are JSON-serializable; TTL and staleness are enforced by the client,
+ * so an adapter only needs to store and return what it was given.
+ * Adapter errors are treated as cache misses and never fail getPrompt.
+ */
+export interface CacheAdapter {
+  /** Return the stored value, or null/undefined when missing */
+  get(key: string): Promise<CacheEntry | null | undefined>;
+
+  /**
+   * Store a value.
+   * @param ttl - Milliseconds after which the value is no longer useful;
+   * backends with native expiry (e.g. Redis PX) can use it to evict
+   */
+  set(key: string, value: CacheEntry, ttl: number): Promise<void>;
+
+  /** Remove a single value */
+  delete(key: string): Promise<void>;
+
+  /** Remove every value owned by this adapter */
+  clear(): Promise<void>;
+
+  /** Optional cleanup, called by client.destroy() */
+  destroy?(): void;
+}
+
+/**
+ * In-process cache adapter backed by a Map (the default)
+ */
+export class MemoryCacheAdapter implements CacheAdapter {
+  /**
+   * @param options.cleanupInterval - How often expired values are swept, in milliseconds (default: 300000)
+   */
+  constructor(options?: { cleanupInterval?: number });
+  get(key: string): Promise<CacheEntry | null>;
+  set(key: string, value: CacheEntry, ttl: number): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+  /** Number of stored values, including expired ones not yet swept */
+  size(): number;
+  destroy(): void;
+}
+
+/**
+ * Persistent cache adapter storing one JSON file per prompt in a directory,
+ * so prompts survive restarts and deploys start warm
+ */
+export class FileCacheAdapter implements CacheAdapter {
+  constructor(options: { dir: string });
+  get(key: string): Promise<CacheEntry | null>;
+  set(key: string, value: CacheEntry, ttl: number): Promise<void>;
+  delete(key: string): Promise<void>;
+  /** Remove the adapter's laikatest-cache-* files; other files in dir are kept */
+  clear(): Promise<void>;
 }
 
 /**
  * Options for getPrompt method
  */
-export interface GetPromptOptions {
+export interface GetPromptOptions extends CallOptions {
   /**
    * Specific version ID to retrieve
    * If not provided, fetches the current published version
    */
   versionId?: string;
 
+  /**
+   * Deployment label (e.g. "production", "staging") resolved by the API to
+   * the version it currently points to. Cannot be combined with versionId
+   */
+  label?: string;
+
   /**
    * Bypass cache and force fresh fetch from API
    * @default false
@@ -186,7 +1187,7 @@ export interface GetPromptOptions {
 /**
  * Response from getPrompt method
  */
-export interface PromptResponse<C = PromptContent> extends Prompt<C> {}
+export interface PromptResponse<C = PromptContent, V extends PromptVariables = PromptVariables> extends Prompt<C, V> {}
 
 // ============================================================================
 // ERROR CLASSES
@@ -195,6 +1196,37 @@ export interface PromptResponse<C = PromptContent> extends Prompt<C> {}
 /**
  * API or service-related errors (4xx, 5xx responses)
  */
+/**
+ * Experiment evaluated in the current async context, used for tracing
+ */
+export interface ExperimentContext {
+  experimentId: string;
+  /** Bucket the user was assigned to */
+  variantId: string;
+  userId: string | null;
+}
+
+/**
+ * Run a callback in an isolated experiment context. Experiments evaluated
+ * anywhere in its async call chain, including in parallel, share one list.
+ */
+export function runWithExperimentContext<T>(callback: () => T): T;
+
+/**
+ * All experiments evaluated in the current async context, oldest first
+ */
+export function getCurrentExperiments(): ExperimentContext[];
+
+/**
+ * The most recently evaluated experiment in the current async context
+ */
+export function getCurrentExperiment(): ExperimentContext | null;
+
+/**
+ * Forget the experiments evaluated in the current async context
+ */
+export function clearCurrentExperiment(): void;
+
 export class LaikaServiceError extends Error {
   name: 'LaikaServiceError';
   statusCode: number;
@@ -207,16 +1239,53 @@ export class LaikaServiceError extends Error {
  * Network connectivity or timeout errors
  */
 export class NetworkError extends Error {
-  name: 'NetworkError';
+  name: 'NetworkError' | 'CircuitOpenError' | 'TimeoutError';
   originalError: Error;
 
   constructor(message: string, originalError: Error);
 }
 
+/**
+ * Thrown without contacting the API while the circuit breaker is open
+ */
+export class CircuitOpenError extends NetworkError {
+  name: 'CircuitOpenError';
+  /** Epoch milliseconds when a trial request will be allowed, if known */
+  retryAt: number | null;
+
+  constructor(message: string, retryAt: number | null);
+}
+
+/**
+ * A request attempt or a call with a `timeout` option ran out of time
+ */
+export class TimeoutError extends NetworkError {
+  name: 'TimeoutError';
+  /** The limit that was exceeded, in milliseconds */
+  timeout: number;
+
+  constructor(message: string, timeout: number);
+}
+
+/**
+ * A call cancelled through its AbortSignal
+ */
+export class AbortError extends Error {
+  name: 'AbortError';
+  /** The signal's abort reason, if any */
+  reason: unknown;
+
+  constructor(message: string, reason?: unknown);
+}
+
 /**
  * Input validation errors
  */
 export class ValidationError extends Error {
+  /** Set when strict compile finds variables the prompt needs but were not provided */
+  missingVariables?: string[];
+  /** Set when strict compile is given variables the prompt never reads */
+  unexpectedVariables?: string[];
   name: 'ValidationError';
 
   constructor(message: string);
@@ -230,3 +1299,14 @@ export class AuthenticationError extends Error {
 
   constructor(message: string);
 }
+
+/**
+ * Raised in replay mode when a request has no recorded response
+ */
+export class UnmatchedRequestError extends Error {
+  name: 'UnmatchedRequestError';
+  /** The normalized request that was looked up */
+  request: RecordedRequest;
+
+  constructor(message: string, request: RecordedRequest);
+}
@@ -0,0 +1,273 @@
+/**
+ * Unit tests for push-based prompt invalidation
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { LaikaTest, LaikaServiceError, ValidationError } = require('./index');
+const { makeHttpRequest } = require('./lib/http');
+const { createEventStreamParser } = require('./lib/invalidation');
+
+// Local API: `routes[pathname](req, res)` handles each request
+function startServer(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    requests.push({ path: url.pathname, query: url.searchParams, headers: req.headers });
+    const route = routes[url.pathname] || (url.pathname.startsWith('/api/v1/prompts/by-name/') && routes.prompt);
+    if (route) {
+      route(req, res, url);
+    } else {
+      res.statusCode = 404;
+      res.end(JSON.stringify({ success: false, error: 'Not found' }));
+    }
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    server,
+    requests,
+    baseUrl: `http://127.0.0.1:${server.address().port}`
+  })));
+}
+
+function stopServer({ server }) {
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(resolve));
+}
+
+function servePrompt(content) {
+  return (req, res) => {
+    const data = { type: 'text', content: JSON.stringify([{ content }]) };
+    res.end(JSON.stringify({ success: true, data }));
+  };
+}
+
+function once(emitter, event) {
+  return new Promise(resolve => emitter.once(event, resolve));
+}
+
+describe('createEventStreamParser', () => {
+  test('parses events split across chunks and skips comments', () => {
+    const events = [];
+    const parse = createEventStreamParser(event => events.push(event));
+
+    parse(': heartbeat\n\nid: 7\nevent: prompt.cha');
+    parse('nged\ndata: {"name":\ndata: "a"}\r\n\r\ndata: plain\n\n');
+
+    expect(events).toEqual([
+      { type: 'prompt.changed', data: '{"name":\n"a"}', id: '7' },
+      { type: 'message', data: 'plain', id: '7' }
+    ]);
+  });
+});
+
+describe('Prompt change stream', () => {
+  let api;
+  let client;
+
+  afterEach(async () => {
+    if (client) {
+      await client.destroy();
+      client = null;
+    }
+    await stopServer(api);
+  });
+
+  test('evicts cached entries of a changed prompt and resumes from the last event id', async () => {
+    let connections = 0;
+    api = await startServer({
+      '/api/v1/prompts/changes/stream': (req, res) => {
+        connections++;
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        if (connections === 1) {
+          res.end('id: 41\nevent: prompt.changed\ndata: {"name":"greeting"}\n\n');
+        } else {
+          res.write(': connected\n\n');
+        }
+      }
+    });
+
+    client = new LaikaTest('test-key', { baseUrl: api.baseUrl, invalidation: { reconnectDelay: 10 } });
+    await client.cache.set('greeting', undefined, 'Hello');
+    await client.cache.set('greeting', { label: 'production' }, 'Hello');
+    await client.cache.set('other', undefined, 'Other');
+
+    await once(client.invalidation, 'change');
+    await once(client.invalidation, 'connect');
+
+    expect(await client.cache.get('greeting')).toBeNull();
+    expect(await client.cache.get('greeting', { label: 'production' })).toBeNull();
+    expect(await client.cache.get('other')).toBe('Other');
+    expect(api.requests[0].headers.authorization).toBe('Bearer test-key');
+    expect(api.requests[1].headers['last-event-id']).toBe('41');
+  });
+
+  test('reconnects with backoff after API errors', async () => {
+    let connections = 0;
+    api = await startServer({
+      '/api/v1/prompts/changes/stream': (req, res) => {
+        connections++;
+        if (connections === 1) {
+          res.statusCode = 503;
+          res.end(JSON.stringify({ success: false, error: 'Unavailable' }));
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(': connected\n\n');
+      }
+    });
+
+    client = new LaikaTest('test-key', { baseUrl: api.baseUrl, invalidation: { reconnectDelay: 10 } });
+    const disconnect = await once(client.invalidation, 'disconnect');
+    await once(client.invalidation, 'connect');
+
+    expect(disconnect.error).toBeInstanceOf(LaikaServiceError);
+    expect(disconnect.attempt).toBe(1);
+    expect(client.invalidation.isConnected()).toBe(true);
+  });
+
+  test('long polls with the returned cursor and refreshes evicted entries', async () => {
+    let polls = 0;
+    api = await startServer({
+      '/api/v1/prompts/changes': (req, res) => {
+        polls++;
+        const changes = polls === 1 ? [{ name: 'greeting' }] : [];
+        // Later polls are held open like the server does until a change
+        setTimeout(() => res.end(JSON.stringify({ success: true, data: { changes, cursor: `c${polls}` } })), polls === 1 ? 0 : 50);
+      },
+      prompt: servePrompt('Hello v2')
+    });
+
+    client = new LaikaTest('test-key', { baseUrl: api.baseUrl, invalidation: { mode: 'poll', pollTimeout: 1000, minPollInterval: 10, refresh: true } });
+    await client.cache.set('greeting', undefined, 'Hello v1');
+
+    await once(client.invalidation, 'change');
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    expect(await client.cache.get('greeting')).toBe('Hello v2');
+    const pollRequests = api.requests.filter(r => r.path === '/api/v1/prompts/changes');
+    expect(pollRequests[0].query.get('timeout')).toBe('1');
+    expect(pollRequests[1].query.get('cursor')).toBe('c1');
+  });
+
+  test('spaces out polls the server answers immediately without changes', async () => {
+    api = await startServer({
+      '/api/v1/prompts/changes': (req, res) => res.end(JSON.stringify({ success: true, data: { changes: [] } }))
+    });
+
+    client = new LaikaTest('test-key', { baseUrl: api.baseUrl, invalidation: { mode: 'poll', minPollInterval: 50 } });
+    await once(client.invalidation, 'connect');
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    // At least 50ms apart instead of back to back
+    expect(api.requests.length).toBeGreaterThanOrEqual(2);
+    expect(api.requests.length).toBeLessThanOrEqual(7);
+  });
+
+  test('sends change requests through the client transport and request events', async () => {
+    let polls = 0;
+    api = await startServer({
+      '/api/v1/prompts/changes': (req, res) => {
+        polls++;
+        const changes = polls === 1 ? [{ name: 'greeting' }] : [];
+        setTimeout(() => res.end(JSON.stringify({ success: true, data: { changes, cursor: `c${polls}` } })), polls === 1 ? 0 : 50);
+      }
+    });
+    const transport = jest.fn(makeHttpRequest);
+
+    // A custom transport cannot stream, so the subscription long-polls through it
+    client = new LaikaTest('test-key', { baseUrl: api.baseUrl, transport, invalidation: { pollTimeout: 1000, minPollInterval: 10 } });
+    const started = once(client, 'request:start');
+    await once(client.invalidation, 'change');
+
+    expect(transport.mock.calls[0][0]).toBe(`${api.baseUrl}/api/v1/prompts/changes?timeout=1`);
+    expect((await started).url).toBe(`${api.baseUrl}/api/v1/prompts/changes?timeout=1&cursor=c1`);
+    expect(api.requests.every(r => r.path === '/api/v1/prompts/changes')).toBe(true);
+  });
+
+  test('stops and reports when the API does not serve prompt changes', async () => {
+    api = await startServer({});
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+    client = new LaikaTest('test-key', { baseUrl: api.baseUrl, logger, invalidation: { reconnectDelay: 10 } });
+    const error = await once(client.invalidation, 'unsupported');
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(error.statusCode).toBe(404);
+    expect(api.requests).toHaveLength(1);
+    expect(logger.warn).toHaveBeenCalledWith(expect.anything(), 'The LaikaTest API does not serve prompt changes; push invalidation is off');
+  });
+});
+
+describe('Webhook handler', () => {
+  let client;
+
+  beforeEach(async () => {
+    client = new LaikaTest('test-key');
+    await client.cache.set('greeting', undefined, 'Hello');
+  });
+
+  afterEach(async () => {
+    await client.destroy();
+  });
+
+  function call(handler, body, headers = {}) {
+    const req = Readable.from([Buffer.from(body)]);
+    req.headers = headers;
+    const res = {
+      headers: {},
+      setHeader(name, value) { this.headers[name] = value; },
+      end(data) { this.body = data; }
+    };
+    return handler(req, res).then(() => res);
+  }
+
+  function sign(body, secret) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+  }
+
+  test('evicts prompts named in a signed webhook', async () => {
+    const handler = client.createWebhookHandler({ secret: 'shh' });
+    const body = JSON.stringify({ changes: [{ name: 'greeting' }] });
+
+    const res = await call(handler, body, { 'x-laikatest-signature': sign(body, 'shh') });
+
+    expect(res.statusCode).toBe(204);
+    expect(await client.cache.get('greeting')).toBeNull();
+  });
+
+  test('rejects bad signatures and malformed bodies', async () => {
+    const handler = client.createWebhookHandler({ secret: 'shh' });
+    const body = JSON.stringify({ name: 'greeting' });
+
+    expect((await call(handler, body, { 'x-laikatest-signature': sign(body, 'wrong') })).statusCode).toBe(401);
+    expect((await call(handler, body)).statusCode).toBe(401);
+    expect((await call(client.createWebhookHandler({ allowUnsigned: true }), '{"prompt":"greeting"}')).statusCode).toBe(400);
+    expect(await client.cache.get('greeting')).toBe('Hello');
+  });
+
+  test('requires a secret unless unsigned webhooks are allowed explicitly', () => {
+    expect(() => client.createWebhookHandler()).toThrow('createWebhookHandler requires a secret (or allowUnsigned: true)');
+    expect(() => client.createWebhookHandler({ refresh: true })).toThrow(ValidationError);
+  });
+
+  test('asks for the raw body when a framework parsed a signed webhook', async () => {
+    const handler = client.createWebhookHandler({ secret: 'shh' });
+    const res = { setHeader() {}, end() {} };
+
+    await handler({ headers: {}, body: { name: 'greeting' } }, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(await client.cache.get('greeting')).toBe('Hello');
+  });
+
+  test('accepts bodies already parsed by a framework with allowUnsigned', async () => {
+    const handler = client.createWebhookHandler({ allowUnsigned: true });
+    const res = { setHeader() {}, end() {} };
+
+    await handler({ headers: {}, body: { name: 'greeting' } }, res);
+
+    expect(res.statusCode).toBe(204);
+    expect(await client.cache.get('greeting')).toBeNull();
+  });
+});
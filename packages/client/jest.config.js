@@ -0,0 +1,5 @@
+module.exports = {
+  testEnvironment: 'node',
+  // test.js is the old live-API script, not a jest suite
+  testMatch: ['<rootDir>/**/*.test.js']
+};
@@ -0,0 +1,79 @@
+/**
+ * Unit tests for fetching prompts by deployment label
+ */
+
+jest.mock('./lib/http', () => require('./test/helpers').httpMock());
+
+const { makeHttpRequest } = require('./lib/http');
+const { textResponse } = require('./test/helpers');
+const { LaikaTest, ValidationError } = require('./index');
+const { PromptCache } = require('./lib/cache');
+
+describe('Prompt labels', () => {
+  let client;
+
+  beforeEach(() => {
+    makeHttpRequest.mockReset();
+    client = new LaikaTest('test-key');
+  });
+
+  afterEach(async () => {
+    await client.destroy();
+  });
+
+  test('requests the version the label points to and exposes the label', async () => {
+    makeHttpRequest.mockResolvedValue(textResponse('Hello from production'));
+
+    const prompt = await client.getPrompt('greeting', { label: 'production' });
+
+    const url = new URL(makeHttpRequest.mock.calls[0][0]);
+    expect(url.searchParams.get('label')).toBe('production');
+    expect(url.searchParams.has('versionNumber')).toBe(false);
+    expect(prompt.getContent()).toBe('Hello from production');
+    expect(prompt.getLabel()).toBe('production');
+    expect(prompt.compile({}).getLabel()).toBe('production');
+  });
+
+  test('caches labels apart from each other and from numeric versions', async () => {
+    makeHttpRequest
+      .mockResolvedValueOnce(textResponse('production'))
+      .mockResolvedValueOnce(textResponse('staging'))
+      .mockResolvedValueOnce(textResponse('current'));
+
+    await client.getPrompt('greeting', { label: 'production' });
+    await client.getPrompt('greeting', { label: 'staging' });
+    const current = await client.getPrompt('greeting');
+    const production = await client.getPrompt('greeting', { label: 'production' });
+
+    expect(makeHttpRequest).toHaveBeenCalledTimes(3);
+    expect(current.getLabel()).toBeNull();
+    expect(production.getContent()).toBe('production');
+  });
+
+  test('generateKey never confuses labels with versions', () => {
+    const cache = new PromptCache();
+
+    expect(cache.generateKey('greeting', { label: 'production' })).toBe('greeting@production');
+    expect(cache.generateKey('greeting', '3')).toBe('greeting:3');
+    cache.destroy();
+  });
+
+  test('serves labelled prompts from "name@label" fallback entries', async () => {
+    await client.destroy();
+    client = new LaikaTest('test-key', { cacheEnabled: false, fallbackPrompts: { 'greeting@production': 'Offline hello' } });
+    makeHttpRequest.mockRejectedValue(new Error('ECONNREFUSED'));
+
+    const prompt = await client.getPrompt('greeting', { label: 'production' });
+
+    expect(prompt.getContent()).toBe('Offline hello');
+    expect(prompt.isFallback()).toBe(true);
+  });
+
+  test('rejects invalid labels and combining a label with a version', async () => {
+    await expect(client.getPrompt('greeting', { label: '' })).rejects.toBeInstanceOf(ValidationError);
+    await expect(client.getPrompt('greeting', { label: 'v3' })).rejects.toThrow('must not look like a version number');
+    await expect(client.getPrompt('greeting', { label: 'prod env' })).rejects.toBeInstanceOf(ValidationError);
+    await expect(client.getPrompt('greeting', { label: 'production', versionId: '3' })).rejects.toThrow('either versionId or label');
+    expect(makeHttpRequest).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,130 @@
+// lib/abort.js
+// Cancellation for client calls: the { signal, timeout } call options
+
+const { AbortError, TimeoutError } = require('./errors');
+
+// Errors call signals were aborted with; signal.reason is missing on older runtimes
+const abortReasons = new WeakMap();
+
+// Stand-in for runtimes without a global AbortController (Node.js 14): the
+// part of AbortSignal the SDK and custom transports rely on
+class FallbackAbortController {
+  constructor() {
+    const listeners = new Set();
+    this.listeners = listeners;
+    this.signal = {
+      aborted: false,
+      reason: undefined,
+      addEventListener(type, listener) {
+        if (type === 'abort') {
+          listeners.add(listener);
+        }
+      },
+      removeEventListener(type, listener) {
+        listeners.delete(listener);
+      }
+    };
+  }
+
+  // Listeners run once, like ones added with { once: true }
+  abort(reason) {
+    if (this.signal.aborted) {
+      return;
+    }
+    this.signal.aborted = true;
+    this.signal.reason = reason;
+    const listeners = Array.from(this.listeners);
+    this.listeners.clear();
+    listeners.forEach(listener => listener.call(this.signal, { type: 'abort' }));
+  }
+}
+
+function createAbortController() {
+  return typeof AbortController === 'function' ? new AbortController() : new FallbackAbortController();
+}
+
+// The error a call aborted through `signal` rejects with
+function abortReason(signal) {
+  return abortReasons.get(signal) || new AbortError('The operation was aborted', signal.reason);
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw abortReason(signal);
+  }
+}
+
+// Signal for one call that aborts with an AbortError when the caller's signal
+// does, or with a TimeoutError once `timeout` ms have passed. Returns null
+// when neither option is set; call dispose() when the call settles.
+function createCallSignal(options = {}) {
+  const { signal, timeout } = options;
+  if (!signal && !timeout) {
+    return null;
+  }
+
+  const controller = createAbortController();
+  const abort = error => {
+    if (!controller.signal.aborted) {
+      abortReasons.set(controller.signal, error);
+      controller.abort(error);
+    }
+  };
+  const onAbort = () => abort(abortReason(signal));
+  const timer = timeout
+    ? setTimeout(() => abort(new TimeoutError(`Operation timed out after ${timeout}ms`, timeout)), timeout)
+    : null;
+  if (signal) {
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  }
+
+  return {
+    signal: controller.signal,
+    dispose() {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+  };
+}
+
+// Settle like `promise`, or reject with the abort reason as soon as `signal`
+// aborts (calling onAbort first). The promise itself keeps running.
+function abortable(promise, signal, onAbort) {
+  if (!signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      if (onAbort) {
+        onAbort();
+      }
+      reject(abortReason(signal));
+    };
+    if (signal.aborted) {
+      abort();
+    } else {
+      signal.addEventListener('abort', abort, { once: true });
+    }
+    promise.then(value => {
+      signal.removeEventListener('abort', abort);
+      resolve(value);
+    }, error => {
+      signal.removeEventListener('abort', abort);
+      reject(error);
+    });
+  });
+}
+
+module.exports = {
+  createAbortController,
+  abortReason,
+  throwIfAborted,
+  createCallSignal,
+  abortable
+};
@@ -1,64 +1,184 @@
 // lib/cache.js
 // TTL-based caching for LaikaTest SDK
 
-// TTL-based cache for storing fetched prompts
+const { MemoryCacheAdapter } = require('./cache_adapters');
+
+// Key for a prompt name and optional version, where the version is a
+// version ID or a deployment label ({ label })
+function generatePromptKey(promptName, versionId) {
+  if (versionId && versionId.label) {
+    return `${promptName}@${versionId.label}`;
+  }
+  return versionId
+    ? `${promptName}:${versionId}`
+    : `${promptName}`;
+}
+
+// TTL-based cache for storing fetched prompts in a pluggable adapter
 class PromptCache {
-  constructor(ttl = 30 * 60 * 1000) {
-    this.cache = new Map();
+  constructor(ttl = 30 * 60 * 1000, options = {}) {
+    this.adapter = options.adapter || new MemoryCacheAdapter();
     this.ttl = ttl;
-    this.cleanupInterval = setInterval(() => this.cleanup(), 5 * 60 * 1000);
+
+    // Stale-while-revalidate keeps serving expired entries up to maxStale
+    this.staleWhileRevalidate = options.staleWhileRevalidate === true;
+    this.maxStale = options.maxStale !== undefined ? options.maxStale : 24 * 60 * 60 * 1000;
+    this.refreshing = new Set();
+
+    // Versions seen per prompt name, so invalidate() can find every key
+    this.versions = new Map();
+
+    this.hits = 0;
+    this.staleHits = 0;
+    this.misses = 0;
+    this.evictions = 0;
   }
 
-  // Generate cache key from prompt name and optional version
+  // Generate cache key from prompt name and optional version or label
   generateKey(promptName, versionId) {
-    return versionId
-      ? `${promptName}:${versionId}`
-      : `${promptName}`;
+    return generatePromptKey(promptName, versionId);
   }
 
-  // Store prompt content with timestamp
-  set(promptName, versionId, content) {
+  // Age after which an entry is removed entirely
+  maxAge() {
+    return this.staleWhileRevalidate ? this.ttl + this.maxStale : this.ttl;
+  }
+
+  // Remember that an entry exists for this prompt name and version
+  track(promptName, versionId) {
+    if (!this.versions.has(promptName)) {
+      this.versions.set(promptName, new Map());
+    }
+    this.versions.get(promptName).set(this.generateKey(promptName, versionId), versionId);
+  }
+
+  // Forget an entry; returns true if it was tracked
+  untrack(promptName, versionId) {
+    const seen = this.versions.get(promptName);
+    const removed = Boolean(seen) && seen.delete(this.generateKey(promptName, versionId));
+    if (seen && seen.size === 0) {
+      this.versions.delete(promptName);
+    }
+    return removed;
+  }
+
+  // Store prompt content with timestamp; adapter failures never fail the caller
+  async set(promptName, versionId, content) {
     const key = this.generateKey(promptName, versionId);
-    this.cache.set(key, {
-      content,
-      fetchedAt: Date.now()
-    });
+    this.track(promptName, versionId);
+    try {
+      await this.adapter.set(key, { content, fetchedAt: Date.now() }, this.maxAge());
+    } catch (error) {
+      // A broken cache backend degrades to fetching from the API
+    }
   }
 
-  // Retrieve prompt content if not expired
-  get(promptName, versionId) {
+  // Retrieve entry with its staleness, or null if missing or too old
+  async getEntry(promptName, versionId) {
     const key = this.generateKey(promptName, versionId);
-    const entry = this.cache.get(key);
+    let entry;
+    try {
+      entry = await this.adapter.get(key);
+    } catch (error) {
+      this.misses++;
+      return null;
+    }
 
     if (!entry) {
+      this.misses++;
+      // A tracked entry the adapter no longer has was expired by the adapter
+      if (this.untrack(promptName, versionId)) {
+        this.evictions++;
+      }
       return null;
     }
 
-    if (Date.now() - entry.fetchedAt > this.ttl) {
-      this.cache.delete(key);
+    const age = Date.now() - entry.fetchedAt;
+    if (age > this.maxAge()) {
+      this.misses++;
+      this.evictions++;
+      this.untrack(promptName, versionId);
+      await this.delete(promptName, versionId);
       return null;
     }
-    return entry.content;
+    this.track(promptName, versionId);
+
+    const stale = age > this.ttl;
+    this.hits++;
+    if (stale) {
+      this.staleHits++;
+    }
+    return { content: entry.content, stale };
   }
 
-  // Remove expired entries from cache
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.cache.entries()) {
-      if (now - entry.fetchedAt > this.ttl) {
-        this.cache.delete(key);
-      }
+  // Retrieve prompt content if not expired
+  async get(promptName, versionId) {
+    const entry = await this.getEntry(promptName, versionId);
+    return entry ? entry.content : null;
+  }
+
+  // Refresh an entry in the background, one refresh per key at a time.
+  // `fetcher` stores the fresh content; on failure the stale entry is kept
+  // until it exceeds maxStale.
+  revalidate(promptName, versionId, fetcher) {
+    const key = this.generateKey(promptName, versionId);
+    if (this.refreshing.has(key)) {
+      return Promise.resolve();
     }
+
+    this.refreshing.add(key);
+    return Promise.resolve()
+      .then(fetcher)
+      .catch(() => {})
+      .finally(() => this.refreshing.delete(key));
+  }
+
+  // Remove a single entry
+  async delete(promptName, versionId) {
+    try {
+      await this.adapter.delete(this.generateKey(promptName, versionId));
+    } catch (error) {
+      // Ignore backend failures; the entry expires on its own
+    }
+  }
+
+  // Remove the current version of a prompt plus every version and label
+  // entry this cache has seen. Returns the seen versions, undefined meaning
+  // the current version.
+  async invalidate(promptName) {
+    const seen = this.versions.get(promptName) || new Map();
+    this.versions.delete(promptName);
+
+    const versions = Array.from(seen.values());
+    const removed = seen.has(this.generateKey(promptName)) ? versions : versions.concat(undefined);
+    await Promise.all(removed.map(versionId => this.delete(promptName, versionId)));
+    this.evictions += versions.length;
+    return versions;
+  }
+
+  // Lookup counters plus the entry count when the adapter can report it
+  getStats() {
+    return {
+      size: typeof this.adapter.size === 'function' ? this.adapter.size() : null,
+      hits: this.hits,
+      staleHits: this.staleHits,
+      misses: this.misses,
+      evictions: this.evictions
+    };
+  }
+
+  // Remove all entries
+  async clear() {
+    this.versions.clear();
+    await this.adapter.clear();
   }
 
-  // Clear all cache entries and stop cleanup
+  // Release adapter resources (stops the in-memory sweeper)
   destroy() {
-    if (this.cleanupInterval) {
-      clearInterval(this.cleanupInterval);
-      this.cleanupInterval = null;
+    if (typeof this.adapter.destroy === 'function') {
+      this.adapter.destroy();
     }
-    this.cache.clear();
   }
 }
 
-module.exports = { PromptCache };
+module.exports = { PromptCache, generatePromptKey };
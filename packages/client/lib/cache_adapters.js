@@ -0,0 +1,74 @@
+// lib/cache_adapters.js
+// Storage backends for PromptCache
+//
+// Adapter contract (all methods may return promises):
+//   get(key)             -> stored value, or null/undefined when missing
+//   set(key, value, ttl) -> store a JSON-serializable value; ttl is a hint in
+//                           milliseconds after which the value is useless
+//   delete(key)          -> remove one value
+//   clear()              -> remove every value owned by the adapter
+//   destroy()            -> optional, called by client.destroy()
+
+// In-process adapter backed by a Map with a periodic sweeper
+class MemoryCacheAdapter {
+  constructor(options = {}) {
+    this.store = new Map();
+    const cleanupEvery = options.cleanupInterval || 5 * 60 * 1000;
+    this.cleanupInterval = setInterval(() => this.cleanup(), cleanupEvery);
+  }
+
+  async get(key) {
+    const item = this.store.get(key);
+    if (!item) {
+      return null;
+    }
+    if (item.expiresAt !== null && Date.now() > item.expiresAt) {
+      this.store.delete(key);
+      return null;
+    }
+    return item.value;
+  }
+
+  async set(key, value, ttl) {
+    this.store.set(key, {
+      value,
+      expiresAt: ttl ? Date.now() + ttl : null
+    });
+  }
+
+  async delete(key) {
+    this.store.delete(key);
+  }
+
+  async clear() {
+    this.store.clear();
+  }
+
+  // Number of stored values, including expired ones not yet swept
+  size() {
+    return this.store.size;
+  }
+
+  // Remove expired values
+  cleanup() {
+    const now = Date.now();
+    for (const [key, item] of this.store.entries()) {
+      if (item.expiresAt !== null && now > item.expiresAt) {
+        this.store.delete(key);
+      }
+    }
+  }
+
+  // Clear all values and stop the sweeper
+  destroy() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+    this.store.clear();
+  }
+}
+
+module.exports = {
+  MemoryCacheAdapter
+};
@@ -0,0 +1,144 @@
+// lib/circuit_breaker.js
+// Circuit breaker guarding LaikaTest API calls
+
+const { EventEmitter } = require('./emitter');
+const { CircuitOpenError, AbortError } = require('./errors');
+
+const DEFAULT_CIRCUIT_BREAKER_OPTIONS = {
+  failureThreshold: 0.5,
+  minimumRequests: 10,
+  windowSize: 20,
+  resetTimeout: 30000,
+  halfOpenMaxRequests: 1
+};
+
+// Server-side failures count against the circuit; 4xx are caller problems
+function isFailedResponse(response) {
+  return !response || response.statusCode >= 500;
+}
+
+// Closed -> open when the failure rate over the rolling window reaches the
+// threshold; open -> half-open after resetTimeout; half-open -> closed on a
+// successful trial request, or back to open on a failed one.
+// Emits 'stateChange' ({ from, to }) plus 'open', 'halfOpen' and 'close'.
+class CircuitBreaker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = Object.assign({}, DEFAULT_CIRCUIT_BREAKER_OPTIONS, options);
+    this.state = 'closed';
+    this.outcomes = [];
+    this.openedAt = null;
+    this.halfOpenInFlight = 0;
+  }
+
+  // Current state, moving open -> half-open once resetTimeout has elapsed
+  getState() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.options.resetTimeout) {
+      this.transition('half-open');
+    }
+    return this.state;
+  }
+
+  // Failure rate and sample size over the rolling window
+  getStats() {
+    const failures = this.outcomes.filter(Boolean).length;
+    return {
+      state: this.getState(),
+      requests: this.outcomes.length,
+      failures,
+      failureRate: this.outcomes.length ? failures / this.outcomes.length : 0
+    };
+  }
+
+  // Run a request through the breaker, failing fast while it is open.
+  // Requests the caller aborted say nothing about the API and are not counted.
+  async execute(fn, isFailure = isFailedResponse) {
+    this.beforeRequest();
+
+    let result;
+    try {
+      result = await fn();
+    } catch (error) {
+      if (error instanceof AbortError) {
+        this.releaseTrial();
+      } else {
+        this.recordOutcome(true);
+      }
+      throw error;
+    }
+    this.recordOutcome(isFailure(result));
+    return result;
+  }
+
+  beforeRequest() {
+    const state = this.getState();
+    if (state === 'open') {
+      throw new CircuitOpenError('Circuit breaker is open: LaikaTest API calls are suspended', this.openedAt + this.options.resetTimeout);
+    }
+    if (state === 'half-open') {
+      if (this.halfOpenInFlight >= this.options.halfOpenMaxRequests) {
+        throw new CircuitOpenError('Circuit breaker is half-open: waiting for trial request', null);
+      }
+      this.halfOpenInFlight++;
+    }
+  }
+
+  releaseTrial() {
+    if (this.state === 'half-open') {
+      this.halfOpenInFlight = Math.max(0, this.halfOpenInFlight - 1);
+    }
+  }
+
+  recordOutcome(failed) {
+    if (this.state === 'half-open') {
+      this.halfOpenInFlight = Math.max(0, this.halfOpenInFlight - 1);
+      if (failed) {
+        this.open();
+      } else {
+        this.close();
+      }
+      return;
+    }
+
+    if (this.state !== 'closed') {
+      return;
+    }
+
+    this.outcomes.push(failed);
+    if (this.outcomes.length > this.options.windowSize) {
+      this.outcomes.shift();
+    }
+
+    const { failures, requests, failureRate } = this.getStats();
+    if (failures > 0 && requests >= this.options.minimumRequests && failureRate >= this.options.failureThreshold) {
+      this.open();
+    }
+  }
+
+  open() {
+    this.openedAt = Date.now();
+    this.transition('open');
+  }
+
+  close() {
+    this.outcomes = [];
+    this.openedAt = null;
+    this.transition('closed');
+  }
+
+  transition(to) {
+    const from = this.state;
+    if (from === to) {
+      return;
+    }
+    this.state = to;
+    this.halfOpenInFlight = 0;
+    this.emit('stateChange', { from, to });
+    this.emit(to === 'half-open' ? 'halfOpen' : to === 'closed' ? 'close' : 'open');
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  DEFAULT_CIRCUIT_BREAKER_OPTIONS
+};
@@ -0,0 +1,225 @@
+// lib/cli.js
+// `laikatest` command line: pull, diff and lock prompt versions
+//
+// Text prompts are written as <dir>/<name>.txt and chat prompts as
+// <dir>/<name>.json, with the content getPrompt returns.
+
+const fs = require('fs');
+const path = require('path');
+const { fetchPromptDetails } = require('./prompt_utils');
+const { AgentPool } = require('./transport');
+const { normalizeRetryPolicy } = require('./retry');
+const { validatePromptName, validateLabel } = require('./validation');
+const { readLockfile, writeLockfile, DEFAULT_LOCKFILE } = require('./lockfile');
+const { diffLines, formatDiff } = require('./text_diff');
+
+const DEFAULT_PROMPTS_DIR = 'prompts';
+const PROMPT_EXTENSIONS = ['.txt', '.json'];
+
+const USAGE = `Usage: laikatest <command> [prompt names...] [options]
+
+Commands:
+  pull    Write the latest prompt versions to files
+  diff    Compare prompt files with the latest remote versions
+  lock    Pin prompts to their latest versions in the lockfile
+
+Prompts default to those in the lockfile, then to the files in --dir.
+
+Options:
+  --dir <path>        Prompt files directory (default: ${DEFAULT_PROMPTS_DIR})
+  --lockfile <path>   Lockfile path (default: ${DEFAULT_LOCKFILE})
+  --label <label>     Use the version a deployment label points to instead of the latest
+  --base-url <url>    API base URL (default: https://api.laikatest.com)
+  --proxy <url>       HTTP proxy for HTTPS requests (default: HTTPS_PROXY, except NO_PROXY hosts)
+  --ca <path>         PEM file with extra CA certificates to trust
+  -h, --help          Show this help
+
+The API key is read from the LAIKATEST_API_KEY environment variable.
+Exit codes: 0 success, 1 differences found by diff, 2 errors.`;
+
+const VALUE_FLAGS = { '--dir': 'dir', '--lockfile': 'lockfile', '--label': 'label', '--base-url': 'baseUrl', '--proxy': 'proxy', '--ca': 'ca' };
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const args = { command: null, names: [], help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (VALUE_FLAGS[arg]) {
+      if (i + 1 >= argv.length) {
+        throw new UsageError(`${arg} needs a value`);
+      }
+      args[VALUE_FLAGS[arg]] = argv[++i];
+    } else if (arg.startsWith('-')) {
+      throw new UsageError(`Unknown option ${arg}`);
+    } else if (!args.command) {
+      args.command = arg;
+    } else {
+      args.names.push(arg);
+    }
+  }
+  return args;
+}
+
+function promptFileName(name, content) {
+  return encodeURIComponent(name) + (typeof content === 'string' ? '.txt' : '.json');
+}
+
+function serializeContent(content) {
+  return typeof content === 'string' ? content : JSON.stringify(content, null, 2) + '\n';
+}
+
+// Prompt files in dir as { name: filePath }
+function listPromptFiles(dir) {
+  let files;
+  try {
+    files = fs.readdirSync(dir);
+  } catch (error) {
+    return {};
+  }
+  const prompts = {};
+  files.sort().forEach(file => {
+    const extension = path.extname(file);
+    if (PROMPT_EXTENSIONS.includes(extension)) {
+      prompts[decodeURIComponent(path.basename(file, extension))] = path.join(dir, file);
+    }
+  });
+  return prompts;
+}
+
+function readLockedVersions(lockfile) {
+  return fs.existsSync(lockfile) ? readLockfile(lockfile) : {};
+}
+
+// Named prompts, else the lockfile's, else those with files in dir
+function selectPrompts(args, context) {
+  const names = args.names.length > 0
+    ? args.names
+    : Object.keys(readLockedVersions(context.lockfile)).concat(Object.keys(listPromptFiles(context.dir)))
+      .filter((name, index, all) => all.indexOf(name) === index);
+  if (names.length === 0) {
+    throw new UsageError('No prompts to work on: name them, or run from a directory with a lockfile or prompt files');
+  }
+  names.forEach(validatePromptName);
+  return names;
+}
+
+async function pull(names, context) {
+  fs.mkdirSync(context.dir, { recursive: true });
+  for (const name of names) {
+    const prompt = await context.fetch(name);
+    const existing = listPromptFiles(context.dir)[name];
+    const filePath = path.join(context.dir, promptFileName(name, prompt.content));
+    if (existing && existing !== filePath) {
+      fs.unlinkSync(existing); // the prompt changed between text and chat
+    }
+    fs.writeFileSync(filePath, serializeContent(prompt.content), 'utf8');
+    context.out(`Pulled ${name}${prompt.versionNumber ? ` (version ${prompt.versionNumber})` : ''} -> ${filePath}`);
+  }
+  return 0;
+}
+
+async function diff(names, context) {
+  const files = listPromptFiles(context.dir);
+  let changed = 0;
+  for (const name of names) {
+    const prompt = await context.fetch(name);
+    const remote = serializeContent(prompt.content);
+    const remoteLabel = `${name} (remote${prompt.versionNumber ? ` version ${prompt.versionNumber}` : ''})`;
+    const local = files[name] ? fs.readFileSync(files[name], 'utf8') : null;
+    if (local === remote) {
+      continue;
+    }
+
+    changed++;
+    context.out(`--- ${files[name] || `${name} (no local file)`}`);
+    context.out(`+++ ${remoteLabel}`);
+    context.out(formatDiff(diffLines(local === null ? '' : local, remote)));
+  }
+  context.out(changed === 0 ? 'Prompt files match the remote versions' : `${changed} prompt(s) differ`);
+  return changed === 0 ? 0 : 1;
+}
+
+async function lock(names, context) {
+  const versions = readLockedVersions(context.lockfile);
+  const files = listPromptFiles(context.dir);
+  for (const name of names) {
+    const prompt = await context.fetch(name);
+    if (!prompt.versionNumber) {
+      throw new Error(`The API did not report a version for ${name}`);
+    }
+    versions[name] = prompt.versionNumber;
+    context.out(`Locked ${name} to version ${prompt.versionNumber}`);
+    if (files[name] && fs.readFileSync(files[name], 'utf8') !== serializeContent(prompt.content)) {
+      context.err(`Warning: ${files[name]} differs from version ${prompt.versionNumber}; run laikatest pull`);
+    }
+  }
+  writeLockfile(context.lockfile, versions);
+  context.out(`Wrote ${context.lockfile}`);
+  return 0;
+}
+
+const COMMANDS = { pull, diff, lock };
+
+// Agents with the client's proxy and CA handling, reading the proxy
+// variables from `env`
+function createAgentPool(args, env, cwd) {
+  const proxyUrl = args.proxy || env.HTTPS_PROXY || env.https_proxy;
+  return new AgentPool({
+    proxy: proxyUrl ? { url: proxyUrl, noProxy: env.NO_PROXY || env.no_proxy || '' } : false,
+    ca: args.ca ? fs.readFileSync(path.resolve(cwd, args.ca), 'utf8') : undefined
+  });
+}
+
+// Run the CLI and resolve with the exit code
+async function run(argv, io = {}) {
+  const env = io.env || process.env;
+  const cwd = io.cwd || process.cwd();
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const out = line => stdout.write(line + '\n');
+  const err = line => stderr.write(line + '\n');
+
+  let agents = null;
+  try {
+    const args = parseArgs(argv);
+    if (args.help || !args.command) {
+      (args.help ? out : err)(USAGE);
+      return args.help ? 0 : 2;
+    }
+    const command = COMMANDS[args.command];
+    if (!command) {
+      throw new UsageError(`Unknown command "${args.command}"`);
+    }
+    if (!env.LAIKATEST_API_KEY) {
+      throw new UsageError('Set the LAIKATEST_API_KEY environment variable');
+    }
+
+    const label = validateLabel(args.label);
+    const baseUrl = args.baseUrl || env.LAIKATEST_BASE_URL || 'https://api.laikatest.com';
+    agents = createAgentPool(args, env, cwd);
+    const requestConfig = { timeout: 10000, retry: normalizeRetryPolicy(true), transport: agents.transport() };
+    const context = {
+      dir: path.resolve(cwd, args.dir || DEFAULT_PROMPTS_DIR),
+      lockfile: path.resolve(cwd, args.lockfile || DEFAULT_LOCKFILE),
+      fetch: name => fetchPromptDetails(env.LAIKATEST_API_KEY, baseUrl, name, label ? { label } : undefined, requestConfig),
+      out,
+      err
+    };
+    return await command(selectPrompts(args, context), context);
+  } catch (error) {
+    err(error instanceof UsageError ? `${error.message}\n\n${USAGE}` : `Error: ${error.message}`);
+    return 2;
+  } finally {
+    if (agents) {
+      agents.destroy();
+    }
+  }
+}
+
+module.exports = {
+  run,
+  USAGE
+};
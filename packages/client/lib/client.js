@@ -0,0 +1,607 @@
+// lib/client.js
+// LaikaTest client, shared by the Node.js (index.js) and runtime-agnostic
+// (web.js) builds; platform services come from lib/runtime.js
+
+const { EventEmitter } = require('./emitter');
+const { PromptCache, generatePromptKey } = require('./cache');
+const { fetchPrompt } = require('./prompt_utils');
+const { FallbackStore, isFallbackEligible } = require('./fallback');
+const { resolvePartials } = require('./partials');
+const { validateApiKey, validatePromptName, validateVersionId, validateLabel, validateExperimentTitle, validateScores, validateSessionOrUserId, validateCallOptions, validateClientOptions, validateRuntimeSupport } = require('./validation');
+const { Prompt } = require('./prompt');
+const { evaluateExperiment, fetchExperimentDefinitions } = require('./experiment');
+const { LocalExperiments } = require('./local_experiments');
+const { enterExperimentScope, recordExperiment } = require('./experiment_context');
+const { buildScorePayload, sendScore } = require('./score_utils');
+const { ScoreQueue } = require('./score_queue');
+const { isTransientError, isRedeliverable } = require('./global_utils');
+const { normalizeRetryPolicy } = require('./retry');
+const { CircuitBreaker } = require('./circuit_breaker');
+const { loadPrompts, summarize } = require('./prefetch');
+const { SingleFlight } = require('./single_flight');
+const { createLogger } = require('./logger');
+const { getRuntime } = require('./runtime');
+const { createCallSignal, abortable } = require('./abort');
+const { ValidationError } = require('./errors');
+
+// Event payload fields identifying a prompt version: { name, versionId, label? }
+function describePromptVersion(promptName, versionId) {
+  return versionId && versionId.label
+    ? { name: promptName, versionId: null, label: versionId.label }
+    : { name: promptName, versionId: versionId || null };
+}
+
+// Main LaikaTest client class. Emits 'cache:hit', 'cache:miss',
+// 'request:start', 'request:end', 'score:sent' and 'error' (only when
+// listened to, so unobserved errors never crash the process).
+class LaikaTest extends EventEmitter {
+  // Initialize client with API key
+  constructor(apiKey, options = {}) {
+    super();
+    const runtime = getRuntime();
+    validateApiKey(apiKey);
+    validateRuntimeSupport(options, runtime.unsupportedOptions);
+    validateClientOptions(options);
+
+    this.apiKey = apiKey;
+    // Level-aware logger; the API key is redacted from everything it writes
+    this.logger = createLogger(options, [apiKey]);
+    this.baseUrl = options.baseUrl || 'https://api.laikatest.com';
+    this.timeout = options.timeout || 10000;
+    this.maxPartialDepth = options.maxPartialDepth;
+
+    // Optional circuit breaker shared by every API call of this client
+    const breakerOptions = options.circuitBreaker === true ? {} : options.circuitBreaker;
+    this.circuitBreaker = breakerOptions ? new CircuitBreaker(breakerOptions) : null;
+
+    // Counters behind getStats()
+    this.stats = {
+      requests: { started: 0, completed: 0, failed: 0, inFlight: 0, totalDurationMs: 0, statusCodes: {} },
+      errors: {},
+      scores: { sent: 0, failed: 0 }
+    };
+
+    // Versions pinned by `laikatest lock`, used when getPrompt names no version
+    this.lockedVersions = options.lockfile ? runtime.readLockfile(options.lockfile) : null;
+
+    // Runtime connection handling (on Node.js, keep-alive agents with proxy
+    // and CA settings), unless a transport replaces the request function
+    this.agents = runtime.createAgentPool(options);
+    const transport = options.transport || this.agents.transport();
+
+    // Opt-in record/replay of API exchanges for hermetic integration tests
+    this.recorder = options.recording ? new runtime.HttpRecorder(options.recording, [apiKey], transport) : null;
+
+    // Shared by every API call: timeout, retry policy, circuit breaker,
+    // transport and request events
+    this.requestConfig = {
+      timeout: this.timeout,
+      retry: normalizeRetryPolicy(options.retry),
+      circuitBreaker: this.circuitBreaker,
+      transport: this.recorder ? this.recorder.transport : transport,
+      onRequestStart: info => this._onRequestStart(info),
+      onRequestEnd: info => this._onRequestEnd(info)
+    };
+
+    // Concurrent fetches of the same prompt share one API request
+    this.promptFetches = new SingleFlight();
+
+    const cacheTTL = options.cacheTTL !== undefined ? options.cacheTTL : 30 * 60 * 1000;
+    this.cacheEnabled = options.cacheEnabled !== false;
+    this.cache = this.cacheEnabled
+      ? new PromptCache(cacheTTL, {
+        adapter: options.cacheAdapter,
+        staleWhileRevalidate: options.staleWhileRevalidate,
+        maxStale: options.maxStale
+      })
+      : null;
+
+    // Opt-in buffered score submission, flushed in batches
+    const scoreBufferOptions = options.scoreBuffer === true ? {} : options.scoreBuffer;
+    this.scoreQueue = scoreBufferOptions
+      ? new ScoreQueue(payloads => this._sendScores(payloads, true), Object.assign({}, scoreBufferOptions, {
+        onFailure: (payloads, error) => this._handleScoreFailure(payloads, error)
+      }))
+      : null;
+
+    // Opt-in durable journal for scores that fail with a transient error
+    const outboxOptions = typeof options.scoreOutbox === 'string' ? { path: options.scoreOutbox } : options.scoreOutbox;
+    this.scoreOutbox = outboxOptions
+      ? new runtime.ScoreOutbox(payloads => this._sendScores(payloads), outboxOptions)
+      : null;
+
+    // Opt-in local experiment bucketing from periodically downloaded definitions
+    const localEvaluationOptions = options.localEvaluation === true ? {} : options.localEvaluation;
+    this.localExperiments = localEvaluationOptions
+      ? new LocalExperiments(() => fetchExperimentDefinitions(this.apiKey, this.baseUrl, this.requestConfig), Object.assign({}, localEvaluationOptions, {
+        onUnsupported: error => this.logger.warn(
+          { error: error.message },
+          'The LaikaTest API does not serve experiment definitions; local evaluation is off'
+        )
+      }))
+      : null;
+
+    // Local prompt snapshot served when the API is unreachable
+    const hasFallback = options.fallbackDir || options.fallbackPrompts;
+    this.fallback = hasFallback ? new FallbackStore(options) : null;
+
+    // Opt-in push invalidation: evict prompts as soon as they change
+    const invalidationOptions = options.invalidation === true ? {} : options.invalidation;
+    this.refreshOnInvalidate = Boolean(invalidationOptions && invalidationOptions.refresh);
+    this.invalidation = invalidationOptions
+      ? new runtime.PromptChangeSubscriber(
+        { apiKey: this.apiKey, baseUrl: this.baseUrl, requestConfig: this.requestConfig },
+        change => this.invalidatePrompt(change.name),
+        invalidationOptions
+      )
+      : null;
+    if (this.invalidation) {
+      this.invalidation.on('connect', () => this.logger.debug({}, 'Prompt change subscription connected'));
+      this.invalidation.on('disconnect', ({ error, attempt, delay }) => this.logger.debug(
+        { attempt, delay, error: error ? error.message : null },
+        'Prompt change subscription disconnected, reconnecting'
+      ));
+      this.invalidation.on('unsupported', error => this.logger.warn(
+        { error: error.message },
+        'The LaikaTest API does not serve prompt changes; push invalidation is off'
+      ));
+      this.invalidation.start();
+    }
+
+    // Optional cache warm-up at startup; ready() resolves once it is done
+    const prefetchOptions = Array.isArray(options.prefetch) ? { prompts: options.prefetch } : options.prefetch;
+    this.warmup = prefetchOptions
+      ? this.prefetch(prefetchOptions.prompts, { concurrency: prefetchOptions.concurrency })
+      : Promise.resolve({ loaded: [], failed: [] });
+  }
+
+  // Get prompt content by name with optional version or deployment label
+  async getPrompt(promptName, options = {}) {
+    try {
+      return await this._withCall(options, signal => this._getPrompt(promptName, options, signal));
+    } catch (error) {
+      this._emitError(error, { operation: 'getPrompt', name: promptName });
+      throw error;
+    }
+  }
+
+  async _getPrompt(promptName, options, signal) {
+    validatePromptName(promptName);
+
+    const versionId = validateVersionId(options.versionId);
+    const label = validateLabel(options.label);
+    if (versionId && label) {
+      throw new ValidationError('Pass either versionId or label, not both');
+    }
+
+    const bypassCache = options.bypassCache || false;
+
+    // Labels are resolved by the API and cached apart from numeric versions
+    const version = label ? { label } : versionId;
+    const loaded = await this._loadPromptContent(promptName, version, bypassCache, signal);
+    const resolved = await this._resolvePartials(loaded.content, promptName, bypassCache, signal);
+    const metadata = { includes: resolved.includes };
+    if (label) {
+      metadata.label = label;
+    }
+    if (loaded.fallback || resolved.fallback) {
+      metadata.fallback = true;
+    }
+
+    return new Prompt(resolved.content, null, null, null, null, null, metadata);
+  }
+
+  // Raw prompt content from cache, API or offline snapshot: { content, fallback }.
+  // versionId is a version ID, { label } or undefined for the current version.
+  async _loadPromptContent(promptName, versionId, bypassCache, signal) {
+    // Prompts and partials without a version resolve to the locked one
+    if (!versionId && this.lockedVersions && Object.prototype.hasOwnProperty.call(this.lockedVersions, promptName)) {
+      versionId = this.lockedVersions[promptName];
+    }
+
+    // Check cache first if enabled and not bypassed
+    if (this.cacheEnabled && !bypassCache) {
+      const startedAt = Date.now();
+      const cached = await this.cache.getEntry(promptName, versionId);
+      const event = Object.assign(describePromptVersion(promptName, versionId), { durationMs: Date.now() - startedAt });
+      if (cached) {
+        this._emit('cache:hit', Object.assign(event, { stale: cached.stale }));
+        this.logger.debug(event, cached.stale ? 'Cache hit (stale), revalidating in background' : 'Cache hit');
+        // Serve stale content immediately and refresh it in the background
+        if (cached.stale) {
+          this.cache.revalidate(promptName, versionId, () => this._fetchPrompt(promptName, versionId).catch(error => {
+            this.logger.warn({ name: promptName, error: error.message }, 'Background prompt revalidation failed');
+            this._emitError(error, { operation: 'revalidate', name: promptName });
+            throw error;
+          }));
+        }
+        return { content: cached.content, fallback: false };
+      }
+      this._emit('cache:miss', event);
+      this.logger.debug(event, 'Cache miss');
+    } else if (this.cacheEnabled) {
+      this.logger.debug(describePromptVersion(promptName, versionId), 'Cache bypassed');
+    }
+
+    // Fetch from API, serving the offline snapshot on network or 5xx failure
+    let content;
+    try {
+      content = await this._fetchPrompt(promptName, versionId, signal);
+    } catch (error) {
+      if (this.fallback && isFallbackEligible(error) && this.fallback.has(promptName, versionId)) {
+        this.logger.warn(
+          Object.assign(describePromptVersion(promptName, versionId), { error: error.message }),
+          'API unavailable, serving prompt from offline fallback'
+        );
+        return { content: this.fallback.get(promptName, versionId), fallback: true };
+      }
+      throw error;
+    }
+
+    return { content, fallback: false };
+  }
+
+  // Fetch from the API and store in cache, joining a fetch of the same
+  // prompt that is already in flight. Failures are shared but not cached.
+  // The request is aborted only once every caller waiting on it has aborted.
+  _fetchPrompt(promptName, versionId, signal) {
+    return this.promptFetches.do(generatePromptKey(promptName, versionId), async fetchSignal => {
+      const content = await fetchPrompt(this.apiKey, this.baseUrl, promptName, versionId, this._requestConfig(fetchSignal));
+      if (this.cacheEnabled) {
+        await this.cache.set(promptName, versionId, content);
+      }
+      return content;
+    }, signal);
+  }
+
+  // Request config for one call, carrying its abort signal
+  _requestConfig(signal) {
+    return signal ? Object.assign({}, this.requestConfig, { signal }) : this.requestConfig;
+  }
+
+  // Run a public call with its { signal, timeout } options. `operation` gets
+  // the call's signal, and the call rejects with AbortError or TimeoutError as
+  // soon as it fires, whatever the operation is still waiting on.
+  _withCall(options, operation) {
+    validateCallOptions(options);
+    const call = createCallSignal(options);
+    if (!call) {
+      return operation(undefined);
+    }
+    return abortable(operation(call.signal), call.signal)
+      .finally(() => call.dispose());
+  }
+
+  // Evict every cached entry of a prompt; with refresh, entries this client
+  // has cached are fetched again in the background
+  async invalidatePrompt(promptName, options = {}) {
+    validatePromptName(promptName);
+    await this._withCall(options, async () => {
+      if (!this.cacheEnabled) {
+        return;
+      }
+
+      const versions = await this.cache.invalidate(promptName);
+      const refresh = options.refresh !== undefined ? options.refresh : this.refreshOnInvalidate;
+      if (refresh) {
+        versions.forEach(versionId => this._fetchPrompt(promptName, versionId).catch(() => {}));
+      }
+    });
+  }
+
+  // Request handler for prompt-change webhooks, for environments that cannot
+  // keep the invalidation stream open
+  createWebhookHandler(options = {}) {
+    const { createWebhookHandler } = getRuntime();
+    if (!createWebhookHandler) {
+      throw new ValidationError('createWebhookHandler is only supported on Node.js');
+    }
+    return createWebhookHandler(change => this.invalidatePrompt(change.name, { refresh: options.refresh }), options);
+  }
+
+  // Snapshot of client metrics: prompt fetches, cache, HTTP requests, errors
+  // by type and scores
+  getStats() {
+    const fetches = this.promptFetches.getStats();
+    const requests = this.stats.requests;
+    const finished = requests.completed + requests.failed;
+    return {
+      promptFetches: fetches.started,
+      coalescedFetches: fetches.coalesced,
+      inFlightFetches: fetches.inFlight,
+      cache: this.cache ? this.cache.getStats() : null,
+      requests: {
+        started: requests.started,
+        completed: requests.completed,
+        failed: requests.failed,
+        inFlight: requests.inFlight,
+        averageDurationMs: finished ? requests.totalDurationMs / finished : 0,
+        statusCodes: Object.assign({}, requests.statusCodes)
+      },
+      errors: Object.assign({}, this.stats.errors),
+      scores: Object.assign({}, this.stats.scores)
+    };
+  }
+
+  // Emit an event; listener failures never break the client call
+  _emit(event, payload) {
+    try {
+      this.emit(event, payload);
+    } catch (error) {
+      // A throwing listener is the listener's problem
+      this.logger.warn({ event, error: error.message }, 'Event listener threw');
+    }
+  }
+
+  // Count an error by type and emit 'error' when someone listens
+  _emitError(error, context) {
+    const type = (error && error.name) || 'Error';
+    this.stats.errors[type] = (this.stats.errors[type] || 0) + 1;
+    if (this.listenerCount('error') > 0) {
+      try {
+        this.emit('error', error, context);
+      } catch (listenerError) {
+        this.logger.warn({ event: 'error', error: listenerError.message }, 'Event listener threw');
+      }
+    }
+  }
+
+  _onRequestStart(info) {
+    this.stats.requests.started++;
+    this.stats.requests.inFlight++;
+    this.logger.debug(info, 'Request started');
+    this._emit('request:start', info);
+  }
+
+  _onRequestEnd(info) {
+    const requests = this.stats.requests;
+    requests.inFlight--;
+    requests.totalDurationMs += info.durationMs;
+    if (info.statusCode === null) {
+      requests.failed++;
+    } else {
+      requests.completed++;
+      requests.statusCodes[info.statusCode] = (requests.statusCodes[info.statusCode] || 0) + 1;
+    }
+    this.logger.debug(
+      { method: info.method, url: info.url, statusCode: info.statusCode, durationMs: info.durationMs, error: info.error ? info.error.message : undefined },
+      'Request finished'
+    );
+    this._emit('request:end', info);
+  }
+
+  _onScoresSent(count, startedAt, batched) {
+    this.stats.scores.sent += count;
+    this._emit('score:sent', { count, batched, durationMs: Date.now() - startedAt });
+  }
+
+  // Inline {{> partial}} includes; partials are loaded like any other prompt
+  async _resolvePartials(content, rootName, bypassCache, signal) {
+    let fallback = false;
+    const loadPartial = async (name, versionId, label) => {
+      const loaded = await this._loadPromptContent(name, label ? { label } : versionId, bypassCache, signal);
+      fallback = fallback || loaded.fallback;
+      return loaded.content;
+    };
+
+    const resolved = await resolvePartials(content, loadPartial, { maxDepth: this.maxPartialDepth, rootName });
+    return { content: resolved.content, includes: resolved.includes, fallback };
+  }
+
+  // Get many prompts concurrently; each result carries either prompt or error.
+  // signal and timeout apply to the whole batch: prompts still loading when
+  // either fires fail with AbortError or TimeoutError.
+  async getPrompts(prompts, options = {}) {
+    validateCallOptions(options);
+    const call = createCallSignal(options);
+    try {
+      return await loadPrompts(prompts, reference => this.getPrompt(reference.name, {
+        versionId: reference.versionId || undefined,
+        label: reference.label,
+        bypassCache: options.bypassCache,
+        signal: call ? call.signal : undefined
+      }), options);
+    } finally {
+      if (call) {
+        call.dispose();
+      }
+    }
+  }
+
+  // Load prompts into the cache, reporting { loaded, failed } instead of rejecting
+  async prefetch(prompts, options = {}) {
+    return summarize(await this.getPrompts(prompts, options));
+  }
+
+  // Resolves with the startup warm-up report once the prefetch option and
+  // local experiment definitions have loaded; rejects only when the wait is
+  // aborted or times out
+  async ready(options = {}) {
+    const [report] = await this._withCall(options, () => Promise.all([
+      this.warmup,
+      this.localExperiments ? this.localExperiments.ready : null
+    ]));
+    return report;
+  }
+
+  async getExperimentPrompt(experimentTitle, context = {}, options = {}) {
+    try {
+      return await this._withCall(options, signal => this._getExperimentPrompt(experimentTitle, context, signal));
+    } catch (error) {
+      this._emitError(error, { operation: 'getExperimentPrompt', experimentTitle });
+      throw error;
+    }
+  }
+
+  async _getExperimentPrompt(experimentTitle, context, signal) {
+    validateExperimentTitle(experimentTitle);
+    // Entered before the first await so the caller's async chain sees the result
+    const experimentScope = enterExperimentScope();
+    const result = await this._evaluateExperiment(experimentTitle, context, signal);
+
+    // Record experiment context for tracing integration
+    recordExperiment(experimentScope, {
+      experimentId: result.experimentId,
+      variantId: result.bucketId,
+      userId: context.userId || null
+    });
+
+    const resolved = await this._resolvePartials(result.promptContent, null, false, signal);
+    const metadata = { includes: resolved.includes };
+    if (resolved.fallback) {
+      metadata.fallback = true;
+    }
+
+    return new Prompt(resolved.content, result.promptMetadata.promptVersionId, result.experimentId, result.bucketId, this, result.promptMetadata.promptId, metadata);
+  }
+
+  // Bucket locally when enabled, falling back to the evaluate API if allowed
+  async _evaluateExperiment(experimentTitle, context, signal) {
+    if (this.localExperiments) {
+      try {
+        return this._logAssignment(experimentTitle, await abortable(this.localExperiments.evaluate(experimentTitle, context), signal), 'local');
+      } catch (error) {
+        if (!this.localExperiments.options.fallbackToRemote) {
+          throw error;
+        }
+        this.logger.debug({ experimentTitle, error: error.message }, 'Local experiment evaluation failed, asking the API');
+      }
+    }
+    return this._logAssignment(experimentTitle, await evaluateExperiment(this.apiKey, this.baseUrl, experimentTitle, context, this._requestConfig(signal)), 'remote');
+  }
+
+  _logAssignment(experimentTitle, result, source) {
+    this.logger.debug({
+      experimentTitle,
+      experimentId: result.experimentId,
+      bucketId: result.bucketId,
+      promptVersionId: result.promptMetadata.promptVersionId,
+      source
+    }, 'Experiment assigned');
+    return result;
+  }
+
+  // Push score for experimental prompts (queued when scoreBuffer is enabled)
+  async pushScore(expId, bucketId, promptVersionId, scores, options = {}) {
+    try {
+      return await this._withCall(options, signal => this._pushScore(expId, bucketId, promptVersionId, scores, options, signal));
+    } catch (error) {
+      this.stats.scores.failed++;
+      this._emitError(error, { operation: 'pushScore' });
+      throw error;
+    }
+  }
+
+  async _pushScore(expId, bucketId, promptVersionId, scores, options, signal) {
+    validateScores(scores);
+    validateSessionOrUserId(options);
+
+    const payload = buildScorePayload(expId, bucketId, promptVersionId, scores, options);
+    if (this.scoreQueue) {
+      const queued = this.scoreQueue.enqueue(payload);
+      return { success: queued, queued, sdkEventId: payload.sdkEventId };
+    }
+
+    const startedAt = Date.now();
+    try {
+      const result = await sendScore(this.apiKey, this.baseUrl, payload, this._requestConfig(signal));
+      this._onScoresSent(1, startedAt, false);
+      return result;
+    } catch (error) {
+      if (!this.scoreOutbox || !isTransientError(error)) {
+        throw error;
+      }
+      await this.scoreOutbox.add([payload]).catch(() => {
+        throw error;
+      });
+      return { success: false, outboxed: true, sdkEventId: payload.sdkEventId, error: error.message };
+    }
+  }
+
+  // Deliver score payloads one request each (`buffered` when they come from
+  // the score buffer). Resolves with one entry per payload, null once delivered
+  // or the error it failed with. Delivery stops at the first failure that
+  // would fail the rest too (API unavailable, API key rejected); the payloads
+  // not attempted carry that error.
+  async _sendScores(payloads, buffered = false) {
+    const startedAt = Date.now();
+    const errors = [];
+    let stopped = null;
+    for (const payload of payloads) {
+      if (stopped) {
+        errors.push(stopped);
+        continue;
+      }
+      try {
+        await sendScore(this.apiKey, this.baseUrl, payload, this.requestConfig);
+        this._onScoresSent(1, startedAt, buffered);
+        errors.push(null);
+      } catch (error) {
+        errors.push(error);
+        stopped = isRedeliverable(error) ? error : null;
+      }
+    }
+    return errors;
+  }
+
+  // A buffered batch failed: journal it if an outbox is configured
+  async _handleScoreFailure(payloads, error) {
+    this.stats.scores.failed += payloads.length;
+    this.logger.warn({ count: payloads.length, error: error.message }, 'Score delivery failed');
+    this._emitError(error, { operation: 'scoreDelivery' });
+    if (this.scoreOutbox && isTransientError(error)) {
+      await this.scoreOutbox.add(payloads).catch(() => this.scoreQueue.requeue(payloads, error));
+      return;
+    }
+    this.scoreQueue.requeue(payloads, error);
+  }
+
+  // Send all buffered scores now and replay the outbox. Aborting stops the
+  // wait; scores already being sent are still delivered in the background.
+  async flush(options = {}) {
+    await this._withCall(options, async () => {
+      if (this.scoreQueue) {
+        await this.scoreQueue.flush();
+      }
+      if (this.scoreOutbox) {
+        await this.scoreOutbox.replay();
+      }
+    });
+  }
+
+  // Cleanup resources and cache, flushing buffered scores. Everything but
+  // score delivery is released before returning, so callers that do not
+  // await keep the synchronous behaviour; the promise resolves once buffered
+  // scores are delivered and never rejects.
+  destroy() {
+    if (this.invalidation) {
+      this.invalidation.stop();
+      this.invalidation.removeAllListeners();
+    }
+    if (this.cache) {
+      this.cache.destroy();
+    }
+    if (this.circuitBreaker) {
+      this.circuitBreaker.removeAllListeners();
+    }
+    if (this.localExperiments) {
+      this.localExperiments.destroy();
+    }
+    return this._flushOnDestroy();
+  }
+
+  async _flushOnDestroy() {
+    if (this.scoreQueue) {
+      await this.scoreQueue.destroy().catch(() => {});
+    }
+    if (this.scoreOutbox) {
+      await this.scoreOutbox.destroy().catch(() => {});
+    }
+    this.agents.destroy();
+    this.removeAllListeners();
+  }
+}
+
+module.exports = {
+  LaikaTest
+};
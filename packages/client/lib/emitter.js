@@ -0,0 +1,91 @@
+// lib/emitter.js
+// Minimal event emitter that runs on every JavaScript runtime
+//
+// Covers the subset of Node's EventEmitter the SDK exposes: on/addListener,
+// once, off/removeListener, emit, listenerCount and removeAllListeners.
+
+class EventEmitter {
+  constructor() {
+    this._listeners = new Map();
+  }
+
+  on(event, listener) {
+    if (typeof listener !== 'function') {
+      throw new TypeError('The listener must be a function');
+    }
+    const listeners = this._listeners.get(event) || [];
+    this._listeners.set(event, listeners.concat({ listener, once: false }));
+    return this;
+  }
+
+  addListener(event, listener) {
+    return this.on(event, listener);
+  }
+
+  once(event, listener) {
+    this.on(event, listener);
+    const listeners = this._listeners.get(event);
+    listeners[listeners.length - 1].once = true;
+    return this;
+  }
+
+  // Remove the most recently added registration of listener
+  off(event, listener) {
+    const listeners = this._listeners.get(event) || [];
+    const index = listeners.map(entry => entry.listener).lastIndexOf(listener);
+    if (index !== -1) {
+      this._remove(event, listeners[index]);
+    }
+    return this;
+  }
+
+  _remove(event, entry) {
+    const remaining = (this._listeners.get(event) || []).filter(candidate => candidate !== entry);
+    if (remaining.length > 0) {
+      this._listeners.set(event, remaining);
+    } else {
+      this._listeners.delete(event);
+    }
+  }
+
+  removeListener(event, listener) {
+    return this.off(event, listener);
+  }
+
+  removeAllListeners(event) {
+    if (event === undefined) {
+      this._listeners.clear();
+    } else {
+      this._listeners.delete(event);
+    }
+    return this;
+  }
+
+  listenerCount(event) {
+    const listeners = this._listeners.get(event);
+    return listeners ? listeners.length : 0;
+  }
+
+  // Call listeners in registration order; like Node, an unhandled 'error'
+  // event throws the error
+  emit(event, ...args) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) {
+      if (event === 'error') {
+        throw args[0] instanceof Error ? args[0] : new Error(`Unhandled error event: ${args[0]}`);
+      }
+      return false;
+    }
+    listeners.forEach(entry => {
+      if (entry.once) {
+        this._remove(event, entry);
+      }
+      entry.listener.apply(this, args);
+    });
+    return true;
+  }
+}
+
+module.exports = {
+  EventEmitter
+};
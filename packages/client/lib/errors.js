@@ -20,6 +20,33 @@ class NetworkError extends Error {
   }
 }
 
+// Raised without contacting the API while the circuit breaker is open
+class CircuitOpenError extends NetworkError {
+  constructor(message, retryAt) {
+    super(message, null);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+// A request or client call that ran out of time; `timeout` is the limit in ms
+class TimeoutError extends NetworkError {
+  constructor(message, timeout) {
+    super(message, null);
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+// A client call cancelled through its AbortSignal; `reason` is the signal's
+class AbortError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'AbortError';
+    this.reason = reason;
+  }
+}
+
 // Input validation errors
 class ValidationError extends Error {
   constructor(message) {
@@ -36,9 +63,22 @@ class AuthenticationError extends Error {
   }
 }
 
+// Raised in replay mode when a request has no recorded response
+class UnmatchedRequestError extends Error {
+  constructor(message, request) {
+    super(message);
+    this.name = 'UnmatchedRequestError';
+    this.request = request;
+  }
+}
+
 module.exports = {
   LaikaServiceError,
   NetworkError,
+  CircuitOpenError,
+  TimeoutError,
+  AbortError,
   ValidationError,
-  AuthenticationError
+  AuthenticationError,
+  UnmatchedRequestError
 };
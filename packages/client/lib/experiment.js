@@ -1,13 +1,12 @@
 //lib/experiment.js
 //Experiment-related utilities for LaikaTest SDK
 
-const { makeHttpRequest } = require('./http');
+const { sendRequest } = require('./request');
 const {
 	LaikaServiceError,
-	NetworkError,
 	ValidationError
 } = require('./errors');
-const { parseApiResponse, handleApiError } = require('./global_utils');
+const { parseApiResponse, handleApiError, toNetworkError } = require('./global_utils');
 // Normalize base URL by trimming trailing slashes
 function normalizeBaseUrl(baseUrl) {
 	return baseUrl.replace(/\/+$/, '');
@@ -57,8 +56,8 @@ function extractPromptContent(promptPayload) {
 }
 
 
-// Execute the experiment evaluation API call
-async function evaluateExperiment(apiKey, baseUrl, experimentTitle, context, timeout) {
+// Execute the experiment evaluation API call (never retried: it is not idempotent)
+async function evaluateExperiment(apiKey, baseUrl, experimentTitle, context, requestConfig) {
 	const url = buildExperimentUrl(baseUrl);
 	const normalizedContext = normalizeContext(context);
 
@@ -70,7 +69,7 @@ async function evaluateExperiment(apiKey, baseUrl, experimentTitle, context, tim
 	const headers = {
 		'Authorization': `Bearer ${apiKey}`,
 		'Content-Type': 'application/json',
-		'Content-Length': Buffer.byteLength(payload)
+		'Content-Length': new TextEncoder().encode(payload).length
 	};
 
 	const options = {
@@ -81,12 +80,12 @@ async function evaluateExperiment(apiKey, baseUrl, experimentTitle, context, tim
 
 	let response;
 	try {
-		response = await makeHttpRequest(url, options, timeout);
+		response = await sendRequest(url, options, requestConfig);
 	} catch (error) {
-		throw new NetworkError('Failed to connect to LaikaTest API', error);
+		throw toNetworkError(error);
 	}
 
-	const parsed = parseApiResponse(response.data);
+	const parsed = parseApiResponse(response.data, response.statusCode);
 
 	if (response.statusCode === 200 && parsed.success) {
 		const { data } = parsed;
@@ -113,7 +112,80 @@ async function evaluateExperiment(apiKey, baseUrl, experimentTitle, context, tim
 	handleApiError(response.statusCode, parsed);
 }
 
+// Build the experiment definitions endpoint URL
+function buildDefinitionsUrl(baseUrl) {
+	return `${normalizeBaseUrl(baseUrl)}/api/v3/experiments/definitions`;
+}
+
+// Convert one raw bucket into the shape local evaluation works with
+function normalizeBucket(bucket, experiment) {
+	if (!bucket || !bucket.bucketId || !bucket.prompt) {
+		throw new LaikaServiceError('Malformed experiment definitions: bucket is missing data', 500, experiment);
+	}
+	const weight = Number(bucket.weight);
+	if (!Number.isFinite(weight) || weight < 0) {
+		throw new LaikaServiceError(`Malformed experiment definitions: invalid weight for bucket ${bucket.bucketId}`, 500, experiment);
+	}
+
+	return {
+		bucketId: bucket.bucketId,
+		groupName: bucket.groupName,
+		weight,
+		promptContent: extractPromptContent(bucket.prompt),
+		promptType: bucket.prompt.type,
+		promptMetadata: {
+			promptId: bucket.prompt.promptId,
+			promptVersionId: bucket.prompt.promptVersionId
+		}
+	};
+}
+
+// Download experiment definitions (variants, traffic weights, prompt versions),
+// returned as a Map keyed by experiment title
+async function fetchExperimentDefinitions(apiKey, baseUrl, requestConfig) {
+	const url = buildDefinitionsUrl(baseUrl);
+
+	const options = {
+		method: 'GET',
+		headers: {
+			'Authorization': `Bearer ${apiKey}`,
+			'Content-Type': 'application/json'
+		}
+	};
+
+	let response;
+	try {
+		response = await sendRequest(url, options, requestConfig);
+	} catch (error) {
+		throw toNetworkError(error);
+	}
+
+	const parsed = parseApiResponse(response.data, response.statusCode);
+
+	if (response.statusCode === 200 && parsed.success) {
+		const experiments = parsed.data && parsed.data.experiments;
+		if (!Array.isArray(experiments)) {
+			throw new LaikaServiceError('Malformed experiment definitions: missing experiments', response.statusCode, parsed);
+		}
+
+		const definitions = new Map();
+		experiments.forEach(experiment => {
+			if (!experiment || !experiment.title || !experiment.experimentId || !Array.isArray(experiment.buckets)) {
+				throw new LaikaServiceError('Malformed experiment definitions: experiment is missing data', response.statusCode, experiment);
+			}
+			definitions.set(experiment.title, {
+				experimentId: experiment.experimentId,
+				buckets: experiment.buckets.map(bucket => normalizeBucket(bucket, experiment))
+			});
+		});
+		return definitions;
+	}
+
+	handleApiError(response.statusCode, parsed);
+}
+
 module.exports = {
-	evaluateExperiment
+	evaluateExperiment,
+	fetchExperimentDefinitions
 };
 
@@ -0,0 +1,75 @@
+// lib/experiment_context.js
+// Request-scoped experiment context for tracing integration
+//
+// Experiments evaluated by getExperimentPrompt are recorded in the runtime's
+// AsyncLocalStorage, so concurrent requests in one process never see each
+// other's variants. Inside runWithExperimentContext every evaluation shares
+// one list; outside it, each evaluation copies the list it inherited into a
+// fresh store, so a store created outside any request cannot leak into
+// requests that start later.
+
+const { getRuntime } = require('./runtime');
+
+function experimentStorage() {
+  return getRuntime().experimentStorage;
+}
+
+function createStore(experiments, scoped) {
+  return { experiments: experiments.slice(), scoped };
+}
+
+// Return the store evaluations in the current async context should write to.
+// Must be called synchronously at the start of the evaluating call so the
+// caller's continuation inherits the store.
+function enterExperimentScope() {
+  const store = experimentStorage().getStore();
+  if (store && store.scoped) {
+    return store;
+  }
+  const fresh = createStore(store ? store.experiments : [], false);
+  experimentStorage().enterWith(fresh);
+  return fresh;
+}
+
+// Record an evaluated experiment; re-evaluating an experiment replaces its entry
+function recordExperiment(store, experiment) {
+  const index = store.experiments.findIndex(entry => entry.experimentId === experiment.experimentId);
+  if (index !== -1) {
+    store.experiments.splice(index, 1);
+  }
+  store.experiments.push(experiment);
+}
+
+// Run callback with an isolated experiment context shared by everything it awaits
+function runWithExperimentContext(callback) {
+  return experimentStorage().run(createStore([], true), callback);
+}
+
+// All experiments active in the current async context, oldest first
+function getCurrentExperiments() {
+  const store = experimentStorage().getStore();
+  return store ? store.experiments.slice() : [];
+}
+
+// The most recently evaluated experiment in the current async context
+function getCurrentExperiment() {
+  const experiments = getCurrentExperiments();
+  return experiments.length > 0 ? experiments[experiments.length - 1] : null;
+}
+
+// Clears the experiments recorded in the current async context
+function clearCurrentExperiment() {
+  const store = experimentStorage().getStore();
+  if (store) {
+    store.experiments = [];
+  }
+}
+
+module.exports = {
+  enterExperimentScope,
+  recordExperiment,
+  runWithExperimentContext,
+  getCurrentExperiments,
+  getCurrentExperiment,
+  clearCurrentExperiment
+};
@@ -0,0 +1,58 @@
+// lib/fallback.js
+// Offline prompt snapshots for LaikaTest SDK
+
+const { isTransientError } = require('./global_utils');
+const { getRuntime } = require('./runtime');
+
+// Local snapshot of prompts served when the API cannot be reached
+class FallbackStore {
+  constructor(options = {}) {
+    this.prompts = new Map();
+
+    if (options.fallbackDir) {
+      getRuntime().readFallbackDir(options.fallbackDir).forEach(snapshot => this.load(snapshot));
+    }
+    if (options.fallbackPrompts) {
+      this.load(options.fallbackPrompts);
+    }
+  }
+
+  // Generate snapshot key from prompt name and optional version ID or label
+  generateKey(promptName, versionId) {
+    if (versionId && versionId.label) {
+      return `${promptName}@${versionId.label}`;
+    }
+    return versionId
+      ? `${promptName}:${versionId}`
+      : `${promptName}`;
+  }
+
+  // Add snapshot entries keyed by "name", "name:version" or "name@label"
+  load(snapshot) {
+    Object.keys(snapshot).forEach(key => {
+      // Accept "name:v10" the same way validateVersionId accepts "v10"
+      const normalizedKey = key.replace(/:v(\d+)$/, ':$1');
+      this.prompts.set(normalizedKey, snapshot[key]);
+    });
+  }
+
+  has(promptName, versionId) {
+    return this.prompts.has(this.generateKey(promptName, versionId));
+  }
+
+  // Retrieve snapshot content, or null if the prompt is not in the snapshot
+  get(promptName, versionId) {
+    const key = this.generateKey(promptName, versionId);
+    return this.prompts.has(key) ? this.prompts.get(key) : null;
+  }
+}
+
+// Network failures and 5xx responses are served from the snapshot
+function isFallbackEligible(error) {
+  return isTransientError(error);
+}
+
+module.exports = {
+  FallbackStore,
+  isFallbackEligible
+};
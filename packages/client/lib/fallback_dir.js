@@ -0,0 +1,37 @@
+// lib/fallback_dir.js
+// Offline prompt snapshots stored as .json files in a directory (Node.js only)
+
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('./errors');
+
+// Read every .json snapshot file in a directory, in file name order
+function readFallbackDir(dir) {
+  let files;
+  try {
+    files = fs.readdirSync(dir);
+  } catch (error) {
+    throw new ValidationError(`fallbackDir could not be read: ${error.message}`);
+  }
+
+  return files
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const filePath = path.join(dir, file);
+      let snapshot;
+      try {
+        snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        throw new ValidationError(`Invalid fallback snapshot ${filePath}: ${error.message}`);
+      }
+      if (!snapshot || typeof snapshot !== 'object' || Array.isArray(snapshot)) {
+        throw new ValidationError(`Invalid fallback snapshot ${filePath}: expected an object keyed by prompt name`);
+      }
+      return snapshot;
+    });
+}
+
+module.exports = {
+  readFallbackDir
+};
@@ -0,0 +1,72 @@
+// lib/fetch.js
+// Runtime-agnostic HTTP requests over global fetch (edge runtimes, Deno, browsers)
+
+const { validateSecureUrl } = require('./global_utils');
+const { TimeoutError } = require('./errors');
+const { abortReason, throwIfAborted } = require('./abort');
+
+// fetch computes these itself; some runtimes reject them
+const MANAGED_HEADERS = ['content-length', 'host', 'connection'];
+
+function toFetchHeaders(headers = {}) {
+  const result = {};
+  Object.keys(headers).forEach(name => {
+    if (!MANAGED_HEADERS.includes(name.toLowerCase())) {
+      result[name] = String(headers[name]);
+    }
+  });
+  return result;
+}
+
+// Response headers as a plain object with lower-case names, like Node's
+function fromFetchHeaders(headers) {
+  const result = {};
+  headers.forEach((value, name) => {
+    result[name] = value;
+  });
+  return result;
+}
+
+// Same contract as makeHttpRequest: resolves with { statusCode, headers, data }
+// for any status and rejects on network failures, timeouts and aborts
+async function makeFetchRequest(url, options = {}, timeout = 5000) {
+  validateSecureUrl(url);
+  const { signal } = options;
+  throwIfAborted(signal);
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timeoutId = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const onAbort = () => controller.abort();
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  try {
+    const response = await fetch(url, {
+      method: options.method || 'GET',
+      headers: toFetchHeaders(options.headers),
+      body: options.body !== undefined && options.body !== null ? options.body : undefined,
+      signal: controller.signal
+    });
+    const data = await response.text();
+    return { statusCode: response.status, headers: fromFetchHeaders(response.headers), data };
+  } catch (error) {
+    if (timedOut) {
+      throw new TimeoutError(`Request timed out after ${timeout}ms`, timeout);
+    }
+    throw signal && signal.aborted ? abortReason(signal) : error;
+  } finally {
+    clearTimeout(timeoutId);
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+}
+
+module.exports = {
+  makeFetchRequest
+};
@@ -0,0 +1,95 @@
+// lib/file_cache_adapter.js
+// File-backed PromptCache storage (Node.js only); see cache_adapters.js for
+// the adapter contract
+
+const fs = require('fs');
+const path = require('path');
+
+// Entry files (and their temporary files) start with this, so clear() leaves
+// other files in a shared directory alone
+const ENTRY_PREFIX = 'laikatest-cache-';
+
+// Persistent adapter storing one JSON file per key, survives restarts
+class FileCacheAdapter {
+  constructor(options = {}) {
+    if (!options.dir || typeof options.dir !== 'string') {
+      throw new TypeError('FileCacheAdapter requires a dir option');
+    }
+    this.dir = options.dir;
+  }
+
+  // Map a cache key to a file name that is safe on every platform
+  filePath(key) {
+    return path.join(this.dir, `${ENTRY_PREFIX}${encodeURIComponent(key)}.json`);
+  }
+
+  async get(key) {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(this.filePath(key), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    let item;
+    try {
+      item = JSON.parse(raw);
+    } catch (error) {
+      item = null;
+    }
+    if (!item || typeof item !== 'object') {
+      // A torn or corrupted file is treated as a miss and removed
+      await this.delete(key);
+      return null;
+    }
+
+    if (item.expiresAt !== null && Date.now() > item.expiresAt) {
+      await this.delete(key);
+      return null;
+    }
+    return item.value;
+  }
+
+  async set(key, value, ttl) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const target = this.filePath(key);
+    const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    const item = { value, expiresAt: ttl ? Date.now() + ttl : null };
+
+    // Write then rename so readers never observe a partial file
+    await fs.promises.writeFile(temp, JSON.stringify(item), 'utf8');
+    await fs.promises.rename(temp, target);
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.filePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  async clear() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+    await Promise.all(files
+      .filter(file => file.startsWith(ENTRY_PREFIX))
+      .map(file => fs.promises.unlink(path.join(this.dir, file)).catch(() => {})));
+  }
+}
+
+module.exports = {
+  FileCacheAdapter
+};
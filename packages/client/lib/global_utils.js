@@ -1,9 +1,24 @@
-const { LaikaServiceError, AuthenticationError } = require('./errors');
+const { LaikaServiceError, AuthenticationError, NetworkError, UnmatchedRequestError, AbortError } = require('./errors');
+
+// Validate URL uses HTTPS (except localhost for testing)
+function validateSecureUrl(url) {
+  if (url.startsWith('http://')) {
+    const isLocalhost = url.includes('localhost') || url.includes('127.0.0.1');
+    if (!isLocalhost) {
+      throw new Error('HTTP protocol is not allowed for security reasons. Please use HTTPS.');
+    }
+  }
+}
+
 // Parse API response JSON
-function parseApiResponse(data) {
+function parseApiResponse(data, statusCode) {
   try {
     return JSON.parse(data);
   } catch (e) {
+    // Gateways and proxies answer errors with HTML bodies
+    if (statusCode >= 400) {
+      throw new LaikaServiceError(`API request failed with status ${statusCode}`, statusCode, data);
+    }
     throw new Error('Invalid JSON response from server');
   }
 }
@@ -16,7 +31,35 @@ function handleApiError(statusCode, parsed) {
 
   throw new LaikaServiceError(parsed.error || 'API request failed', statusCode, parsed);
 }
+
+// Wrap transport failures in NetworkError, keeping SDK network errors, replay
+// misses and aborts as-is
+function toNetworkError(error) {
+  if (error instanceof NetworkError || error instanceof UnmatchedRequestError || error instanceof AbortError) {
+    return error;
+  }
+  return new NetworkError('Failed to connect to LaikaTest API', error);
+}
+
+// Network failures and 5xx responses may succeed if tried again later
+function isTransientError(error) {
+  if (error instanceof NetworkError) {
+    return true;
+  }
+  return error instanceof LaikaServiceError && error.statusCode >= 500;
+}
+
+// Scores that failed this way may still be accepted later: the API was
+// unavailable, or the API key was rejected and may yet be fixed or rotated
+function isRedeliverable(error) {
+  return isTransientError(error) || error instanceof AuthenticationError;
+}
+
 module.exports = {
+  validateSecureUrl,
   parseApiResponse,
-  handleApiError
+  handleApiError,
+  toNetworkError,
+  isTransientError,
+  isRedeliverable
 };
\ No newline at end of file
@@ -3,16 +3,9 @@
 
 const https = require('https');
 const http = require('http');
-
-// Validate URL uses HTTPS (except localhost for testing)
-function validateSecureUrl(url) {
-  if (url.startsWith('http://')) {
-    const isLocalhost = url.includes('localhost') || url.includes('127.0.0.1');
-    if (!isLocalhost) {
-      throw new Error('HTTP protocol is not allowed for security reasons. Please use HTTPS.');
-    }
-  }
-}
+const { validateSecureUrl } = require('./global_utils');
+const { TimeoutError } = require('./errors');
+const { abortReason } = require('./abort');
 
 // Select protocol handler based on URL
 function getProtocol(url) {
@@ -23,7 +16,7 @@ function getProtocol(url) {
 function setupTimeout(req, timeout, reject) {
   return setTimeout(() => {
     req.destroy();
-    reject(new Error('Request timeout'));
+    reject(new TimeoutError(`Request timed out after ${timeout}ms`, timeout));
   }, timeout);
 }
 
@@ -32,30 +25,50 @@ function collectResponseData(res) {
   return new Promise((resolve) => {
     let data = '';
     res.on('data', (chunk) => data += chunk);
-    res.on('end', () => resolve({ statusCode: res.statusCode, data }));
+    res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, data }));
   });
 }
 
-// Make HTTP request with timeout and error handling
+// Make HTTP request with timeout and error handling. Aborting `options.signal`
+// destroys the request and rejects with the signal's abort reason.
 function makeHttpRequest(url, options = {}, timeout=5000) {
   return new Promise((resolve, reject) => {
     validateSecureUrl(url);
     const protocol = getProtocol(url);
 
-    const { body, ...requestOptions } = options;
+    const { body, signal, ...requestOptions } = options;
+    if (signal && signal.aborted) {
+      reject(abortReason(signal));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      req.destroy();
+      reject(abortReason(signal));
+    };
+    const settle = (callback) => (value) => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      callback(value);
+    };
 
     const req = protocol.request(url, requestOptions, async (res) => {
       clearTimeout(timeoutId);
       const result = await collectResponseData(res);
-      resolve(result);
+      settle(resolve)(result);
     });
 
     // Setup timeout after request is created
-    const timeoutId = setupTimeout(req, timeout, reject);
+    const timeoutId = setupTimeout(req, timeout, settle(reject));
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
 
     req.on('error', (error) => {
       clearTimeout(timeoutId);
-      reject(error);
+      settle(reject)(error);
     });
 
     if (body !== undefined && body !== null) {
@@ -66,6 +79,32 @@ function makeHttpRequest(url, options = {}, timeout=5000) {
   });
 }
 
+// Open a long-lived request and resolve with the response stream once headers
+// arrive. Call `close()` to end it; its socket does not keep the process alive.
+function openHttpStream(url, options = {}, connectTimeout = 10000) {
+  return new Promise((resolve, reject) => {
+    validateSecureUrl(url);
+    const protocol = getProtocol(url);
+
+    const req = protocol.request(url, options, (res) => {
+      clearTimeout(timeoutId);
+      resolve({ statusCode: res.statusCode, headers: res.headers, stream: res, close: () => req.destroy() });
+    });
+
+    // The timeout only covers connecting; the stream may then stay idle
+    const timeoutId = setupTimeout(req, connectTimeout, reject);
+
+    req.on('socket', (socket) => socket.unref());
+    req.on('error', (error) => {
+      clearTimeout(timeoutId);
+      reject(error);
+    });
+
+    req.end();
+  });
+}
+
 module.exports = {
-  makeHttpRequest
+  makeHttpRequest,
+  openHttpStream
 };
@@ -0,0 +1,413 @@
+// lib/invalidation.js
+// Push-based prompt invalidation: change stream subscriber and webhook handler
+//
+// Change notifications name the prompt that changed:
+//   { name: 'welcome-message', versionId?: '12', label?: 'production' }
+// The stream (GET /api/v1/prompts/changes/stream) sends them as
+// text/event-stream `prompt.changed` events; the long-poll endpoint
+// (GET /api/v1/prompts/changes) answers { changes, cursor }. Both endpoints
+// need server support; when the API answers 404 the subscriber gives up.
+
+const { EventEmitter } = require('./emitter');
+const crypto = require('crypto');
+const { parseApiResponse, handleApiError, toNetworkError } = require('./global_utils');
+const { sendRequest } = require('./request');
+const { createAbortController } = require('./abort');
+const { computeBackoff } = require('./retry');
+const { NetworkError, ValidationError } = require('./errors');
+
+const DEFAULT_INVALIDATION_OPTIONS = {
+  mode: 'sse',
+  reconnectDelay: 1000,
+  maxReconnectDelay: 30000,
+  heartbeatTimeout: 90000,
+  pollTimeout: 30000,
+  minPollInterval: 1000,
+  refresh: false
+};
+
+const CHANGE_EVENT = 'prompt.changed';
+const SIGNATURE_HEADER = 'x-laikatest-signature';
+
+// Incremental text/event-stream parser calling onEvent({ type, data, id })
+function createEventStreamParser(onEvent) {
+  let buffer = '';
+  let type = '';
+  let data = [];
+  let id;
+
+  return (chunk) => {
+    buffer += chunk;
+    const lines = buffer.split(/\r\n|\r|\n/);
+    buffer = lines.pop();
+
+    lines.forEach(line => {
+      if (line === '') {
+        if (data.length > 0) {
+          onEvent({ type: type || 'message', data: data.join('\n'), id });
+        }
+        type = '';
+        data = [];
+        return;
+      }
+      if (line.startsWith(':')) {
+        return; // comment, used as heartbeat
+      }
+
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+      if (field === 'event') {
+        type = value;
+      } else if (field === 'data') {
+        data.push(value);
+      } else if (field === 'id') {
+        id = value;
+      }
+    });
+  };
+}
+
+// Read a response stream to the end as a string
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => data += chunk);
+    stream.on('end', () => resolve(data));
+    stream.on('error', reject);
+  });
+}
+
+function isChange(change) {
+  return Boolean(change) && typeof change.name === 'string' && change.name.length > 0;
+}
+
+// Keeps a prompt-change subscription open and calls onChange(change) for each
+// change, reconnecting with exponential backoff when the connection fails or
+// ends. Requests go through the client's request config (transport, circuit
+// breaker, request events); streaming needs a transport with a `stream`
+// method, other transports are long-polled. Emits 'connect', 'change'
+// (change), 'disconnect' ({ error, attempt, delay }) and 'unsupported'
+// (error) when the API does not serve prompt changes.
+class PromptChangeSubscriber extends EventEmitter {
+  constructor(connection, onChange, options = {}) {
+    super();
+    this.apiKey = connection.apiKey;
+    this.baseUrl = connection.baseUrl;
+    this.requestConfig = connection.requestConfig;
+    this.onChange = onChange;
+    this.options = Object.assign({}, DEFAULT_INVALIDATION_OPTIONS, options);
+
+    this.cursor = null; // Last-Event-ID for the stream, cursor for polling
+    this.attempt = 0;
+    this.stopped = true;
+    this.connected = false;
+    this.close = null;
+    this.reconnectTimer = null;
+  }
+
+  start() {
+    if (this.stopped) {
+      this.stopped = false;
+      this.connect();
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    if (this.close) {
+      this.close();
+    }
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  async connect() {
+    const streaming = this.options.mode !== 'poll' && typeof this.requestConfig.transport.stream === 'function';
+    let error = null;
+    try {
+      await (streaming ? this.listen() : this.poll());
+    } catch (e) {
+      error = e;
+    }
+    this.close = null;
+    this.connected = false;
+    if (this.stopped) {
+      return;
+    }
+    if (error && error.statusCode === 404) {
+      // Reconnecting will not help while the API lacks the endpoint
+      this.stopped = true;
+      this.emit('unsupported', error);
+      return;
+    }
+    this.scheduleReconnect(error);
+  }
+
+  scheduleReconnect(error) {
+    this.attempt++;
+    const delay = computeBackoff(this.attempt, {
+      initialDelay: this.options.reconnectDelay,
+      maxDelay: this.options.maxReconnectDelay,
+      factor: 2,
+      jitter: true
+    });
+    this.emit('disconnect', { error, attempt: this.attempt, delay });
+
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    if (typeof this.reconnectTimer.unref === 'function') {
+      this.reconnectTimer.unref();
+    }
+  }
+
+  markConnected() {
+    if (!this.connected) {
+      this.connected = true;
+      this.attempt = 0;
+      this.emit('connect');
+    }
+  }
+
+  headers(extra) {
+    return Object.assign({ 'Authorization': `Bearer ${this.apiKey}` }, extra);
+  }
+
+  // One GET through the client's request config. The subscriber reconnects
+  // on its own, so requests are not retried.
+  async request(url, headers, overrides) {
+    const config = Object.assign({}, this.requestConfig, { retry: null }, overrides);
+    try {
+      return await sendRequest(url, { method: 'GET', headers }, config);
+    } catch (error) {
+      throw toNetworkError(error);
+    }
+  }
+
+  // Server-sent events; resolves when the stream ends
+  async listen() {
+    const headers = this.headers({ 'Accept': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    if (this.cursor) {
+      headers['Last-Event-ID'] = this.cursor;
+    }
+
+    const response = await this.request(`${this.baseUrl}/api/v1/prompts/changes/stream`, headers, {
+      transport: this.requestConfig.transport.stream
+    });
+    this.close = response.close;
+    if (this.stopped) {
+      response.close();
+      return;
+    }
+    if (response.statusCode !== 200) {
+      const data = await readStream(response.stream).catch(() => '');
+      handleApiError(response.statusCode, parseApiResponse(data, response.statusCode));
+    }
+    this.markConnected();
+
+    const parse = createEventStreamParser(event => {
+      if (event.id) {
+        this.cursor = event.id;
+      }
+      if (event.type !== CHANGE_EVENT) {
+        return;
+      }
+      try {
+        this.dispatch(JSON.parse(event.data));
+      } catch (error) {
+        // Ignore malformed events; the next change still arrives
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      // Reconnect when the server stops sending data or heartbeats
+      let idleTimer;
+      const resetIdle = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+          response.close();
+          reject(new NetworkError('Prompt change stream timed out waiting for a heartbeat'));
+        }, this.options.heartbeatTimeout);
+        if (typeof idleTimer.unref === 'function') {
+          idleTimer.unref();
+        }
+      };
+      const done = (error) => {
+        clearTimeout(idleTimer);
+        return error ? reject(toNetworkError(error)) : resolve();
+      };
+
+      resetIdle();
+      response.stream.setEncoding('utf8');
+      response.stream.on('data', (chunk) => {
+        resetIdle();
+        parse(chunk);
+      });
+      response.stream.on('end', () => done());
+      response.stream.on('close', () => done());
+      response.stream.on('error', done);
+    });
+  }
+
+  // Long polling for environments where streams are cut by proxies. Polls
+  // start at least minPollInterval apart; while the server answers without
+  // changes instead of holding the request, the wait grows like a reconnect.
+  async poll() {
+    let quiet = 0;
+    while (!this.stopped) {
+      const startedAt = Date.now();
+      const params = new URLSearchParams({ timeout: String(Math.ceil(this.options.pollTimeout / 1000)) });
+      if (this.cursor) {
+        params.append('cursor', this.cursor);
+      }
+
+      // The server holds the request for up to pollTimeout before answering
+      const controller = createAbortController();
+      this.close = () => controller.abort();
+      const response = await this.request(`${this.baseUrl}/api/v1/prompts/changes?${params.toString()}`, this.headers(), {
+        timeout: this.options.pollTimeout + 10000,
+        signal: controller.signal
+      });
+      const parsed = parseApiResponse(response.data, response.statusCode);
+      if (!parsed.success) {
+        handleApiError(response.statusCode, parsed);
+      }
+
+      this.markConnected();
+      const data = parsed.data || {};
+      if (data.cursor) {
+        this.cursor = String(data.cursor);
+      }
+      const changes = data.changes || [];
+      changes.forEach(change => this.dispatch(change));
+
+      const elapsed = Date.now() - startedAt;
+      quiet = changes.length === 0 && elapsed < this.options.pollTimeout / 2 ? quiet + 1 : 0;
+      const backoff = quiet > 0 ? computeBackoff(quiet, {
+        initialDelay: this.options.minPollInterval,
+        maxDelay: this.options.maxReconnectDelay,
+        factor: 2,
+        jitter: true
+      }) : 0;
+      await this.pause(Math.max(this.options.minPollInterval - elapsed, backoff));
+    }
+  }
+
+  // Resolves after `delay` ms, or as soon as the subscriber stops
+  pause(delay) {
+    if (delay <= 0 || this.stopped) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, delay);
+      if (typeof timer.unref === 'function') {
+        timer.unref();
+      }
+      this.close = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  dispatch(change) {
+    if (!isChange(change)) {
+      return;
+    }
+    this.emit('change', change);
+    Promise.resolve()
+      .then(() => this.onChange(change))
+      .catch(() => {});
+  }
+}
+
+// Raw request body as a string; frameworks that already read the stream
+// must expose it as req.rawBody (or a string/Buffer req.body) for signatures
+function readRequestBody(req) {
+  const raw = req.rawBody !== undefined ? req.rawBody : req.body;
+  if (typeof raw === 'string' || Buffer.isBuffer(raw)) {
+    return Promise.resolve(raw.toString('utf8'));
+  }
+  if (raw && typeof raw === 'object') {
+    return Promise.resolve(null); // parsed JSON without the raw bytes
+  }
+  return readStream(req);
+}
+
+function verifySignature(body, header, secret) {
+  if (typeof header !== 'string') {
+    return false;
+  }
+  const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(body, 'utf8').digest('hex');
+  return header.length === expected.length && crypto.timingSafeEqual(Buffer.from(header), Buffer.from(expected));
+}
+
+function respond(res, statusCode, error) {
+  res.statusCode = statusCode;
+  if (error) {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ success: false, error }));
+  } else {
+    res.end();
+  }
+}
+
+// Node/Express request handler applying prompt-change webhooks with
+// onChange(change). The body is one change or { changes: [...] }. The
+// X-LaikaTest-Signature header must be "sha256=" followed by the hex
+// HMAC-SHA256 of the raw body with `secret`; unsigned webhooks are only
+// accepted with allowUnsigned: true. Answers 204, or 400/401 on bad requests.
+function createWebhookHandler(onChange, options = {}) {
+  if (!options.secret && options.allowUnsigned !== true) {
+    throw new ValidationError('createWebhookHandler requires a secret (or allowUnsigned: true)');
+  }
+
+  return async function handleLaikaTestWebhook(req, res) {
+    let body;
+    try {
+      body = await readRequestBody(req);
+    } catch (error) {
+      return respond(res, 400, 'Could not read request body');
+    }
+
+    if (options.secret) {
+      if (body === null) {
+        return respond(res, 400, 'The raw request body is required to verify the signature');
+      }
+      if (!verifySignature(body, req.headers[SIGNATURE_HEADER], options.secret)) {
+        return respond(res, 401, 'Invalid webhook signature');
+      }
+    }
+
+    let payload = req.body;
+    if (body !== null) {
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        return respond(res, 400, 'Webhook body must be JSON');
+      }
+    }
+
+    const changes = payload && Array.isArray(payload.changes) ? payload.changes : [payload];
+    if (!changes.every(isChange)) {
+      return respond(res, 400, 'Each change must name the prompt that changed');
+    }
+
+    try {
+      await Promise.all(changes.map(change => onChange(change)));
+    } catch (error) {
+      return respond(res, 500, 'Failed to apply prompt change');
+    }
+    return respond(res, 204);
+  };
+}
+
+module.exports = {
+  PromptChangeSubscriber,
+  createWebhookHandler,
+  createEventStreamParser,
+  DEFAULT_INVALIDATION_OPTIONS
+};
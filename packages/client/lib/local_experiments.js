@@ -0,0 +1,136 @@
+// lib/local_experiments.js
+// Local, deterministic experiment bucketing for LaikaTest SDK
+
+const { LaikaServiceError, ValidationError } = require('./errors');
+
+const DEFAULT_LOCAL_EVALUATION_OPTIONS = {
+  refreshInterval: 60 * 1000,
+  fallbackToRemote: true
+};
+
+// 32-bit FNV-1a over the UTF-16 code units of a string
+function fnv1a(input) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Map an experiment and unit to a stable point in [0, 1). Including the
+// experiment id keeps assignments independent across experiments.
+function hashToUnitInterval(experimentId, unitId) {
+  return fnv1a(`${experimentId}:${unitId}`) / 0x100000000;
+}
+
+// Pick the bucket whose cumulative weight range contains the point
+function assignBucket(buckets, point) {
+  const totalWeight = buckets.reduce((sum, bucket) => sum + bucket.weight, 0);
+  if (totalWeight <= 0) {
+    return null;
+  }
+
+  const target = point * totalWeight;
+  let cumulative = 0;
+  for (const bucket of buckets) {
+    cumulative += bucket.weight;
+    if (target < cumulative && bucket.weight > 0) {
+      return bucket;
+    }
+  }
+  // Floating point rounding can leave the target just past the last range
+  return buckets.filter(bucket => bucket.weight > 0).pop();
+}
+
+// Keeps experiment definitions fresh and evaluates experiments without an
+// API call. `fetchDefinitions()` resolves to a Map of title -> definition.
+// The definitions endpoint needs server support: when it answers 404,
+// refreshing stops and `onUnsupported(error)` is called once.
+class LocalExperiments {
+  constructor(fetchDefinitions, options = {}) {
+    this.fetchDefinitions = fetchDefinitions;
+    this.options = Object.assign({}, DEFAULT_LOCAL_EVALUATION_OPTIONS, options);
+    this.onUnsupported = options.onUnsupported || (() => {});
+    this.definitions = null;
+    this.lastError = null;
+    this.refreshing = null;
+
+    this.ready = this.refresh().catch(() => {});
+    this.refreshTimer = setInterval(() => {
+      this.refresh().catch(() => {});
+    }, this.options.refreshInterval);
+    if (typeof this.refreshTimer.unref === 'function') {
+      this.refreshTimer.unref();
+    }
+  }
+
+  // Download definitions; on failure the previous definitions stay in use
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.fetchDefinitions()
+        .then(definitions => {
+          this.definitions = definitions;
+          this.lastError = null;
+        })
+        .catch(error => {
+          this.lastError = error;
+          if (error.statusCode === 404 && this.refreshTimer) {
+            this.destroy();
+            this.onUnsupported(error);
+          }
+          throw error;
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
+  }
+
+  // Evaluate an experiment locally, returning the same shape as evaluateExperiment
+  async evaluate(experimentTitle, context = {}) {
+    await this.ready;
+    if (!this.definitions) {
+      throw this.lastError || new LaikaServiceError('Experiment definitions are not loaded', 503, null);
+    }
+
+    const definition = this.definitions.get(experimentTitle);
+    if (!definition) {
+      throw new LaikaServiceError(`Experiment "${experimentTitle}" not found in local definitions`, 404, null);
+    }
+
+    const unitId = context.userId || context.sessionId;
+    if (!unitId) {
+      throw new ValidationError('Local experiment evaluation requires context.userId or context.sessionId');
+    }
+
+    const bucket = assignBucket(definition.buckets, hashToUnitInterval(definition.experimentId, String(unitId)));
+    if (!bucket) {
+      throw new LaikaServiceError(`Experiment "${experimentTitle}" has no bucket with traffic`, 404, null);
+    }
+
+    return {
+      groupName: bucket.groupName,
+      promptContent: bucket.promptContent,
+      promptType: bucket.promptType,
+      experimentId: definition.experimentId,
+      bucketId: bucket.bucketId,
+      promptMetadata: Object.assign({}, bucket.promptMetadata)
+    };
+  }
+
+  destroy() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+}
+
+module.exports = {
+  LocalExperiments,
+  DEFAULT_LOCAL_EVALUATION_OPTIONS,
+  hashToUnitInterval,
+  assignBucket
+};
@@ -0,0 +1,57 @@
+// lib/lockfile.js
+// Prompt lockfile pinning prompt names to versions
+//
+//   { "lockfileVersion": 1, "prompts": { "welcome-message": "12" } }
+//
+// Written by `laikatest lock`; read by the client's lockfile option so
+// getPrompt resolves pinned versions.
+
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('./errors');
+
+const DEFAULT_LOCKFILE = 'laikatest.lock.json';
+const LOCKFILE_VERSION = 1;
+
+// Read a lockfile as { name: version }
+function readLockfile(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new ValidationError(`lockfile could not be read: ${error.message}`);
+  }
+
+  let lockfile;
+  try {
+    lockfile = JSON.parse(raw);
+  } catch (error) {
+    throw new ValidationError(`Invalid lockfile ${filePath}: ${error.message}`);
+  }
+  const prompts = lockfile && lockfile.prompts;
+  if (!prompts || typeof prompts !== 'object' || Array.isArray(prompts)) {
+    throw new ValidationError(`Invalid lockfile ${filePath}: expected a prompts object`);
+  }
+  Object.keys(prompts).forEach(name => {
+    if (!/^\d+$/.test(String(prompts[name]))) {
+      throw new ValidationError(`Invalid lockfile ${filePath}: version of "${name}" must be a version number`);
+    }
+  });
+  return Object.assign({}, prompts);
+}
+
+// Write { name: version } with names sorted so diffs stay small
+function writeLockfile(filePath, versions) {
+  const prompts = {};
+  Object.keys(versions).sort().forEach(name => {
+    prompts[name] = String(versions[name]);
+  });
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({ lockfileVersion: LOCKFILE_VERSION, prompts }, null, 2) + '\n', 'utf8');
+}
+
+module.exports = {
+  readLockfile,
+  writeLockfile,
+  DEFAULT_LOCKFILE
+};
@@ -0,0 +1,80 @@
+// lib/logger.js
+// Level-aware logging with API key redaction
+//
+// Loggers are called pino-style as logger.warn(fields, message), so pino and
+// compatible loggers can be passed in as-is.
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+const METHODS = ['debug', 'info', 'warn', 'error'];
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY = /^(authorization|api[-_]?key)$/i;
+
+function consoleArgs(fields, message) {
+  const text = `[LaikaTest] ${message}`;
+  return fields && Object.keys(fields).length > 0 ? [text, fields] : [text];
+}
+
+// Target for debug mode without a logger: the console, message first
+const consoleLogger = {
+  debug: (fields, message) => console.debug(...consoleArgs(fields, message)),
+  info: (fields, message) => console.log(...consoleArgs(fields, message)),
+  warn: (fields, message) => console.warn(...consoleArgs(fields, message)),
+  error: (fields, message) => console.error(...consoleArgs(fields, message))
+};
+
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+// Replace secrets in strings, plain objects and arrays; other values pass through
+function redact(value, secrets) {
+  if (typeof value === 'string') {
+    return secrets.reduce((text, secret) => text.split(secret).join(REDACTED), value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, secrets));
+  }
+  if (isPlainObject(value)) {
+    const redacted = {};
+    Object.keys(value).forEach(key => {
+      redacted[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(value[key], secrets);
+    });
+    return redacted;
+  }
+  return value;
+}
+
+// Wrap options.logger (default: the console) so calls below the level are
+// dropped, `secrets` never reach the output, and a failing logger never
+// breaks the caller. The level is options.logLevel, else 'debug' with
+// options.debug, else 'info' with a logger; the client stays silent when
+// given none of these.
+function createLogger(options = {}, secrets = []) {
+  const target = options.logger || consoleLogger;
+  const level = options.logLevel || (options.debug ? 'debug' : (options.logger ? 'info' : 'silent'));
+  const threshold = LOG_LEVELS.indexOf(level);
+  const activeSecrets = secrets.filter(secret => typeof secret === 'string' && secret.length > 0);
+
+  const logger = {
+    isLevelEnabled: name => LOG_LEVELS.indexOf(name) >= threshold
+  };
+  METHODS.forEach((name, index) => {
+    logger[name] = (fields, message) => {
+      if (index < threshold || typeof target[name] !== 'function') {
+        return;
+      }
+      try {
+        target[name](redact(fields || {}, activeSecrets), redact(message, activeSecrets));
+      } catch (error) {
+        // Logging must never break the client
+      }
+    };
+  });
+  return logger;
+}
+
+module.exports = {
+  createLogger,
+  redact,
+  LOG_LEVELS
+};
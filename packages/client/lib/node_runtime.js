@@ -0,0 +1,29 @@
+// lib/node_runtime.js
+// Platform services for Node.js: http(s) agents with proxy and CA support,
+// file-backed features, push invalidation and AsyncLocalStorage
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { AgentPool } = require('./transport');
+const { makeHttpRequest } = require('./http');
+const { readLockfile, DEFAULT_LOCKFILE } = require('./lockfile');
+const { readFallbackDir } = require('./fallback_dir');
+const { HttpRecorder } = require('./recording');
+const { ScoreOutbox } = require('./outbox');
+const { PromptChangeSubscriber, createWebhookHandler } = require('./invalidation');
+
+module.exports = {
+  name: 'node',
+  createAgentPool: options => new AgentPool(options),
+  transport: makeHttpRequest,
+  randomUUID: () => crypto.randomUUID(),
+  experimentStorage: new AsyncLocalStorage(),
+  unsupportedOptions: [],
+  // `true` reads laikatest.lock.json from the working directory
+  readLockfile: lockfile => readLockfile(lockfile === true ? DEFAULT_LOCKFILE : lockfile),
+  readFallbackDir,
+  HttpRecorder,
+  ScoreOutbox,
+  PromptChangeSubscriber,
+  createWebhookHandler
+};
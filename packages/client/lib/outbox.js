@@ -0,0 +1,180 @@
+// lib/outbox.js
+// Durable on-disk outbox for scores that could not be sent
+//
+// The journal is a JSON-lines file with two kinds of records:
+//   {"type":"add","payload":{...}}       a score waiting for delivery
+//   {"type":"ack","sdkEventId":"..."}    a score the API has accepted
+// Pending scores are adds without a matching ack. Delivery is at-least-once;
+// the backend dedupes replays by sdkEventId.
+
+const fs = require('fs');
+const path = require('path');
+const { isRedeliverable } = require('./global_utils');
+
+const DEFAULT_OUTBOX_OPTIONS = {
+  replayInterval: 60 * 1000,
+  batchSize: 50
+};
+
+class ScoreOutbox {
+  // `send(payloads)` delivers a batch of score payloads to the API. It may
+  // resolve with one entry per payload, null once delivered or the error that
+  // payload failed with; rejecting fails the whole batch.
+  constructor(send, options = {}) {
+    this.send = send;
+    this.options = Object.assign({}, DEFAULT_OUTBOX_OPTIONS, options);
+    this.path = this.options.path;
+    this.writeChain = Promise.resolve();
+    this.replaying = null;
+
+    // Replay what a previous run left behind, then keep retrying on a timer
+    this.ready = this.replay().catch(() => {});
+    this.replayTimer = setInterval(() => {
+      this.replay().catch(() => {});
+    }, this.options.replayInterval);
+    if (typeof this.replayTimer.unref === 'function') {
+      this.replayTimer.unref();
+    }
+  }
+
+  // Serialize journal writes so records never interleave
+  write(task) {
+    const next = this.writeChain.then(task);
+    this.writeChain = next.catch(() => {});
+    return next;
+  }
+
+  // Append journal records as JSON lines
+  appendRecords(records) {
+    if (records.length === 0) {
+      return Promise.resolve();
+    }
+    const lines = records.map(record => JSON.stringify(record)).join('\n') + '\n';
+    return this.write(async () => {
+      await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+      await fs.promises.appendFile(this.path, lines, 'utf8');
+    });
+  }
+
+  // Persist payloads that failed to send
+  add(payloads) {
+    return this.appendRecords(payloads.map(payload => ({ type: 'add', payload })));
+  }
+
+  // Mark payloads as delivered
+  ack(sdkEventIds) {
+    return this.appendRecords(sdkEventIds.map(sdkEventId => ({ type: 'ack', sdkEventId })));
+  }
+
+  // Read the journal and return pending payloads, the number of acks and
+  // whether the last line was left unterminated by a crash mid-write
+  async load() {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { pending: [], acked: 0, torn: false };
+      }
+      throw error;
+    }
+
+    const pending = new Map();
+    let acked = 0;
+    raw.split('\n').forEach(line => {
+      if (!line.trim()) {
+        return;
+      }
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A torn final line from a crash mid-write is skipped
+        return;
+      }
+      if (record.type === 'add' && record.payload && record.payload.sdkEventId) {
+        pending.set(record.payload.sdkEventId, record.payload);
+      } else if (record.type === 'ack') {
+        pending.delete(record.sdkEventId);
+        acked++;
+      }
+    });
+    const torn = raw.length > 0 && !raw.endsWith('\n');
+    return { pending: Array.from(pending.values()), acked, torn };
+  }
+
+  // Rewrite the journal with only pending payloads
+  compact() {
+    return this.write(async () => {
+      const { pending, acked, torn } = await this.load();
+      if (acked === 0 && !torn) {
+        return;
+      }
+      const temp = `${this.path}.${process.pid}.tmp`;
+      const lines = pending.map(payload => JSON.stringify({ type: 'add', payload }) + '\n').join('');
+      await fs.promises.writeFile(temp, lines, 'utf8');
+      await fs.promises.rename(temp, this.path);
+    });
+  }
+
+  // Try to deliver every pending payload; concurrent calls share one run
+  replay() {
+    if (!this.replaying) {
+      this.replaying = this.deliverPending().finally(() => {
+        this.replaying = null;
+      });
+    }
+    return this.replaying;
+  }
+
+  async deliverPending() {
+    await this.writeChain;
+    const { pending, torn } = await this.load();
+    if (torn) {
+      // Drop the torn line before appending, or the next record would join it
+      await this.compact();
+    }
+
+    for (let i = 0; i < pending.length; i += this.options.batchSize) {
+      const batch = pending.slice(i, i + this.options.batchSize);
+      let errors;
+      try {
+        errors = (await this.send(batch)) || [];
+      } catch (error) {
+        errors = batch.map(() => error);
+      }
+
+      // Delivered payloads and ones the API rejected are done: retrying a
+      // rejected score cannot succeed. The rest wait for the next replay.
+      const settled = batch.filter((payload, index) => !errors[index] || !isRedeliverable(errors[index]));
+      await this.ack(settled.map(payload => payload.sdkEventId));
+      if (settled.length < batch.length) {
+        break;
+      }
+    }
+
+    await this.compact();
+  }
+
+  async getStats() {
+    const { pending } = await this.load();
+    return { pending: pending.length };
+  }
+
+  // Stop the replay timer and wait for journal writes to finish
+  async destroy() {
+    if (this.replayTimer) {
+      clearInterval(this.replayTimer);
+      this.replayTimer = null;
+    }
+    if (this.replaying) {
+      await this.replaying.catch(() => {});
+    }
+    await this.writeChain;
+  }
+}
+
+module.exports = {
+  ScoreOutbox,
+  DEFAULT_OUTBOX_OPTIONS
+};
@@ -0,0 +1,123 @@
+// lib/partials.js
+// Prompt composition: {{> name}} includes the content of another prompt
+//
+//   {{> shared/safety-preamble}}      current version
+//   {{> shared/safety-preamble@3}}    pinned to version 3 (or @v3)
+//   {{> shared/safety-preamble@production}}   version the label points to
+//
+// Partials are inserted before compile, so their placeholders are filled
+// with the including prompt's variables. Only text prompts can be included.
+
+const { ValidationError } = require('./errors');
+const { validatePromptName, validateVersionId, validateLabel } = require('./validation');
+
+const DEFAULT_MAX_PARTIAL_DEPTH = 5;
+
+// Escaped braces are matched too so that \{{> name}} is skipped
+const PARTIAL_PATTERN = /\\\{\{|\{\{>\s*([^\s}]+)\s*\}\}/g;
+
+// Split "name@3" or "name@production" into prompt name and version or label
+function parsePartialReference(reference) {
+  const at = reference.lastIndexOf('@');
+  const name = at === -1 ? reference : reference.slice(0, at);
+  const version = at === -1 ? undefined : reference.slice(at + 1);
+
+  validatePromptName(name);
+  if (version !== undefined && !/^v?\d+$/.test(version)) {
+    try {
+      return { name, versionId: null, label: validateLabel(version) };
+    } catch (error) {
+      throw new ValidationError(`Invalid label in partial {{> ${reference}}}: ${error.message}`);
+    }
+  }
+  try {
+    return { name, versionId: validateVersionId(version) || null };
+  } catch (error) {
+    throw new ValidationError(`Invalid version in partial {{> ${reference}}}: ${error.message}`);
+  }
+}
+
+// Replace every partial in `content` (text, chat or object) with the included
+// prompt's text. `loadPartial(name, versionId, label)` resolves to prompt
+// content. Returns { content, includes } where includes lists each included
+// { name, versionId } once (plus label for labelled includes), versionId null
+// meaning the current or labelled version.
+async function resolvePartials(content, loadPartial, options = {}) {
+  const maxDepth = options.maxDepth || DEFAULT_MAX_PARTIAL_DEPTH;
+  const includes = [];
+  const included = new Set();
+
+  async function resolveString(text, chain, depth) {
+    const pieces = [];
+    let lastIndex = 0;
+    let match;
+
+    // Collect matches first: resolving awaits, and the regex is shared
+    const matches = [];
+    PARTIAL_PATTERN.lastIndex = 0;
+    while ((match = PARTIAL_PATTERN.exec(text)) !== null) {
+      if (match[1] !== undefined) {
+        matches.push({ index: match.index, length: match[0].length, reference: match[1] });
+      }
+    }
+
+    for (const { index, length, reference } of matches) {
+      const { name, versionId, label } = parsePartialReference(reference);
+      const path = chain.concat(name);
+      if (chain.includes(name)) {
+        throw new ValidationError(`Partial cycle detected: ${path.join(' -> ')}`);
+      }
+      if (depth >= maxDepth) {
+        throw new ValidationError(`Partial depth limit of ${maxDepth} exceeded: ${path.join(' -> ')}`);
+      }
+
+      const partial = await loadPartial(name, versionId, label);
+      if (typeof partial !== 'string') {
+        throw new ValidationError(`Partial "${name}" is not a text prompt and cannot be included`);
+      }
+
+      const key = `${name}@${label || versionId || ''}`;
+      if (!included.has(key)) {
+        included.add(key);
+        includes.push(label ? { name, versionId, label } : { name, versionId });
+      }
+
+      pieces.push(text.slice(lastIndex, index), await resolveString(partial, path, depth + 1));
+      lastIndex = index + length;
+    }
+
+    pieces.push(text.slice(lastIndex));
+    return pieces.join('');
+  }
+
+  async function resolveValue(value, chain) {
+    if (typeof value === 'string') {
+      return value.includes('{{') ? resolveString(value, chain, 0) : value;
+    }
+    if (Array.isArray(value)) {
+      const resolved = [];
+      for (const item of value) {
+        resolved.push(await resolveValue(item, chain));
+      }
+      return resolved;
+    }
+    if (Object.prototype.toString.call(value) === '[object Object]') {
+      const resolved = {};
+      for (const key of Object.keys(value)) {
+        resolved[key] = await resolveValue(value[key], chain);
+      }
+      return resolved;
+    }
+    return value;
+  }
+
+  // The including prompt's own name is part of the chain for cycle detection
+  const resolved = await resolveValue(content, options.rootName ? [options.rootName] : []);
+  return { content: resolved, includes };
+}
+
+module.exports = {
+  resolvePartials,
+  parsePartialReference,
+  DEFAULT_MAX_PARTIAL_DEPTH
+};
@@ -0,0 +1,91 @@
+// lib/prefetch.js
+// Bulk prompt loading with a concurrency limit
+
+const { ValidationError } = require('./errors');
+
+const DEFAULT_CONCURRENCY = 5;
+
+// Turn "name" or { name, versionId?, label? } into a prompt reference
+function normalizePromptReference(reference) {
+  if (typeof reference === 'string') {
+    return { name: reference, versionId: null };
+  }
+  if (!reference || typeof reference !== 'object' || Array.isArray(reference)) {
+    throw new ValidationError('Each prompt must be a name or an object with a name');
+  }
+
+  const normalized = { name: reference.name, versionId: reference.versionId || null };
+  if (reference.label !== undefined) {
+    normalized.label = reference.label;
+  }
+  return normalized;
+}
+
+// Validate the prompt list and concurrency shared by getPrompts and prefetch
+function validateBatch(prompts, concurrency) {
+  if (!Array.isArray(prompts)) {
+    throw new ValidationError('prompts must be an array of prompt names or { name, versionId?, label? } objects');
+  }
+  if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1)) {
+    throw new ValidationError('concurrency must be a positive integer');
+  }
+}
+
+// Run `worker(item, index)` over items with at most `limit` in flight.
+// Resolves to the results in input order; the worker must not reject.
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function run() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const runners = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    runners.push(run());
+  }
+  await Promise.all(runners);
+  return results;
+}
+
+// Load every prompt with `load(reference)`, settling each one individually:
+// [{ name, versionId, label?, prompt }] or [{ name, versionId, label?, error }]
+function loadPrompts(prompts, load, options = {}) {
+  validateBatch(prompts, options.concurrency);
+
+  return mapWithConcurrency(prompts, options.concurrency || DEFAULT_CONCURRENCY, async (item) => {
+    let reference;
+    try {
+      reference = normalizePromptReference(item);
+      return Object.assign(reference, { prompt: await load(reference) });
+    } catch (error) {
+      return Object.assign(reference || { name: item && item.name, versionId: null }, { error });
+    }
+  });
+}
+
+// Split settled results into { loaded, failed } for warm-up reports
+function summarize(results) {
+  const loaded = [];
+  const failed = [];
+  results.forEach(result => {
+    const { prompt, error, ...reference } = result;
+    if (error) {
+      failed.push(Object.assign(reference, { error }));
+    } else {
+      loaded.push(reference);
+    }
+  });
+  return { loaded, failed };
+}
+
+module.exports = {
+  loadPrompts,
+  summarize,
+  mapWithConcurrency,
+  DEFAULT_CONCURRENCY
+};
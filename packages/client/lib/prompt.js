@@ -1,10 +1,11 @@
 // lib/prompt.js
 // Prompt wrapper with compile utilities
 
-const { injectVariables } = require('./variables');
+const { injectVariables, getVariables } = require('./variables');
+const { toOpenAIMessages, toAnthropicRequest, toGeminiRequest } = require('./providers');
 
 class Prompt {
-  constructor(content, promptVersionId = null, experimentId = null, bucketId = null, client = null, promptId = null) {
+  constructor(content, promptVersionId = null, experimentId = null, bucketId = null, client = null, promptId = null, metadata = {}) {
     this._content = content;
     this._type = Array.isArray(content) ? 'chat' : 'text';
     this._promptVersionId = promptVersionId;
@@ -16,6 +17,9 @@ class Prompt {
 
     // Store client reference for pushScore
     this._client = client;
+
+    // Where the content came from (e.g. { fallback: true } for offline snapshots)
+    this._metadata = metadata;
   }
 
   getContent() {
@@ -36,9 +40,41 @@ class Prompt {
   getPromptVersionId() {
     return this._promptVersionId;
   }
+  isFallback() {
+    return this._metadata.fallback === true;
+  }
+  // Deployment label the prompt was fetched by, or null
+  getLabel() {
+    return this._metadata.label || null;
+  }
+  // Prompts inlined through {{> partial}}: [{ name, versionId, label? }]
+  getIncludes() {
+    return (this._metadata.includes || []).map(include => Object.assign({}, include));
+  }
+
+  // Top-level variables the templates in this prompt read
+  getVariables() {
+    return getVariables(this._content);
+  }
+
+  // options.strict: throw ValidationError on missing or unexpected variables
+  compile(variables, options = {}) {
+    return new Prompt(injectVariables(this._content, variables, options), this._promptVersionId, this._experimentId, this._bucketId, this._client, this._promptId, this._metadata);
+  }
+
+  // Chat Completions `messages` array
+  toOpenAI() {
+    return toOpenAIMessages(this._content);
+  }
+
+  // Messages API `{ system, messages }`, with system messages hoisted
+  toAnthropic() {
+    return toAnthropicRequest(this._content);
+  }
 
-  compile(variables) {
-    return new Prompt(injectVariables(this._content, variables), this._promptVersionId, this._experimentId, this._bucketId, this._client, this._promptId);
+  // generateContent `{ systemInstruction, contents }`
+  toGemini() {
+    return toGeminiRequest(this._content);
   }
 
   // Push score for experimental prompts
@@ -1,17 +1,19 @@
 // lib/prompt_utils.js
 // Prompt-related operations for LaikaTest SDK
 
-const { makeHttpRequest } = require('./http');
-const { NetworkError,} = require('./errors');
-const { parseApiResponse,handleApiError } = require('./global_utils');
-// Build API URL for fetching prompt
+const { sendRequest } = require('./request');
+const { parseApiResponse, handleApiError, toNetworkError } = require('./global_utils');
+// Build API URL for fetching prompt; versionId may be { label } to resolve
+// the version a deployment label points to
 function buildPromptUrl(baseUrl, promptName, versionId) {
   const encodedName = encodeURIComponent(promptName);
 
   // Use URLSearchParams for safe query parameter handling
   const params = new URLSearchParams();
 
-  if (versionId) {
+  if (versionId && versionId.label) {
+    params.append('label', versionId.label);
+  } else if (versionId) {
     params.append('versionNumber', versionId);
   }
   return `${baseUrl}/api/v1/prompts/by-name/${encodedName}?${params.toString()}`;
@@ -19,9 +21,14 @@ function buildPromptUrl(baseUrl, promptName, versionId) {
 
 
 
-// Fetch prompt from API
-async function fetchPrompt(apiKey, baseUrl, promptName, versionId, timeout) {
+// Fetch a prompt with the version the API resolved:
+// { content, type, versionNumber } (versionNumber is null if not reported).
+// A number in place of the request config is a timeout, as in earlier versions.
+async function fetchPromptDetails(apiKey, baseUrl, promptName, versionId, requestConfig) {
   const url = buildPromptUrl(baseUrl, promptName, versionId);
+  if (typeof requestConfig === 'number') {
+    requestConfig = { timeout: requestConfig };
+  }
 
   const options = {
     method: 'GET',
@@ -33,21 +40,32 @@ async function fetchPrompt(apiKey, baseUrl, promptName, versionId, timeout) {
 
   let response;
   try {
-    response = await makeHttpRequest(url, options, timeout);
+    response = await sendRequest(url, options, requestConfig);
   } catch (error) {
-     throw new NetworkError('Failed to connect to LaikaTest API', error);
+     throw toNetworkError(error);
   }   
 
 
-  const parsed = parseApiResponse(response.data);
+  const parsed = parseApiResponse(response.data, response.statusCode);
 
   if (response.statusCode === 200 && parsed.success) {
     const data = JSON.parse(parsed.data.content);
-    return parsed.data.type === 'text' ? data[0].content : data;
+    const versionNumber = parsed.data.versionNumber;
+    return {
+      content: parsed.data.type === 'text' ? data[0].content : data,
+      type: parsed.data.type,
+      versionNumber: versionNumber !== undefined && versionNumber !== null ? String(versionNumber) : null
+    };
   }
   handleApiError(response.statusCode, parsed);
 }
 
+// Fetch prompt from API using the client request config ({ timeout, retry })
+async function fetchPrompt(apiKey, baseUrl, promptName, versionId, requestConfig) {
+  return (await fetchPromptDetails(apiKey, baseUrl, promptName, versionId, requestConfig)).content;
+}
+
 module.exports = {
-  fetchPrompt
+  fetchPrompt,
+  fetchPromptDetails
 };
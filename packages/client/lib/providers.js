@@ -0,0 +1,299 @@
+// lib/providers.js
+// Convert chat prompts to the request shapes of LLM provider SDKs
+//
+// Chat prompts use OpenAI-style messages:
+//   { role: 'system' | 'developer' | 'user' | 'assistant' | 'tool', content, name?, tool_calls?, tool_call_id? }
+// where content is a string or an array of parts:
+//   { type: 'text', text }
+//   { type: 'image_url', image_url: { url, detail? } }
+//   { type: 'image', url } or { type: 'image', data, mediaType }   (base64 data)
+
+const { ValidationError } = require('./errors');
+
+const ROLES = ['system', 'developer', 'user', 'assistant', 'tool'];
+const IMAGE_MEDIA_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp' };
+
+function conversionError(provider, message) {
+  return new ValidationError(`Cannot convert prompt to ${provider} format: ${message}`);
+}
+
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+// Split a data: URL into media type and base64 data
+function parseDataUrl(url) {
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(url);
+  return match ? { mediaType: match[1], data: match[2] } : null;
+}
+
+function guessMediaType(url) {
+  const match = /\.([a-z0-9]+)(?:[?#].*)?$/i.exec(url);
+  return match ? IMAGE_MEDIA_TYPES[match[1].toLowerCase()] || null : null;
+}
+
+function normalizePart(part, where, provider) {
+  if (typeof part === 'string') {
+    return { type: 'text', text: part };
+  }
+  if (!isPlainObject(part)) {
+    throw conversionError(provider, `${where} has a content part that is not an object`);
+  }
+
+  if (part.type === 'text' && typeof part.text === 'string') {
+    return { type: 'text', text: part.text };
+  }
+
+  if (part.type === 'image_url' || part.type === 'image') {
+    const url = part.type === 'image_url' ? part.image_url && part.image_url.url : part.url;
+    const detail = part.type === 'image_url' ? part.image_url && part.image_url.detail : part.detail;
+    if (typeof url === 'string' && url) {
+      const inline = parseDataUrl(url);
+      return inline
+        ? { type: 'image', data: inline.data, mediaType: inline.mediaType, detail }
+        : { type: 'image', url, mediaType: part.mediaType || guessMediaType(url), detail };
+    }
+    if (typeof part.data === 'string' && typeof part.mediaType === 'string') {
+      return { type: 'image', data: part.data, mediaType: part.mediaType, detail };
+    }
+    throw conversionError(provider, `${where} has an image part without a url or base64 data and mediaType`);
+  }
+
+  throw conversionError(provider, `${where} has an unsupported content part type "${part.type}"`);
+}
+
+function normalizeToolCall(toolCall, where, provider) {
+  const fn = toolCall && toolCall.function;
+  if (!toolCall || !toolCall.id || !fn || typeof fn.name !== 'string') {
+    throw conversionError(provider, `${where} has a tool call without id and function name`);
+  }
+
+  let args = fn.arguments === undefined ? {} : fn.arguments;
+  if (typeof args === 'string') {
+    try {
+      args = args ? JSON.parse(args) : {};
+    } catch (error) {
+      throw conversionError(provider, `${where} has tool call ${toolCall.id} with arguments that are not valid JSON`);
+    }
+  }
+  return { id: toolCall.id, name: fn.name, arguments: args };
+}
+
+// Validate chat content and convert it to an internal message list
+function normalizeMessages(content, provider) {
+  if (!Array.isArray(content)) {
+    throw conversionError(provider, 'only chat prompts (an array of messages) can be converted');
+  }
+  if (content.length === 0) {
+    throw conversionError(provider, 'the prompt has no messages');
+  }
+
+  return content.map((message, index) => {
+    const where = `message ${index}`;
+    if (!isPlainObject(message)) {
+      throw conversionError(provider, `${where} is not an object`);
+    }
+    if (!ROLES.includes(message.role)) {
+      throw conversionError(provider, `${where} has unsupported role "${message.role}"`);
+    }
+
+    let parts;
+    if (typeof message.content === 'string') {
+      parts = message.content ? [{ type: 'text', text: message.content }] : [];
+    } else if (Array.isArray(message.content)) {
+      parts = message.content.map(part => normalizePart(part, where, provider));
+    } else if (message.content === null || message.content === undefined) {
+      parts = [];
+    } else {
+      throw conversionError(provider, `${where} content must be a string or an array of parts`);
+    }
+
+    const toolCalls = message.role === 'assistant' && Array.isArray(message.tool_calls)
+      ? message.tool_calls.map(toolCall => normalizeToolCall(toolCall, where, provider))
+      : [];
+
+    if (message.role === 'tool' && !message.tool_call_id) {
+      throw conversionError(provider, `${where} is a tool message without tool_call_id`);
+    }
+    if ((message.role === 'system' || message.role === 'developer' || message.role === 'tool') && parts.some(part => part.type !== 'text')) {
+      throw conversionError(provider, `${where} is a ${message.role} message with non-text content`);
+    }
+    if (parts.length === 0 && toolCalls.length === 0) {
+      throw conversionError(provider, `${where} has no content`);
+    }
+
+    return { role: message.role, parts, toolCalls, toolCallId: message.tool_call_id, name: message.name };
+  });
+}
+
+function joinText(parts) {
+  return parts.map(part => part.text).join('\n');
+}
+
+function isSystem(message) {
+  return message.role === 'system' || message.role === 'developer';
+}
+
+// Take system messages out of the conversation, joined in order
+function hoistSystem(messages) {
+  const system = messages.filter(isSystem).map(message => joinText(message.parts));
+  return { system: system.length > 0 ? system.join('\n\n') : undefined, rest: messages.filter(message => !isSystem(message)) };
+}
+
+// Merge consecutive entries with the same role; providers require alternation
+function mergeConsecutive(entries, key) {
+  return entries.reduce((merged, entry) => {
+    const previous = merged[merged.length - 1];
+    if (previous && previous.role === entry.role) {
+      previous[key] = previous[key].concat(entry[key]);
+    } else {
+      merged.push(Object.assign({}, entry, { [key]: entry[key].slice() }));
+    }
+    return merged;
+  }, []);
+}
+
+// OpenAI Chat Completions `messages`
+function toOpenAIMessages(content) {
+  return normalizeMessages(content, 'OpenAI').map(message => {
+    const converted = { role: message.role };
+    if (message.name) {
+      converted.name = message.name;
+    }
+
+    const textOnly = message.parts.every(part => part.type === 'text');
+    if (message.parts.length === 0) {
+      converted.content = null;
+    } else if (textOnly) {
+      converted.content = joinText(message.parts);
+    } else {
+      converted.content = message.parts.map(part => (part.type === 'text'
+        ? { type: 'text', text: part.text }
+        : {
+          type: 'image_url',
+          image_url: Object.assign(
+            { url: part.url || `data:${part.mediaType};base64,${part.data}` },
+            part.detail ? { detail: part.detail } : {}
+          )
+        }));
+    }
+
+    if (message.toolCalls.length > 0) {
+      converted.tool_calls = message.toolCalls.map(toolCall => ({
+        id: toolCall.id,
+        type: 'function',
+        function: { name: toolCall.name, arguments: JSON.stringify(toolCall.arguments) }
+      }));
+    }
+    if (message.role === 'tool') {
+      converted.tool_call_id = message.toolCallId;
+    }
+    return converted;
+  });
+}
+
+// Anthropic Messages API `{ system, messages }`
+function toAnthropicRequest(content) {
+  const { system, rest } = hoistSystem(normalizeMessages(content, 'Anthropic'));
+
+  const entries = rest.map(message => {
+    if (message.role === 'tool') {
+      return { role: 'user', content: [{ type: 'tool_result', tool_use_id: message.toolCallId, content: joinText(message.parts) }] };
+    }
+
+    const blocks = message.parts.map(part => {
+      if (part.type === 'text') {
+        return { type: 'text', text: part.text };
+      }
+      return part.data
+        ? { type: 'image', source: { type: 'base64', media_type: part.mediaType, data: part.data } }
+        : { type: 'image', source: { type: 'url', url: part.url } };
+    });
+    message.toolCalls.forEach(toolCall => {
+      blocks.push({ type: 'tool_use', id: toolCall.id, name: toolCall.name, input: toolCall.arguments });
+    });
+    return { role: message.role, content: blocks };
+  });
+
+  const messages = mergeConsecutive(entries, 'content').map(message => {
+    const [first] = message.content;
+    // A lone text block is sent as a plain string
+    return message.content.length === 1 && first.type === 'text'
+      ? { role: message.role, content: first.text }
+      : message;
+  });
+
+  if (messages.length === 0) {
+    throw conversionError('Anthropic', 'the prompt has no user or assistant messages');
+  }
+  if (messages[0].role !== 'user') {
+    throw conversionError('Anthropic', 'the first non-system message must be a user message');
+  }
+
+  const request = { messages };
+  if (system !== undefined) {
+    request.system = system;
+  }
+  return request;
+}
+
+// Gemini generateContent `{ systemInstruction, contents }`
+function toGeminiRequest(content) {
+  const { system, rest } = hoistSystem(normalizeMessages(content, 'Gemini'));
+  const toolNames = new Map();
+
+  const entries = rest.map(message => {
+    if (message.role === 'tool') {
+      const name = toolNames.get(message.toolCallId) || message.name;
+      if (!name) {
+        throw conversionError('Gemini', `a tool message answers unknown tool call "${message.toolCallId}"`);
+      }
+      const text = joinText(message.parts);
+      let response;
+      try {
+        response = JSON.parse(text);
+      } catch (error) {
+        response = null;
+      }
+      if (!isPlainObject(response)) {
+        response = { content: text };
+      }
+      return { role: 'user', parts: [{ functionResponse: { name, response } }] };
+    }
+
+    const parts = message.parts.map(part => {
+      if (part.type === 'text') {
+        return { text: part.text };
+      }
+      if (part.data) {
+        return { inlineData: { mimeType: part.mediaType, data: part.data } };
+      }
+      if (!part.mediaType) {
+        throw conversionError('Gemini', `image ${part.url} needs a mediaType`);
+      }
+      return { fileData: { mimeType: part.mediaType, fileUri: part.url } };
+    });
+    message.toolCalls.forEach(toolCall => {
+      toolNames.set(toolCall.id, toolCall.name);
+      parts.push({ functionCall: { name: toolCall.name, args: toolCall.arguments } });
+    });
+    return { role: message.role === 'assistant' ? 'model' : 'user', parts };
+  });
+
+  const contents = mergeConsecutive(entries, 'parts');
+  if (contents.length === 0) {
+    throw conversionError('Gemini', 'the prompt has no user or assistant messages');
+  }
+
+  const request = { contents };
+  if (system !== undefined) {
+    request.systemInstruction = { parts: [{ text: system }] };
+  }
+  return request;
+}
+
+module.exports = {
+  toOpenAIMessages,
+  toAnthropicRequest,
+  toGeminiRequest
+};
@@ -0,0 +1,104 @@
+// lib/proxy.js
+// HTTPS_PROXY / NO_PROXY resolution and CONNECT tunneling through HTTP proxies
+
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+const { ValidationError } = require('./errors');
+
+// Proxy for HTTPS requests from options.proxy, else the environment:
+// { url: URL, noProxy: string[] } or null. proxy: false disables it.
+function resolveProxy(proxy, env = process.env) {
+  if (proxy === false) {
+    return null;
+  }
+  const config = typeof proxy === 'string' ? { url: proxy } : Object.assign({}, proxy);
+  const proxyUrl = config.url || env.HTTPS_PROXY || env.https_proxy;
+  if (!proxyUrl) {
+    return null;
+  }
+
+  let url;
+  try {
+    url = new URL(proxyUrl);
+  } catch (error) {
+    throw new ValidationError(`Invalid proxy URL: ${proxyUrl}`);
+  }
+  if (url.protocol !== 'http:') {
+    throw new ValidationError('Only http:// proxies are supported');
+  }
+
+  const noProxy = config.noProxy !== undefined ? config.noProxy : (env.NO_PROXY || env.no_proxy || '');
+  return { url, noProxy: parseNoProxy(noProxy) };
+}
+
+// "a.com, .b.com:8443 *" or ['a.com'] -> lower-cased entries
+function parseNoProxy(noProxy) {
+  const entries = Array.isArray(noProxy) ? noProxy : String(noProxy).split(/[\s,]+/);
+  return entries.map(entry => entry.trim().toLowerCase()).filter(Boolean);
+}
+
+// NO_PROXY entries match the host and its subdomains, optionally on one port;
+// "*" matches everything
+function isProxyBypassed(targetUrl, noProxy) {
+  const { hostname, port, protocol } = new URL(targetUrl);
+  const host = hostname.toLowerCase();
+  const targetPort = port || (protocol === 'https:' ? '443' : '80');
+
+  return noProxy.some(entry => {
+    if (entry === '*') {
+      return true;
+    }
+    const match = entry.match(/^(.*?)(?::(\d+))?$/);
+    const domain = match[1].replace(/^\*?\./, '');
+    if (match[2] && match[2] !== targetPort) {
+      return false;
+    }
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+}
+
+// Keep-alive HTTPS agent whose connections are CONNECT tunnels through an
+// HTTP proxy; TLS is end to end with the target
+class TunnelAgent extends https.Agent {
+  constructor(proxyUrl, options = {}) {
+    super(options);
+    this.proxyUrl = proxyUrl;
+  }
+
+  createConnection(options, callback) {
+    const target = `${options.host}:${options.port}`;
+    const headers = { Host: target };
+    if (this.proxyUrl.username) {
+      const credentials = `${decodeURIComponent(this.proxyUrl.username)}:${decodeURIComponent(this.proxyUrl.password)}`;
+      headers['Proxy-Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const req = http.request({
+      host: this.proxyUrl.hostname,
+      port: this.proxyUrl.port || 80,
+      method: 'CONNECT',
+      path: target,
+      headers,
+      agent: false
+    });
+    req.once('connect', (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        callback(new Error(`Proxy CONNECT to ${target} failed with status ${res.statusCode}`));
+        return;
+      }
+      const servername = options.servername || (net.isIP(options.host) ? undefined : options.host);
+      callback(null, tls.connect(Object.assign({}, options, { socket, servername })));
+    });
+    req.once('error', callback);
+    req.end();
+  }
+}
+
+module.exports = {
+  resolveProxy,
+  isProxyBypassed,
+  TunnelAgent
+};
@@ -0,0 +1,173 @@
+// lib/recording.js
+// Record/replay transport for hermetic integration tests
+//
+// The fixture is a JSON file of recorded exchanges:
+//   { "version": 1, "exchanges": [{ "request": { method, path, headers, body },
+//                                    "response": { statusCode, headers, data } }] }
+// Requests match on method, path (query parameters sorted) and body (JSON
+// with object keys sorted and per-call fields such as sdkEventId removed).
+
+const fs = require('fs');
+const path = require('path');
+const { makeHttpRequest } = require('./http');
+const { redact } = require('./logger');
+const { ValidationError, UnmatchedRequestError } = require('./errors');
+const { RECORDING_MODES } = require('./validation');
+
+const FIXTURE_VERSION = 1;
+
+const DEFAULT_RECORDING_OPTIONS = {
+  mode: 'replay',
+  // Generated per call, so they would never match a recording
+  ignoreBodyFields: ['sdkEventId', 'clientVersion']
+};
+
+// Path with query parameters in a stable order
+function normalizePath(url) {
+  const parsed = new URL(url);
+  parsed.searchParams.sort();
+  return parsed.pathname + parsed.search;
+}
+
+// Recursively drop ignored fields and sort object keys
+function normalizeValue(value, ignoredFields) {
+  if (Array.isArray(value)) {
+    return value.map(item => normalizeValue(item, ignoredFields));
+  }
+  if (value && typeof value === 'object') {
+    const normalized = {};
+    Object.keys(value).sort().forEach(key => {
+      if (!ignoredFields.includes(key)) {
+        normalized[key] = normalizeValue(value[key], ignoredFields);
+      }
+    });
+    return normalized;
+  }
+  return value;
+}
+
+// JSON bodies are compared structurally; anything else as a string
+function normalizeBody(body, ignoredFields) {
+  if (body === undefined || body === null || body === '') {
+    return null;
+  }
+  try {
+    return normalizeValue(JSON.parse(body), ignoredFields);
+  } catch (error) {
+    return String(body);
+  }
+}
+
+function matchKey(request) {
+  return `${request.method} ${request.path} ${JSON.stringify(request.body)}`;
+}
+
+// Records API exchanges to a fixture file or replays them without network.
+// `transport` has the makeHttpRequest signature and wraps `send`.
+class HttpRecorder {
+  constructor(options = {}, secrets = [], send = makeHttpRequest) {
+    this.options = Object.assign({}, DEFAULT_RECORDING_OPTIONS, options);
+    this.mode = this.options.mode;
+    this.path = this.options.path;
+    this.secrets = secrets;
+    this.sendRequest = send;
+    this.exchanges = this.mode === 'passthrough' ? [] : this.load();
+    this.replayed = new Set(); // indexes of exchanges already served
+    this.rerecorded = new Set(); // match keys recorded again in this run
+
+    this.transport = (url, options, timeout) => this.send(url, options, timeout);
+  }
+
+  load() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.path, 'utf8');
+    } catch (error) {
+      if (this.mode === 'record' && error.code === 'ENOENT') {
+        return [];
+      }
+      throw new ValidationError(`recording fixture could not be read: ${error.message}`);
+    }
+
+    let fixture;
+    try {
+      fixture = JSON.parse(raw);
+    } catch (error) {
+      throw new ValidationError(`Invalid recording fixture ${this.path}: ${error.message}`);
+    }
+    if (!fixture || !Array.isArray(fixture.exchanges)) {
+      throw new ValidationError(`Invalid recording fixture ${this.path}: expected an exchanges array`);
+    }
+    return fixture.exchanges;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    const fixture = { version: FIXTURE_VERSION, exchanges: this.exchanges };
+    fs.writeFileSync(this.path, JSON.stringify(fixture, null, 2) + '\n', 'utf8');
+  }
+
+  describe(url, options) {
+    return {
+      method: options.method || 'GET',
+      path: normalizePath(url),
+      body: normalizeBody(options.body, this.options.ignoreBodyFields)
+    };
+  }
+
+  async send(url, options, timeout) {
+    if (this.mode === 'replay') {
+      return this.replay(this.describe(url, options));
+    }
+    const response = await this.sendRequest(url, options, timeout);
+    if (this.mode === 'record') {
+      this.record(this.describe(url, options), options.headers, response);
+    }
+    return response;
+  }
+
+  // Serve matching recordings in recorded order, repeating the last one
+  // once they are used up
+  replay(request) {
+    const key = matchKey(request);
+    let match = -1;
+    for (let i = 0; i < this.exchanges.length; i++) {
+      if (matchKey(this.exchanges[i].request) === key) {
+        match = i;
+        if (!this.replayed.has(i)) {
+          break;
+        }
+      }
+    }
+    if (match === -1) {
+      const body = request.body === null ? '' : ` with body ${JSON.stringify(request.body)}`;
+      throw new UnmatchedRequestError(`No recorded response for ${request.method} ${request.path}${body} in ${this.path}`, request);
+    }
+
+    this.replayed.add(match);
+    const { statusCode, headers, data } = this.exchanges[match].response;
+    return { statusCode, headers: Object.assign({}, headers), data };
+  }
+
+  // Append an exchange, replacing recordings of the same request left by
+  // earlier runs. Authorization headers and the API key are scrubbed.
+  record(request, headers, response) {
+    const key = matchKey(request);
+    if (!this.rerecorded.has(key)) {
+      this.rerecorded.add(key);
+      this.exchanges = this.exchanges.filter(exchange => matchKey(exchange.request) !== key);
+    }
+
+    this.exchanges.push(redact({
+      request: Object.assign({}, request, { headers: headers || {} }),
+      response: { statusCode: response.statusCode, headers: response.headers || {}, data: response.data }
+    }, this.secrets));
+    this.save();
+  }
+}
+
+module.exports = {
+  HttpRecorder,
+  RECORDING_MODES,
+  DEFAULT_RECORDING_OPTIONS
+};
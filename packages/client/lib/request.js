@@ -0,0 +1,80 @@
+// lib/request.js
+// Request dispatch with the client's timeout, retry policy, circuit breaker
+// and request hooks
+
+const { withRetry } = require('./retry');
+const { AbortError } = require('./errors');
+const { getRuntime } = require('./runtime');
+
+// Only GETs and requests carrying an idempotency key are safe to repeat
+function isRetryable(options) {
+  return options.method === 'GET' || options.idempotent === true;
+}
+
+// Report one HTTP attempt to config.onRequestStart / onRequestEnd
+function observeAttempt(send, url, method, config) {
+  if (!config.onRequestStart && !config.onRequestEnd) {
+    return send;
+  }
+  const notify = (hook, info) => hook && hook(info);
+
+  return async () => {
+    const startedAt = Date.now();
+    notify(config.onRequestStart, { method, url });
+    try {
+      const response = await send();
+      notify(config.onRequestEnd, { method, url, statusCode: response.statusCode, durationMs: Date.now() - startedAt });
+      return response;
+    } catch (error) {
+      notify(config.onRequestEnd, { method, url, statusCode: null, durationMs: Date.now() - startedAt, error });
+      throw error;
+    }
+  };
+}
+
+// One transport call, passing config.signal along. Once the signal has
+// aborted, whether by the caller or by the call's own timeout, the attempt
+// fails with an AbortError whatever the transport rejected with: the caller
+// gave up, which neither retries nor the circuit breaker count against the API.
+function transportAttempt(url, requestOptions, config) {
+  const { signal } = config;
+  const transport = config.transport || getRuntime().transport;
+  if (!signal) {
+    return () => transport(url, requestOptions, config.timeout);
+  }
+
+  const options = Object.assign({}, requestOptions, { signal });
+  const aborted = () => new AbortError('The operation was aborted', signal.reason);
+  return async () => {
+    if (signal.aborted) {
+      throw aborted();
+    }
+    try {
+      return await transport(url, options, config.timeout);
+    } catch (error) {
+      throw signal.aborted ? aborted() : error;
+    }
+  };
+}
+
+// Send a request using the client request config ({ timeout, retry, circuitBreaker,
+// transport, signal, onRequestStart, onRequestEnd }). `transport` sends one attempt
+// with the makeHttpRequest signature (see lib/http.js and lib/fetch.js) and
+// defaults to the runtime's, for helpers called without a client.
+// Every attempt, including retries, goes through the circuit breaker.
+async function sendRequest(url, options, config = {}) {
+  const { idempotent, ...requestOptions } = options;
+  const send = observeAttempt(transportAttempt(url, requestOptions, config), url, options.method, config);
+  const attempt = config.circuitBreaker
+    ? () => config.circuitBreaker.execute(send)
+    : send;
+
+  if (!config.retry || !isRetryable(options)) {
+    return attempt();
+  }
+  return withRetry(attempt, config.retry, config.signal);
+}
+
+module.exports = {
+  sendRequest
+};
@@ -0,0 +1,114 @@
+// lib/retry.js
+// Retry policy with exponential backoff for LaikaTest SDK
+
+const { CircuitOpenError, UnmatchedRequestError, AbortError } = require('./errors');
+const { abortable } = require('./abort');
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  initialDelay: 200,
+  maxDelay: 5000,
+  factor: 2,
+  jitter: true,
+  retryableStatusCodes: [408, 429, 500, 502, 503, 504]
+};
+
+// Normalize the `retry` client option into a policy, or null when disabled
+function normalizeRetryPolicy(retry) {
+  if (!retry) {
+    return null;
+  }
+  const policy = Object.assign({}, DEFAULT_RETRY_POLICY, retry === true ? {} : retry);
+  return policy.maxAttempts > 1 ? policy : null;
+}
+
+// Exponential backoff for a 1-based attempt number, with full jitter if enabled
+function computeBackoff(attempt, policy) {
+  const delay = Math.min(policy.maxDelay, policy.initialDelay * Math.pow(policy.factor, attempt - 1));
+  return policy.jitter ? Math.random() * delay : delay;
+}
+
+// Parse a Retry-After header (delay in seconds or HTTP date) into milliseconds
+function parseRetryAfter(value) {
+  if (Array.isArray(value)) {
+    value = value[0];
+  }
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+  return null;
+}
+
+// Delay before retrying a response, or null when it must not be retried
+function getResponseRetryDelay(response, attempt, policy) {
+  if (!policy.retryableStatusCodes.includes(response.statusCode)) {
+    return null;
+  }
+
+  if (response.statusCode === 429 || response.statusCode === 503) {
+    const headers = response.headers || {};
+    const retryAfter = parseRetryAfter(headers['retry-after']);
+    if (retryAfter !== null) {
+      // The server asked for a longer pause than we are willing to wait
+      return retryAfter > policy.maxDelay ? null : retryAfter;
+    }
+  }
+  return computeBackoff(attempt, policy);
+}
+
+// Wait ms, rejecting early if `signal` aborts
+function sleep(ms, signal) {
+  let timer;
+  const delay = new Promise(resolve => {
+    timer = setTimeout(resolve, ms);
+  });
+  return abortable(delay, signal, () => clearTimeout(timer));
+}
+
+// Run an attempt function, retrying thrown errors and retryable status codes.
+// Resolves with the last response or rejects with the last error; aborting
+// `signal` stops further attempts.
+async function withRetry(attemptFn, policy, signal) {
+  for (let attempt = 1; ; attempt++) {
+    let response;
+    try {
+      response = await attemptFn(attempt);
+    } catch (error) {
+      // An open circuit means the API is known to be down, a replay miss
+      // never finds a recording on retry and an aborted call is over: fail fast
+      if (attempt >= policy.maxAttempts || error instanceof CircuitOpenError ||
+          error instanceof UnmatchedRequestError || error instanceof AbortError) {
+        throw error;
+      }
+      await sleep(computeBackoff(attempt, policy), signal);
+      continue;
+    }
+
+    if (attempt >= policy.maxAttempts) {
+      return response;
+    }
+    const delay = getResponseRetryDelay(response, attempt, policy);
+    if (delay === null) {
+      return response;
+    }
+    await sleep(delay, signal);
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  normalizeRetryPolicy,
+  computeBackoff,
+  parseRetryAfter,
+  withRetry
+};
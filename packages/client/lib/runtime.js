@@ -0,0 +1,30 @@
+// lib/runtime.js
+// Platform services the client depends on
+//
+// Defaults to the runtime-agnostic services of web_runtime.js; index.js
+// installs the Node.js ones from node_runtime.js. A runtime provides:
+//   name                      -> 'node' or 'web'
+//   createAgentPool(options)  -> { transport(), agentFor(url), destroy() }
+//   transport                 -> request function used when no client supplies one
+//   randomUUID()              -> UUID v4 string
+//   experimentStorage         -> AsyncLocalStorage-compatible store
+//   unsupportedOptions        -> client options the runtime cannot honour
+// and, where supported, readLockfile, readFallbackDir, HttpRecorder,
+// ScoreOutbox, PromptChangeSubscriber and createWebhookHandler.
+
+const webRuntime = require('./web_runtime');
+
+let currentRuntime = webRuntime;
+
+function getRuntime() {
+  return currentRuntime;
+}
+
+function setRuntime(runtime) {
+  currentRuntime = runtime;
+}
+
+module.exports = {
+  getRuntime,
+  setRuntime
+};
@@ -0,0 +1,138 @@
+// lib/score_queue.js
+// Buffered, batched score submission for LaikaTest SDK
+
+const { isRedeliverable } = require('./global_utils');
+
+const DEFAULT_SCORE_QUEUE_OPTIONS = {
+  batchSize: 50,
+  flushInterval: 5000,
+  maxQueueSize: 1000,
+  dropPolicy: 'oldest'
+};
+
+// Bounded in-memory queue of score payloads, flushed by size or interval.
+// `send(payloads)` delivers one batch. It may resolve with one entry per
+// payload, null once delivered or the error that payload failed with;
+// rejecting fails the whole batch. `onFailure(payloads, error)` decides what
+// happens to payloads that could not be delivered (default: requeue them
+// while the API is unavailable, discard the ones it rejected).
+class ScoreQueue {
+  constructor(send, options = {}) {
+    this.send = send;
+    this.options = Object.assign({}, DEFAULT_SCORE_QUEUE_OPTIONS, options);
+    this.onFailure = options.onFailure || ((payloads, error) => this.requeue(payloads, error));
+    this.queue = [];
+    this.flushing = null;
+    this.stats = { queued: 0, sent: 0, dropped: 0, failed: 0 };
+
+    this.flushTimer = setInterval(() => {
+      this.flush().catch(() => {});
+    }, this.options.flushInterval);
+    // The timer alone must not keep the process alive
+    if (typeof this.flushTimer.unref === 'function') {
+      this.flushTimer.unref();
+    }
+  }
+
+  // Add a payload; returns false if it was dropped because the queue is full
+  enqueue(payload) {
+    if (this.queue.length >= this.options.maxQueueSize) {
+      this.stats.dropped++;
+      if (this.options.dropPolicy === 'newest') {
+        return false;
+      }
+      this.queue.shift();
+    }
+
+    this.queue.push(payload);
+    this.stats.queued++;
+
+    if (this.queue.length >= this.options.batchSize) {
+      this.flush().catch(() => {});
+    }
+    return true;
+  }
+
+  // Put a failed batch back at the front, keeping the queue bounded
+  requeue(payloads, error) {
+    if (!isRedeliverable(error)) {
+      this.stats.dropped += payloads.length;
+      return;
+    }
+    const room = Math.max(0, this.options.maxQueueSize - this.queue.length);
+    const kept = payloads.slice(payloads.length - room);
+    this.stats.dropped += payloads.length - kept.length;
+    this.queue.unshift(...kept);
+  }
+
+  // Send queued payloads in batches until the queue is empty or the API is
+  // unavailable; payloads the API rejects do not stop the drain
+  async drain() {
+    while (this.queue.length > 0) {
+      const batch = this.queue.splice(0, this.options.batchSize);
+      let errors;
+      try {
+        errors = (await this.send(batch)) || [];
+      } catch (error) {
+        errors = batch.map(() => error);
+      }
+
+      const failures = groupFailures(batch, errors);
+      const failed = failures.reduce((count, failure) => count + failure.payloads.length, 0);
+      this.stats.sent += batch.length - failed;
+      this.stats.failed += failed;
+      for (const failure of failures) {
+        await this.onFailure(failure.payloads, failure.error);
+      }
+      if (failures.some(failure => isRedeliverable(failure.error))) {
+        return;
+      }
+    }
+  }
+
+  // Flush everything queued so far; concurrent calls share one drain
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.drain().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  getStats() {
+    return Object.assign({ pending: this.queue.length }, this.stats);
+  }
+
+  // Stop the timer and flush what is left
+  async destroy() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+    await this.flush();
+  }
+}
+
+// Failed payloads of a batch, grouped by the error they failed with
+function groupFailures(batch, errors) {
+  const failures = [];
+  batch.forEach((payload, index) => {
+    const error = errors[index];
+    if (!error) {
+      return;
+    }
+    const last = failures[failures.length - 1];
+    if (last && last.error === error) {
+      last.payloads.push(payload);
+    } else {
+      failures.push({ error, payloads: [payload] });
+    }
+  });
+  return failures;
+}
+
+module.exports = {
+  ScoreQueue,
+  DEFAULT_SCORE_QUEUE_OPTIONS
+};
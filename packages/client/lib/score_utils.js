@@ -1,13 +1,13 @@
 // lib/score_utils.js
-const crypto = require('crypto');
-const { makeHttpRequest } = require('./http');
-const { parseApiResponse, handleApiError } = require('./global_utils');
+const { sendRequest } = require('./request');
+const { parseApiResponse, handleApiError, toNetworkError } = require('./global_utils');
+const { getRuntime } = require('./runtime');
 /**
  * Generate a UUID v4
  * Used for sdkEventId
  */
 function generateUUID() {
-  return crypto.randomUUID();
+  return getRuntime().randomUUID();
 }
 
 /**
@@ -31,10 +31,11 @@ function buildScoreUrl(baseUrl) {
 }
 
 /**
- * Push score to API
+ * Build the score payload with auto-generated SDK fields
+ * The sdkEventId is generated once here so every later resend can be deduped
  */
-async function pushScore(apiKey, baseUrl, expId, bucketId, promptVersionId, scores, options) {
-  // Note: Validation is done in index.js (LaikaTest.pushScore) before calling this function
+function buildScorePayload(expId, bucketId, promptVersionId, scores, options) {
+  // Note: Validation is done in lib/client.js (LaikaTest.pushScore) before calling this function
   // expId, bucketId, and promptVersionId come from getExperimentPrompt()
   // and are already validated by the backend
 
@@ -62,27 +63,33 @@ async function pushScore(apiKey, baseUrl, expId, bucketId, promptVersionId, scor
     requestBody.userId = options.userId;
   }
 
-  const url = buildScoreUrl(baseUrl);
+  return requestBody;
+}
 
+/**
+ * Send a single pre-built score payload
+ * Safe to retry: the backend dedupes on sdkEventId
+ */
+async function sendScore(apiKey, baseUrl, payload, requestConfig = {}) {
+  const url = buildScoreUrl(baseUrl);
   const requestOptions = {
     method: 'POST',
     headers: {
       'Authorization': `Bearer ${apiKey}`,
       'Content-Type': 'application/json'
     },
-    body: JSON.stringify(requestBody)
+    body: JSON.stringify(payload),
+    idempotent: true
   };
 
-  const { NetworkError } = require('./errors');
-
   let response;
   try {
-    response = await makeHttpRequest(url, requestOptions, options.timeout);
+    response = await sendRequest(url, requestOptions, requestConfig);
   } catch (error) {
-    throw new NetworkError('Failed to connect to LaikaTest API', error);
+    throw toNetworkError(error);
   }
 
-  const parsed = parseApiResponse(response.data);
+  const parsed = parseApiResponse(response.data, response.statusCode);
 
   if ((response.statusCode === 200 || response.statusCode === 201) && parsed.success) {
     return {
@@ -95,8 +102,18 @@ async function pushScore(apiKey, baseUrl, expId, bucketId, promptVersionId, scor
   handleApiError(response.statusCode, parsed);
 }
 
+/**
+ * Push score to API
+ */
+async function pushScore(apiKey, baseUrl, expId, bucketId, promptVersionId, scores, options, requestConfig = {}) {
+  const payload = buildScorePayload(expId, bucketId, promptVersionId, scores, options);
+  return await sendScore(apiKey, baseUrl, payload, requestConfig);
+}
+
 module.exports = {
   generateUUID,
   getClientVersion,
+  buildScorePayload,
+  sendScore,
   pushScore
 };
@@ -0,0 +1,61 @@
+// lib/single_flight.js
+// Coalesce concurrent calls for the same key into one in-flight promise
+
+const { abortable, createAbortController } = require('./abort');
+
+class SingleFlight {
+  constructor() {
+    this.inFlight = new Map();
+    this.started = 0;
+    this.coalesced = 0;
+  }
+
+  // Run `fn` unless a call for `key` is already in flight, in which case
+  // join it. Results and errors are shared; nothing is kept once it settles,
+  // so a failure is never served to later callers.
+  //
+  // A caller passing `signal` stops waiting as soon as it aborts. `fn` gets a
+  // signal of its own that aborts once every caller has stopped waiting; a
+  // caller without a signal keeps the call going.
+  do(key, fn, signal) {
+    let flight = this.inFlight.get(key);
+    if (flight) {
+      this.coalesced++;
+    } else {
+      this.started++;
+      flight = { waiting: 0, pinned: false, controller: signal ? createAbortController() : null };
+      const current = flight;
+      flight.promise = Promise.resolve()
+        .then(() => fn(current.controller ? current.controller.signal : undefined))
+        .finally(() => this.release(key, current));
+      this.inFlight.set(key, flight);
+    }
+
+    if (!signal) {
+      flight.pinned = true;
+      return flight.promise;
+    }
+    flight.waiting++;
+    const current = flight;
+    return abortable(flight.promise, signal, () => {
+      current.waiting--;
+      if (current.waiting === 0 && !current.pinned && current.controller) {
+        // Later callers start afresh rather than join an aborted call
+        this.release(key, current);
+        current.controller.abort();
+      }
+    });
+  }
+
+  release(key, flight) {
+    if (this.inFlight.get(key) === flight) {
+      this.inFlight.delete(key);
+    }
+  }
+
+  getStats() {
+    return { started: this.started, coalesced: this.coalesced, inFlight: this.inFlight.size };
+  }
+}
+
+module.exports = { SingleFlight };
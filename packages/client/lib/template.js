@@ -0,0 +1,420 @@
+// lib/template.js
+// Template language for Prompt.compile
+//
+//   {{name}}                       variable; left as-is when missing
+//   {{user.name}}                  dotted path
+//   {{name | default: "x"}}        filters: default, upper, lower, json, truncate
+//   {{#if expr}}...{{else}}...{{/if}}
+//   {{#each docs}}...{{else}}...{{/each}}   with {{this}}, {{@index}}, {{@first}}, {{@last}}
+//   \{{                            literal "{{"
+//   {{> name}}                     partial; resolved by the client before
+//                                  compile (lib/partials.js), else left as-is
+//
+// Block tags alone on a line are removed together with their line break.
+//
+// Outside strict mode, text the language cannot parse keeps the flat {{name}}
+// behaviour: tags with unknown filters are plain variables (substituted only
+// when a key matches as written), and unbalanced block tags are literal text.
+
+const { ValidationError } = require('./errors');
+
+// Returned by lookups and filters for values that do not exist
+const MISSING = Symbol('missing');
+
+const TAG_PATTERN = /\\\{\{|\{\{([^}]+)\}\}/g;
+const PATH_PATTERN = /^(?:this|@index|@first|@last|@?[A-Za-z_$][\w$-]*)(?:\.[\w$-]+)*$/;
+const LITERAL_PATTERN = /^(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(-?\d+(?:\.\d+)?)|(true|false|null))$/;
+
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+function hasOwn(object, key) {
+  return object !== null && object !== undefined && Object.prototype.hasOwnProperty.call(Object(object), key);
+}
+
+// Split on a separator character, ignoring separators inside quotes
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') {
+        current += char + (text[i + 1] || '');
+        i++;
+        continue;
+      }
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === separator) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.map(part => part.trim());
+}
+
+function parseLiteral(text, raw) {
+  const match = LITERAL_PATTERN.exec(text);
+  if (!match) {
+    throw new ValidationError(`Invalid filter argument ${text} in template tag {{${raw}}}`);
+  }
+  if (match[1] !== undefined || match[2] !== undefined) {
+    return (match[1] !== undefined ? match[1] : match[2]).replace(/\\(.)/g, '$1');
+  }
+  if (match[3] !== undefined) {
+    return Number(match[3]);
+  }
+  return JSON.parse(match[4]);
+}
+
+const FILTERS = {
+  // Replace missing, null or empty values
+  default(value, fallback = '') {
+    return value === MISSING || value === null || value === undefined || value === '' ? fallback : value;
+  },
+  upper(value) {
+    return String(value).toUpperCase();
+  },
+  lower(value) {
+    return String(value).toLowerCase();
+  },
+  json(value, indent) {
+    return JSON.stringify(value, null, indent);
+  },
+  // Cut to `length` characters, appending `suffix` when shortened
+  truncate(value, length, suffix = '...') {
+    const text = String(value);
+    if (!Number.isInteger(length) || length < 0) {
+      throw new ValidationError('truncate filter requires a non-negative integer length');
+    }
+    return text.length > length ? text.slice(0, length) + suffix : text;
+  }
+};
+
+// Parse "path | filter: arg, arg | filter" into { path, filters }, or null
+// when the text is not an expression (it is then rendered literally)
+function parseExpression(text, raw) {
+  const [path, ...filterTexts] = splitOutsideQuotes(text, '|');
+  if (!PATH_PATTERN.test(path)) {
+    return null;
+  }
+
+  const filters = filterTexts.map(filterText => {
+    const separator = filterText.indexOf(':');
+    const name = (separator === -1 ? filterText : filterText.slice(0, separator)).trim();
+    if (!Object.prototype.hasOwnProperty.call(FILTERS, name)) {
+      throw new ValidationError(`Unknown template filter "${name}" in {{${raw}}}`);
+    }
+    const args = separator === -1
+      ? []
+      : splitOutsideQuotes(filterText.slice(separator + 1), ',').map(arg => parseLiteral(arg, raw));
+    return { name, args };
+  });
+
+  return { path: path.split('.'), filters };
+}
+
+// Split a template into text and tag tokens; text tokens sit between all tags
+function tokenize(template) {
+  const tokens = [];
+  let text = '';
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    text += template.slice(lastIndex, match.index);
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    if (match[1] === undefined) {
+      text += '{{'; // escaped braces
+      continue;
+    }
+
+    tokens.push({ type: 'text', value: text });
+    text = '';
+    tokens.push(classifyTag(match[1], match[0]));
+  }
+  tokens.push({ type: 'text', value: text + template.slice(lastIndex) });
+  return tokens;
+}
+
+function classifyTag(inner, raw) {
+  const body = inner.trim();
+  const open = /^#(if|each)\s+(.+)$/.exec(body);
+  if (open) {
+    const expression = tryParse(() => parseExpression(open[2], inner));
+    if (!expression || expression instanceof ValidationError) {
+      const error = expression || new ValidationError(`Invalid expression in template tag ${raw}`);
+      return { type: 'literal', raw, error };
+    }
+    return { type: 'open', block: open[1], expression, raw };
+  }
+  const close = /^\/(if|each)$/.exec(body);
+  if (close) {
+    return { type: 'close', block: close[1], raw };
+  }
+  if (body === 'else') {
+    return { type: 'else', raw };
+  }
+  const partial = /^>\s*(\S+)$/.exec(body);
+  if (partial) {
+    return { type: 'partial', name: partial[1], raw };
+  }
+  const expression = tryParse(() => parseExpression(body, inner));
+  if (expression instanceof ValidationError) {
+    return { type: 'variable', name: body, expression: null, raw, error: expression };
+  }
+  return { type: 'variable', name: body, expression, raw };
+}
+
+// Run a parser, returning its ValidationError instead of throwing it
+function tryParse(parse) {
+  try {
+    return parse();
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return error;
+    }
+    throw error;
+  }
+}
+
+// Pair block tags, turning the ones without a partner into literal text and
+// recording why on the token
+function balanceBlocks(tokens) {
+  const stack = [];
+  tokens.forEach(token => {
+    if (token.type === 'open') {
+      stack.push({ token, elses: [] });
+    } else if (token.type === 'else') {
+      const current = stack[stack.length - 1];
+      if (!current || current.elses.length > 0) {
+        Object.assign(token, { type: 'literal', error: new ValidationError('Unexpected {{else}} in template') });
+      } else {
+        current.elses.push(token);
+      }
+    } else if (token.type === 'close') {
+      const current = stack[stack.length - 1];
+      if (!current || current.token.block !== token.block) {
+        Object.assign(token, { type: 'literal', error: new ValidationError(`Unexpected ${token.raw} in template`) });
+      } else {
+        stack.pop();
+      }
+    }
+  });
+  stack.forEach(({ token, elses }) => {
+    Object.assign(token, { type: 'literal', error: new ValidationError(`Unclosed ${token.raw} in template`) });
+    elses.forEach(other => Object.assign(other, { type: 'literal' }));
+  });
+}
+
+// Remove block tags that stand alone on a line, with their line break
+function stripStandaloneBlocks(tokens) {
+  const last = tokens.length - 1;
+  for (let i = 1; i < last; i += 2) {
+    const tag = tokens[i];
+    if (tag.type === 'variable' || tag.type === 'partial' || tag.type === 'literal') {
+      continue;
+    }
+    const before = tokens[i - 1];
+    const after = tokens[i + 1];
+    const startsLine = i - 1 === 0 ? /(^|\n)[ \t]*$/ : /\n[ \t]*$/;
+    const endsLine = i + 1 === last ? /^[ \t]*(\r?\n|$)/ : /^[ \t]*\r?\n/;
+    if (startsLine.test(before.original) && endsLine.test(after.original)) {
+      before.value = before.value.replace(/[ \t]*$/, '');
+      after.value = after.value.replace(/^[ \t]*\r?\n?/, '');
+    }
+  }
+}
+
+// Parse a template string into a tree of text, variable, if and each nodes.
+// With options.strict, tags that do not parse throw a ValidationError.
+function parseTemplate(template, options = {}) {
+  const tokens = tokenize(template);
+  balanceBlocks(tokens);
+  if (options.strict) {
+    const invalid = tokens.find(token => token.error);
+    if (invalid) {
+      throw invalid.error;
+    }
+  }
+  tokens.forEach(token => {
+    if (token.type === 'text') {
+      token.original = token.value;
+    }
+  });
+  stripStandaloneBlocks(tokens);
+
+  const root = { children: [] };
+  const stack = [root];
+  tokens.forEach(token => {
+    const current = stack[stack.length - 1];
+    const target = current.inElse ? current.elseChildren : current.children;
+
+    if (token.type === 'text') {
+      if (token.value) {
+        target.push({ type: 'text', value: token.value });
+      }
+    } else if (token.type === 'variable') {
+      target.push({ type: 'variable', name: token.name, expression: token.expression, raw: token.raw });
+    } else if (token.type === 'partial') {
+      target.push({ type: 'partial', name: token.name, raw: token.raw });
+    } else if (token.type === 'literal') {
+      target.push({ type: 'text', value: token.raw });
+    } else if (token.type === 'open') {
+      const node = { type: token.block, expression: token.expression, children: [], elseChildren: [], raw: token.raw };
+      target.push(node);
+      stack.push(node);
+    } else if (token.type === 'else') {
+      current.inElse = true;
+    } else {
+      delete current.inElse;
+      stack.pop();
+    }
+  });
+  return root.children;
+}
+
+// Resolve a dotted path against the innermost scope that defines its head
+function lookup(path, scopes) {
+  const [head, ...rest] = path;
+  let value = MISSING;
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (head === 'this' || head.startsWith('@')) {
+      if (scope.loop) {
+        value = head === 'this' ? scope.item : scope.loop[head];
+        break;
+      }
+      continue;
+    }
+    const data = scope.loop ? scope.item : scope.data;
+    if ((scope.loop ? isPlainObject(data) : true) && hasOwn(data, head)) {
+      value = data[head];
+      break;
+    }
+  }
+
+  for (const key of rest) {
+    if (value === MISSING || !hasOwn(value, key)) {
+      return MISSING;
+    }
+    value = value[key];
+  }
+  return value;
+}
+
+function evaluate(expression, scopes) {
+  return expression.filters.reduce((value, filter) => {
+    if (value === MISSING && filter.name !== 'default') {
+      return MISSING;
+    }
+    return FILTERS[filter.name](value, ...filter.args);
+  }, lookup(expression.path, scopes));
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return value !== MISSING && Boolean(value);
+}
+
+// `onMissing(name)` is called for each variable left in place
+function renderNodes(nodes, scopes, onMissing) {
+  return nodes.map(node => {
+    if (node.type === 'text') {
+      return node.value;
+    }
+
+    // Partials the client could not resolve (e.g. a Prompt built by hand)
+    if (node.type === 'partial') {
+      onMissing(`> ${node.name}`);
+      return node.raw;
+    }
+
+    if (node.type === 'variable') {
+      let value = node.expression ? evaluate(node.expression, scopes) : MISSING;
+      // Names that are keys as written keep working, e.g. {{first name}}
+      if (value === MISSING && hasOwn(scopes[0].data, node.name)) {
+        value = scopes[0].data[node.name];
+      }
+      // Missing variables are left in place
+      if (value === MISSING) {
+        onMissing(node.expression ? node.expression.path.join('.') : node.name);
+        return node.raw;
+      }
+      return String(value);
+    }
+
+    const value = evaluate(node.expression, scopes);
+
+    if (node.type === 'if') {
+      return renderNodes(isTruthy(value) ? node.children : node.elseChildren, scopes, onMissing);
+    }
+
+    // each
+    if (!Array.isArray(value) || value.length === 0) {
+      return renderNodes(node.elseChildren, scopes, onMissing);
+    }
+    return value.map((item, index) => renderNodes(node.children, scopes.concat({
+      item,
+      loop: { '@index': index, '@first': index === 0, '@last': index === value.length - 1 }
+    }), onMissing)).join('');
+  }).join('');
+}
+
+// Render a template string with the given variables (options: strict, onMissing)
+function renderTemplate(template, variables, options = {}) {
+  return renderNodes(parseTemplate(template, options), [{ data: variables || {} }], options.onMissing || (() => {}));
+}
+
+// Top-level variable name an expression reads, or null for loop variables
+function rootName(expression) {
+  const [head] = expression.path;
+  return head === 'this' || head.startsWith('@') ? null : head;
+}
+
+// Add the top-level variable names a template reads to `names`, in order of
+// appearance. Names inside {{#each}} bodies usually refer to item fields, so
+// they are only added when `includeLoopBodies` is set.
+function collectVariables(nodes, names, includeLoopBodies, inLoop = false) {
+  nodes.forEach(node => {
+    if (node.type === 'text' || node.type === 'partial') {
+      return;
+    }
+    if (node.type === 'variable') {
+      const name = node.expression ? rootName(node.expression) : node.name;
+      if (name && (!inLoop || includeLoopBodies)) {
+        names.add(name);
+      }
+      return;
+    }
+
+    const name = rootName(node.expression);
+    if (name && (!inLoop || includeLoopBodies)) {
+      names.add(name);
+    }
+    collectVariables(node.children, names, includeLoopBodies, inLoop || node.type === 'each');
+    collectVariables(node.elseChildren, names, includeLoopBodies, inLoop);
+  });
+  return names;
+}
+
+module.exports = {
+  parseTemplate,
+  renderTemplate,
+  collectVariables,
+  FILTERS
+};
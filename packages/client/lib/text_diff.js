@@ -0,0 +1,66 @@
+// lib/text_diff.js
+// Line diff for comparing prompt files with the remote versions
+
+// Diff two texts line by line: [{ type: ' ' | '-' | '+', line }]
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i++] });
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: '-', line: a[i++] });
+    } else {
+      ops.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) {
+    ops.push({ type: '-', line: a[i++] });
+  }
+  while (j < b.length) {
+    ops.push({ type: '+', line: b[j++] });
+  }
+  return ops;
+}
+
+// Render changed lines with `context` unchanged lines around them
+function formatDiff(ops, context = 2) {
+  const keep = ops.map(() => false);
+  ops.forEach((op, index) => {
+    if (op.type !== ' ') {
+      for (let k = Math.max(0, index - context); k <= Math.min(ops.length - 1, index + context); k++) {
+        keep[k] = true;
+      }
+    }
+  });
+
+  const lines = [];
+  ops.forEach((op, index) => {
+    if (!keep[index]) {
+      if (index > 0 && keep[index - 1]) {
+        lines.push('...');
+      }
+      return;
+    }
+    lines.push(`${op.type}${op.line}`);
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  diffLines,
+  formatDiff
+};
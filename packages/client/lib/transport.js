@@ -0,0 +1,63 @@
+// lib/transport.js
+// Per-client HTTP agents: keep-alive, proxy and extra CA certificates
+//
+// A transport has the makeHttpRequest signature:
+//   (url, { method, headers, body }, timeout) => Promise<{ statusCode, headers, data }>
+// and may have a `stream` method with the openHttpStream signature, used to
+// keep the prompt change stream open.
+
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const { makeHttpRequest, openHttpStream } = require('./http');
+const { resolveProxy, isProxyBypassed, TunnelAgent } = require('./proxy');
+
+// Agents for one client. User agents are used as given; the ones created
+// here keep connections alive (unless keepAlive is false), trust
+// tls.rootCertificates plus `ca`, and tunnel HTTPS through the proxy.
+class AgentPool {
+  constructor(options = {}) {
+    const keepAlive = options.keepAlive !== false;
+    const extraCa = options.ca === undefined ? [] : [].concat(options.ca);
+    const tlsOptions = extraCa.length > 0 ? { ca: tls.rootCertificates.concat(extraCa.map(String)) } : {};
+
+    this.owned = [];
+    this.httpAgent = options.agent || this.own(new http.Agent({ keepAlive }));
+    this.httpsAgent = options.httpsAgent || options.agent || this.own(new https.Agent(Object.assign({ keepAlive }, tlsOptions)));
+
+    // A user-supplied HTTPS agent is responsible for its own proxying
+    this.proxy = options.httpsAgent || options.agent ? null : resolveProxy(options.proxy);
+    this.proxyAgent = this.proxy
+      ? this.own(new TunnelAgent(this.proxy.url, Object.assign({ keepAlive }, tlsOptions)))
+      : null;
+  }
+
+  own(agent) {
+    this.owned.push(agent);
+    return agent;
+  }
+
+  // Agent for a request URL; plain HTTP (local development) is never proxied
+  agentFor(url) {
+    if (!url.startsWith('https:')) {
+      return this.httpAgent;
+    }
+    return this.proxyAgent && !isProxyBypassed(url, this.proxy.noProxy) ? this.proxyAgent : this.httpsAgent;
+  }
+
+  // makeHttpRequest and openHttpStream sending through these agents
+  transport() {
+    const send = (url, options, timeout) => makeHttpRequest(url, Object.assign({}, options, { agent: this.agentFor(url) }), timeout);
+    send.stream = (url, options, timeout) => openHttpStream(url, Object.assign({}, options, { agent: this.agentFor(url) }), timeout);
+    return send;
+  }
+
+  // Close pooled connections of the agents created here
+  destroy() {
+    this.owned.forEach(agent => agent.destroy());
+  }
+}
+
+module.exports = {
+  AgentPool
+};
@@ -2,6 +2,9 @@
 // Input validation utilities for LaikaTest SDK
 
 const { ValidationError } = require('./errors');
+const { LOG_LEVELS } = require('./logger');
+
+const RECORDING_MODES = ['record', 'replay', 'passthrough'];
 
 // Validate API key format
 function validateApiKey(apiKey) {
@@ -46,6 +49,28 @@ function validateVersionId(versionId) {
   return versionId.replace(/^v/, '');
   }
 
+// Validate deployment label (e.g. "production") if provided
+function validateLabel(label) {
+  if (label === undefined || label === null) {
+    return; // label is optional
+  }
+
+  if (typeof label !== 'string' || !label) {
+    throw new ValidationError('Label must be a non-empty string');
+  }
+
+  if (label.length > 128) {
+    throw new ValidationError('Label is too long. Maximum length is 128 characters.');
+  }
+
+  // Letters, digits, ".", "_" and "-"; labels that look like versions are
+  // rejected so "name@3" always means version 3
+  if (!/^[A-Za-z0-9][\w.-]*$/.test(label) || /^v?\d+$/.test(label)) {
+    throw new ValidationError('Label must start with a letter or digit, contain only letters, digits, ".", "_" or "-", and must not look like a version number.');
+  }
+  return label;
+}
+
 // Validate individual score item structure
 function validateScoreItem(scoreItem, index) {
   if (!scoreItem || typeof scoreItem !== 'object') {
@@ -147,6 +172,208 @@ function validateSessionOrUserId(options) {
   // Both IDs are now allowed - no mutual exclusivity check
 }
 
+// Validate a timeout in milliseconds: a positive, finite number
+function validateTimeout(timeout) {
+  if (typeof timeout !== 'number') {
+    throw new ValidationError('timeout must be a number');
+  }
+  if (timeout <= 0) {
+    throw new ValidationError('timeout must be positive');
+  }
+  if (!Number.isFinite(timeout)) {
+    throw new ValidationError('timeout must be finite');
+  }
+}
+
+// Validate the { signal, timeout } options every client call accepts
+function validateCallOptions(options) {
+  if (!options || typeof options !== 'object') {
+    throw new ValidationError('Options must be an object');
+  }
+
+  const { signal, timeout } = options;
+  if (signal !== undefined && (!signal || typeof signal.aborted !== 'boolean' || typeof signal.addEventListener !== 'function')) {
+    throw new ValidationError('signal must be an AbortSignal');
+  }
+  if (timeout !== undefined) {
+    validateTimeout(timeout);
+  }
+}
+
+// Validate retry policy option: true/false or an object overriding defaults
+function validateRetryOptions(retry) {
+  if (typeof retry === 'boolean') {
+    return;
+  }
+  if (!retry || typeof retry !== 'object' || Array.isArray(retry)) {
+    throw new ValidationError('retry must be a boolean or an object');
+  }
+
+  ['maxAttempts', 'initialDelay', 'maxDelay', 'factor'].forEach(field => {
+    const value = retry[field];
+    if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      throw new ValidationError(`retry.${field} must be a non-negative finite number`);
+    }
+  });
+
+  if (retry.maxAttempts !== undefined && !Number.isInteger(retry.maxAttempts)) {
+    throw new ValidationError('retry.maxAttempts must be an integer');
+  }
+
+  if (retry.jitter !== undefined && typeof retry.jitter !== 'boolean') {
+    throw new ValidationError('retry.jitter must be a boolean');
+  }
+
+  if (retry.retryableStatusCodes !== undefined) {
+    const codes = retry.retryableStatusCodes;
+    if (!Array.isArray(codes) || !codes.every(code => Number.isInteger(code))) {
+      throw new ValidationError('retry.retryableStatusCodes must be an array of integers');
+    }
+  }
+}
+
+// Validate circuit breaker option: true/false or an object overriding defaults
+function validateCircuitBreakerOptions(circuitBreaker) {
+  if (typeof circuitBreaker === 'boolean') {
+    return;
+  }
+  if (!circuitBreaker || typeof circuitBreaker !== 'object' || Array.isArray(circuitBreaker)) {
+    throw new ValidationError('circuitBreaker must be a boolean or an object');
+  }
+
+  const { failureThreshold } = circuitBreaker;
+  if (failureThreshold !== undefined && (typeof failureThreshold !== 'number' || !(failureThreshold > 0 && failureThreshold <= 1))) {
+    throw new ValidationError('circuitBreaker.failureThreshold must be a number between 0 (exclusive) and 1');
+  }
+
+  ['minimumRequests', 'windowSize', 'halfOpenMaxRequests'].forEach(field => {
+    const value = circuitBreaker[field];
+    if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+      throw new ValidationError(`circuitBreaker.${field} must be a positive integer`);
+    }
+  });
+
+  const { resetTimeout } = circuitBreaker;
+  if (resetTimeout !== undefined && (typeof resetTimeout !== 'number' || !Number.isFinite(resetTimeout) || resetTimeout < 0)) {
+    throw new ValidationError('circuitBreaker.resetTimeout must be a non-negative finite number');
+  }
+}
+
+// Validate score buffer option: true/false or an object overriding defaults
+function validateScoreBufferOptions(scoreBuffer) {
+  if (typeof scoreBuffer === 'boolean') {
+    return;
+  }
+  if (!scoreBuffer || typeof scoreBuffer !== 'object' || Array.isArray(scoreBuffer)) {
+    throw new ValidationError('scoreBuffer must be a boolean or an object');
+  }
+
+  ['batchSize', 'flushInterval', 'maxQueueSize'].forEach(field => {
+    const value = scoreBuffer[field];
+    if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+      throw new ValidationError(`scoreBuffer.${field} must be a positive integer`);
+    }
+  });
+
+  if (scoreBuffer.dropPolicy !== undefined && !['oldest', 'newest'].includes(scoreBuffer.dropPolicy)) {
+    throw new ValidationError("scoreBuffer.dropPolicy must be 'oldest' or 'newest'");
+  }
+}
+
+// Validate score outbox option: a journal path or an options object
+function validateScoreOutboxOptions(scoreOutbox) {
+  const outbox = typeof scoreOutbox === 'string' ? { path: scoreOutbox } : scoreOutbox;
+  if (!outbox || typeof outbox !== 'object' || Array.isArray(outbox)) {
+    throw new ValidationError('scoreOutbox must be a file path or an object');
+  }
+  if (typeof outbox.path !== 'string' || !outbox.path.trim()) {
+    throw new ValidationError('scoreOutbox.path must be a non-empty string');
+  }
+  ['replayInterval', 'batchSize'].forEach(field => {
+    const value = outbox[field];
+    if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+      throw new ValidationError(`scoreOutbox.${field} must be a positive integer`);
+    }
+  });
+}
+
+// Validate recording option: { mode, path, ignoreBodyFields }
+function validateRecordingOptions(recording) {
+  if (!recording || typeof recording !== 'object' || Array.isArray(recording)) {
+    throw new ValidationError('recording must be an object');
+  }
+  if (recording.mode !== undefined && !RECORDING_MODES.includes(recording.mode)) {
+    throw new ValidationError(`recording.mode must be one of: ${RECORDING_MODES.join(', ')}`);
+  }
+  if (recording.mode !== 'passthrough' && (typeof recording.path !== 'string' || !recording.path.trim())) {
+    throw new ValidationError('recording.path must be a non-empty string');
+  }
+  const fields = recording.ignoreBodyFields;
+  if (fields !== undefined && (!Array.isArray(fields) || !fields.every(field => typeof field === 'string'))) {
+    throw new ValidationError('recording.ignoreBodyFields must be an array of strings');
+  }
+}
+
+// Validate proxy option: false, a proxy URL or { url?, noProxy? }
+function validateProxyOptions(proxy) {
+  if (proxy === false || typeof proxy === 'string') {
+    return;
+  }
+  if (!proxy || typeof proxy !== 'object' || Array.isArray(proxy)) {
+    throw new ValidationError('proxy must be false, a proxy URL or an object');
+  }
+  if (proxy.url !== undefined && typeof proxy.url !== 'string') {
+    throw new ValidationError('proxy.url must be a string');
+  }
+  const noProxy = proxy.noProxy;
+  if (noProxy !== undefined && typeof noProxy !== 'string'
+    && !(Array.isArray(noProxy) && noProxy.every(entry => typeof entry === 'string'))) {
+    throw new ValidationError('proxy.noProxy must be a string or an array of strings');
+  }
+}
+
+// Validate local evaluation option: true/false or an object overriding defaults
+function validateLocalEvaluationOptions(localEvaluation) {
+  if (typeof localEvaluation === 'boolean') {
+    return;
+  }
+  if (!localEvaluation || typeof localEvaluation !== 'object' || Array.isArray(localEvaluation)) {
+    throw new ValidationError('localEvaluation must be a boolean or an object');
+  }
+
+  const { refreshInterval, fallbackToRemote } = localEvaluation;
+  if (refreshInterval !== undefined && (!Number.isInteger(refreshInterval) || refreshInterval < 1)) {
+    throw new ValidationError('localEvaluation.refreshInterval must be a positive integer');
+  }
+  if (fallbackToRemote !== undefined && typeof fallbackToRemote !== 'boolean') {
+    throw new ValidationError('localEvaluation.fallbackToRemote must be a boolean');
+  }
+}
+
+// Validate invalidation option: true/false or an object overriding defaults
+function validateInvalidationOptions(invalidation) {
+  if (typeof invalidation === 'boolean') {
+    return;
+  }
+  if (!invalidation || typeof invalidation !== 'object' || Array.isArray(invalidation)) {
+    throw new ValidationError('invalidation must be a boolean or an object');
+  }
+
+  const { mode, refresh } = invalidation;
+  if (mode !== undefined && mode !== 'sse' && mode !== 'poll') {
+    throw new ValidationError('invalidation.mode must be "sse" or "poll"');
+  }
+  ['reconnectDelay', 'maxReconnectDelay', 'heartbeatTimeout', 'pollTimeout', 'minPollInterval'].forEach(field => {
+    const value = invalidation[field];
+    if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+      throw new ValidationError(`invalidation.${field} must be a positive integer`);
+    }
+  });
+  if (refresh !== undefined && typeof refresh !== 'boolean') {
+    throw new ValidationError('invalidation.refresh must be a boolean');
+  }
+}
+
 // Validate client options for value ranges and formats
 function validateClientOptions(options) {
   if (!options || typeof options !== 'object') {
@@ -167,15 +394,7 @@ function validateClientOptions(options) {
 
   // Validate timeout is a positive number
   if (options.timeout !== undefined) {
-    if (typeof options.timeout !== 'number') {
-      throw new ValidationError('timeout must be a number');
-    }
-    if (options.timeout <= 0) {
-      throw new ValidationError('timeout must be positive');
-    }
-    if (!Number.isFinite(options.timeout)) {
-      throw new ValidationError('timeout must be finite');
-    }
+    validateTimeout(options.timeout);
   }
 
   // Validate cacheTTL is a positive number
@@ -197,14 +416,188 @@ function validateClientOptions(options) {
       throw new ValidationError('cacheEnabled must be a boolean');
     }
   }
+
+  // Validate cacheAdapter implements the async get/set/delete/clear contract
+  if (options.cacheAdapter !== undefined) {
+    const adapter = options.cacheAdapter;
+    if (!adapter || typeof adapter !== 'object') {
+      throw new ValidationError('cacheAdapter must be an object');
+    }
+    ['get', 'set', 'delete', 'clear'].forEach(method => {
+      if (typeof adapter[method] !== 'function') {
+        throw new ValidationError(`cacheAdapter must implement ${method}()`);
+      }
+    });
+  }
+
+  // Validate staleWhileRevalidate is a boolean
+  if (options.staleWhileRevalidate !== undefined) {
+    if (typeof options.staleWhileRevalidate !== 'boolean') {
+      throw new ValidationError('staleWhileRevalidate must be a boolean');
+    }
+  }
+
+  // Validate maxStale is a non-negative number
+  if (options.maxStale !== undefined) {
+    if (typeof options.maxStale !== 'number') {
+      throw new ValidationError('maxStale must be a number');
+    }
+    if (options.maxStale < 0) {
+      throw new ValidationError('maxStale must not be negative');
+    }
+    if (!Number.isFinite(options.maxStale)) {
+      throw new ValidationError('maxStale must be finite');
+    }
+  }
+
+  // Validate retry is a boolean or a retry policy object
+  if (options.retry !== undefined) {
+    validateRetryOptions(options.retry);
+  }
+
+  // Validate circuitBreaker is a boolean or a thresholds object
+  if (options.circuitBreaker !== undefined) {
+    validateCircuitBreakerOptions(options.circuitBreaker);
+  }
+
+  // Validate scoreBuffer is a boolean or a queue options object
+  if (options.scoreBuffer !== undefined) {
+    validateScoreBufferOptions(options.scoreBuffer);
+  }
+
+  // Validate scoreOutbox is a journal path or { path, replayInterval }
+  if (options.scoreOutbox !== undefined) {
+    validateScoreOutboxOptions(options.scoreOutbox);
+  }
+
+  // Validate maxPartialDepth is a positive integer
+  if (options.maxPartialDepth !== undefined) {
+    if (!Number.isInteger(options.maxPartialDepth) || options.maxPartialDepth < 1) {
+      throw new ValidationError('maxPartialDepth must be a positive integer');
+    }
+  }
+
+  // Validate invalidation is a boolean or { mode, reconnectDelay, ... }
+  if (options.invalidation !== undefined) {
+    validateInvalidationOptions(options.invalidation);
+  }
+
+  // Validate prefetch is a prompt list or { prompts, concurrency }
+  if (options.prefetch !== undefined) {
+    const prefetch = options.prefetch;
+    const prompts = Array.isArray(prefetch) ? prefetch : prefetch && prefetch.prompts;
+    if (!Array.isArray(prompts)) {
+      throw new ValidationError('prefetch must be an array of prompts or an object with a prompts array');
+    }
+    if (!Array.isArray(prefetch) && prefetch.concurrency !== undefined
+      && (!Number.isInteger(prefetch.concurrency) || prefetch.concurrency < 1)) {
+      throw new ValidationError('prefetch.concurrency must be a positive integer');
+    }
+  }
+
+  // Validate lockfile is true or a non-empty path string
+  if (options.lockfile !== undefined && options.lockfile !== false) {
+    if (options.lockfile !== true && (typeof options.lockfile !== 'string' || !options.lockfile.trim())) {
+      throw new ValidationError('lockfile must be true or a non-empty path string');
+    }
+  }
+
+  // Validate agent and httpsAgent are agent objects
+  ['agent', 'httpsAgent'].forEach(name => {
+    if (options[name] !== undefined && (!options[name] || typeof options[name] !== 'object')) {
+      throw new ValidationError(`${name} must be an http.Agent or https.Agent`);
+    }
+  });
+
+  // Validate proxy is false, a URL or { url, noProxy }
+  if (options.proxy !== undefined) {
+    validateProxyOptions(options.proxy);
+  }
+
+  // Validate ca is one or more PEM certificates
+  if (options.ca !== undefined) {
+    const certificates = [].concat(options.ca);
+    if (certificates.length === 0 || !certificates.every(cert => typeof cert === 'string' || Buffer.isBuffer(cert))) {
+      throw new ValidationError('ca must be a PEM string, a Buffer or an array of them');
+    }
+  }
+
+  // Validate keepAlive is a boolean
+  if (options.keepAlive !== undefined && typeof options.keepAlive !== 'boolean') {
+    throw new ValidationError('keepAlive must be a boolean');
+  }
+
+  // Validate transport is a request function
+  if (options.transport !== undefined && typeof options.transport !== 'function') {
+    throw new ValidationError('transport must be a function (url, options, timeout) returning a promise of { statusCode, headers, data }');
+  }
+
+  // Validate recording is { mode, path, ignoreBodyFields }
+  if (options.recording !== undefined) {
+    validateRecordingOptions(options.recording);
+  }
+
+  // Validate localEvaluation is a boolean or { refreshInterval, fallbackToRemote }
+  if (options.localEvaluation !== undefined) {
+    validateLocalEvaluationOptions(options.localEvaluation);
+  }
+
+  // Validate fallbackDir is a non-empty path string
+  if (options.fallbackDir !== undefined) {
+    if (typeof options.fallbackDir !== 'string' || !options.fallbackDir.trim()) {
+      throw new ValidationError('fallbackDir must be a non-empty string');
+    }
+  }
+
+  // Validate fallbackPrompts is an object keyed by prompt name
+  if (options.fallbackPrompts !== undefined) {
+    const fallbackPrompts = options.fallbackPrompts;
+    if (!fallbackPrompts || typeof fallbackPrompts !== 'object' || Array.isArray(fallbackPrompts)) {
+      throw new ValidationError('fallbackPrompts must be an object keyed by prompt name');
+    }
+  }
+  // Validate logger has at least one of the debug/info/warn/error methods
+  if (options.logger !== undefined) {
+    const logger = options.logger;
+    if (!logger || typeof logger !== 'object' && typeof logger !== 'function') {
+      throw new ValidationError('logger must be an object with debug/info/warn/error methods');
+    }
+    if (!['debug', 'info', 'warn', 'error'].some(method => typeof logger[method] === 'function')) {
+      throw new ValidationError('logger must implement debug(), info(), warn() or error()');
+    }
+  }
+
+  // Validate logLevel is a known level
+  if (options.logLevel !== undefined && !LOG_LEVELS.includes(options.logLevel)) {
+    throw new ValidationError(`logLevel must be one of: ${LOG_LEVELS.join(', ')}`);
+  }
+
+  // Validate debug is a boolean
+  if (options.debug !== undefined) {
+    if (typeof options.debug !== 'boolean') {
+      throw new ValidationError('debug must be a boolean');
+    }
+  }
+}
+
+// Reject options that need Node.js when running on another runtime
+function validateRuntimeSupport(options, unsupportedOptions) {
+  const unsupported = unsupportedOptions.filter(name => options[name] !== undefined);
+  if (unsupported.length > 0) {
+    throw new ValidationError(`${unsupported.join(', ')} ${unsupported.length === 1 ? 'is' : 'are'} only supported on Node.js`);
+  }
 }
 
 module.exports = {
   validateApiKey,
   validatePromptName,
   validateVersionId,
+  validateLabel,
   validateExperimentTitle,
   validateScores,
   validateSessionOrUserId,
-  validateClientOptions
+  validateCallOptions,
+  validateClientOptions,
+  validateRuntimeSupport,
+  RECORDING_MODES
 };
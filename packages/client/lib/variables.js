@@ -2,43 +2,34 @@
 // Variable injection utilities for LaikaTest SDK
 
 const { ValidationError } = require('./errors');
+const { parseTemplate, renderTemplate, collectVariables } = require('./template');
 
-// Inject variables into a string using {{variable}} syntax
-function injectVariablesIntoString(text, variables) {
-  if (!text || typeof text !== 'string') {
+// Render a string as a template (see lib/template.js for the syntax)
+function injectVariablesIntoString(text, variables, renderOptions) {
+  // Text without tags has nothing to render
+  if (!text || typeof text !== 'string' || !text.includes('{{')) {
     return text;
   }
 
-  const regex = /\{\{([^}]+)\}\}/g;
-
-  return text.replace(regex, (match, variableName) => {
-    const trimmedName = variableName.trim();
-
-    if (variables && trimmedName in variables) {
-      return String(variables[trimmedName]);
-    }
-
-    // Return original placeholder if variable not found
-    return match;
-  });
+  return renderTemplate(text, variables, renderOptions);
 }
 
 function isPlainObject(value) {
   return Object.prototype.toString.call(value) === '[object Object]';
 }
 
-function injectVariablesIntoValue(value, variables) {
+function injectVariablesIntoValue(value, variables, renderOptions) {
   if (typeof value === 'string') {
-    return injectVariablesIntoString(value, variables);
+    return injectVariablesIntoString(value, variables, renderOptions);
   }
 
   if (Array.isArray(value)) {
-    return value.map(item => injectVariablesIntoValue(item, variables));
+    return value.map(item => injectVariablesIntoValue(item, variables, renderOptions));
   }
 
   if (isPlainObject(value)) {
     return Object.keys(value).reduce((acc, key) => {
-      acc[key] = injectVariablesIntoValue(value[key], variables);
+      acc[key] = injectVariablesIntoValue(value[key], variables, renderOptions);
       return acc;
     }, {});
   }
@@ -46,6 +37,24 @@ function injectVariablesIntoValue(value, variables) {
   return value;
 }
 
+// Visit every string in text, chat or object content
+function forEachString(value, visit) {
+  if (typeof value === 'string') {
+    visit(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => forEachString(item, visit));
+  } else if (isPlainObject(value)) {
+    Object.keys(value).forEach(key => forEachString(value[key], visit));
+  }
+}
+
+// List the top-level variables a prompt's templates read, in order of appearance
+function getVariables(content, options = {}) {
+  const names = new Set();
+  forEachString(content, text => collectVariables(parseTemplate(text), names, options.includeLoopBodies === true));
+  return Array.from(names);
+}
+
 // Inject variables into chat-type prompts (array of message objects)
 function injectVariablesIntoChat(messages, variables) {
   if (!Array.isArray(messages)) {
@@ -55,29 +64,57 @@ function injectVariablesIntoChat(messages, variables) {
   return messages.map(message => injectVariablesIntoValue(message, variables));
 }
 
-// Main function to inject variables into content (handles both text and chat types)
-function injectVariables(content, variables) {
-  // If no variables provided, return content as-is
-  if (!variables || Object.keys(variables).length === 0) {
-    return content;
+// Main function to inject variables into content (handles both text and chat types).
+// With `options.strict`, throws if a variable is left in place or a provided
+// variable is never used.
+function injectVariables(content, variables, options = {}) {
+  if (!variables) {
+    variables = {};
   }
   // Validate variables is an object
   if (typeof variables !== 'object' || Array.isArray(variables)) {
     throw new ValidationError('Variables must be an object');
   }
 
+  if (!options.strict) {
+    return injectVariablesIntoContent(content, variables);
+  }
+
+  const missing = new Set();
+  const compiled = injectVariablesIntoContent(content, variables, { strict: true, onMissing: name => missing.add(name) });
+  // Loop bodies count as uses: {{name}} inside {{#each}} may read a top-level variable
+  const used = new Set(getVariables(content, { includeLoopBodies: true }));
+  const unexpected = Object.keys(variables).filter(name => !used.has(name));
+
+  if (missing.size > 0 || unexpected.length > 0) {
+    const problems = [];
+    if (missing.size > 0) {
+      problems.push(`missing variables: ${Array.from(missing).join(', ')}`);
+    }
+    if (unexpected.length > 0) {
+      problems.push(`unexpected variables: ${unexpected.join(', ')}`);
+    }
+    const error = new ValidationError(`Prompt compile failed: ${problems.join('; ')}`);
+    error.missingVariables = Array.from(missing);
+    error.unexpectedVariables = unexpected;
+    throw error;
+  }
+  return compiled;
+}
+
+function injectVariablesIntoContent(content, variables, renderOptions) {
   // Handle text-type prompts (string)
   if (typeof content === 'string') {
-    return injectVariablesIntoString(content, variables);
+    return injectVariablesIntoString(content, variables, renderOptions);
   }
 
   // Handle chat-type prompts (array)
   if (Array.isArray(content)) {
-    return injectVariablesIntoValue(content, variables);
+    return injectVariablesIntoValue(content, variables, renderOptions);
   }
 
   if (isPlainObject(content)) {
-    return injectVariablesIntoValue(content, variables);
+    return injectVariablesIntoValue(content, variables, renderOptions);
   }
 
   return content;
@@ -85,6 +122,7 @@ function injectVariables(content, variables) {
 
 module.exports = {
   injectVariables,
+  getVariables,
   injectVariablesIntoString,
   injectVariablesIntoChat
 };
@@ -0,0 +1,30 @@
+// lib/web_runtime.js
+// Platform services without Node.js built-ins: global fetch, Web Crypto and,
+// where the runtime provides one, a global AsyncLocalStorage
+
+const { makeFetchRequest } = require('./fetch');
+
+// Without AsyncLocalStorage experiments cannot be tied to an async context,
+// so getCurrentExperiments() returns []
+const detachedStorage = {
+  getStore: () => undefined,
+  enterWith() {},
+  run: (store, callback) => callback()
+};
+
+// fetch pools connections itself
+const fetchAgents = {
+  transport: () => makeFetchRequest,
+  agentFor: () => undefined,
+  destroy() {}
+};
+
+module.exports = {
+  name: 'web',
+  createAgentPool: () => fetchAgents,
+  transport: makeFetchRequest,
+  randomUUID: () => globalThis.crypto.randomUUID(),
+  experimentStorage: typeof globalThis.AsyncLocalStorage === 'function' ? new globalThis.AsyncLocalStorage() : detachedStorage,
+  // These need the file system, Node.js sockets or long-lived connections
+  unsupportedOptions: ['agent', 'httpsAgent', 'proxy', 'ca', 'keepAlive', 'lockfile', 'recording', 'scoreOutbox', 'fallbackDir', 'invalidation']
+};
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for local experiment evaluation
+ */
+
+jest.mock('./lib/http', () => require('./test/helpers').httpMock());
+
+const { makeHttpRequest } = require('./lib/http');
+const { successResponse, errorResponse } = require('./test/helpers');
+const { assignBucket, hashToUnitInterval } = require('./lib/local_experiments');
+const { LaikaTest, ValidationError } = require('./index');
+
+const definitionsResponse = successResponse({
+  experiments: [{
+    experimentId: 'exp-1',
+    title: 'homepage-test',
+    buckets: [
+      { bucketId: 'b-control', groupName: 'control', weight: 50, prompt: { promptId: 'p1', promptVersionId: 'v1', type: 'text', content: JSON.stringify([{ content: 'Control prompt' }]) } },
+      { bucketId: 'b-variant', groupName: 'variant', weight: 50, prompt: { promptId: 'p1', promptVersionId: 'v2', type: 'text', content: JSON.stringify([{ content: 'Variant prompt' }]) } }
+    ]
+  }]
+});
+
+const evaluateResponse = successResponse({
+  experimentId: 'exp-1',
+  bucketId: 'b-remote',
+  groupName: 'remote',
+  prompt: { promptId: 'p1', promptVersionId: 'v3', type: 'text', content: JSON.stringify([{ content: 'Remote prompt' }]) }
+});
+
+function mockApi() {
+  makeHttpRequest.mockImplementation(url => Promise.resolve(
+    url.endsWith('/definitions') ? definitionsResponse : evaluateResponse
+  ));
+}
+
+describe('bucketing', () => {
+  test('hashes the same unit to the same point', () => {
+    expect(hashToUnitInterval('exp-1', 'user-1')).toBe(hashToUnitInterval('exp-1', 'user-1'));
+    expect(hashToUnitInterval('exp-1', 'user-1')).toBeGreaterThanOrEqual(0);
+    expect(hashToUnitInterval('exp-1', 'user-1')).toBeLessThan(1);
+  });
+
+  test('splits traffic according to weights', () => {
+    const buckets = [{ bucketId: 'a', weight: 20 }, { bucketId: 'b', weight: 80 }];
+    const counts = { a: 0, b: 0 };
+    for (let i = 0; i < 5000; i++) {
+      counts[assignBucket(buckets, hashToUnitInterval('exp-1', `user-${i}`)).bucketId]++;
+    }
+
+    expect(counts.a / 5000).toBeGreaterThan(0.17);
+    expect(counts.a / 5000).toBeLessThan(0.23);
+  });
+
+  test('never assigns a bucket without traffic', () => {
+    const buckets = [{ bucketId: 'a', weight: 0 }, { bucketId: 'b', weight: 1 }];
+
+    expect(assignBucket(buckets, 0).bucketId).toBe('b');
+    expect(assignBucket([{ bucketId: 'a', weight: 0 }], 0.5)).toBeNull();
+  });
+});
+
+describe('LaikaTest with localEvaluation', () => {
+  let client;
+
+  beforeEach(() => {
+    makeHttpRequest.mockReset();
+    mockApi();
+  });
+
+  afterEach(async () => {
+    await client.destroy();
+  });
+
+  test('assigns buckets locally and consistently', async () => {
+    client = new LaikaTest('test-key', { cacheEnabled: false, localEvaluation: true });
+
+    const first = await client.getExperimentPrompt('homepage-test', { userId: 'user-42' });
+    const second = await client.getExperimentPrompt('homepage-test', { userId: 'user-42' });
+
+    expect(makeHttpRequest).toHaveBeenCalledTimes(1);
+    expect(makeHttpRequest.mock.calls[0][0]).toBe('https://api.laikatest.com/api/v3/experiments/definitions');
+    expect(['b-control', 'b-variant']).toContain(first.getBucketId());
+    expect(second.getBucketId()).toBe(first.getBucketId());
+    expect(first.getExperimentId()).toBe('exp-1');
+  });
+
+  test('falls back to the evaluate API when the context has no unit id', async () => {
+    client = new LaikaTest('test-key', { cacheEnabled: false, localEvaluation: true });
+
+    const prompt = await client.getExperimentPrompt('homepage-test', { plan: 'pro' });
+
+    expect(prompt.getContent()).toBe('Remote prompt');
+    expect(makeHttpRequest.mock.calls[1][0]).toBe('https://api.laikatest.com/api/v3/experiments/evaluate');
+  });
+
+  test('throws instead of falling back when fallbackToRemote is false', async () => {
+    client = new LaikaTest('test-key', { cacheEnabled: false, localEvaluation: { fallbackToRemote: false } });
+
+    await expect(client.getExperimentPrompt('homepage-test', {})).rejects.toBeInstanceOf(ValidationError);
+    await expect(client.getExperimentPrompt('unknown-test', { userId: 'u1' })).rejects.toThrow('not found in local definitions');
+  });
+
+  test('stops downloading definitions and evaluates remotely when the API does not serve them', async () => {
+    makeHttpRequest.mockImplementation(url => Promise.resolve(url.endsWith('/definitions')
+      ? errorResponse(404, 'Not found')
+      : evaluateResponse));
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    client = new LaikaTest('test-key', { cacheEnabled: false, logger, localEvaluation: { refreshInterval: 10 } });
+
+    const prompt = await client.getExperimentPrompt('homepage-test', { userId: 'user-42' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(prompt.getContent()).toBe('Remote prompt');
+    expect(client.localExperiments.refreshTimer).toBeNull();
+    expect(makeHttpRequest.mock.calls.filter(([url]) => url.endsWith('/definitions'))).toHaveLength(1);
+    expect(logger.warn).toHaveBeenCalledWith(expect.anything(), 'The LaikaTest API does not serve experiment definitions; local evaluation is off');
+  });
+});
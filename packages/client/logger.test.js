@@ -0,0 +1,131 @@
+/**
+ * Unit tests for the injectable logger and debug mode
+ */
+
+jest.mock('./lib/http', () => require('./test/helpers').httpMock());
+
+const { makeHttpRequest } = require('./lib/http');
+const { successResponse, textResponse } = require('./test/helpers');
+const { LaikaTest, ValidationError } = require('./index');
+const { createLogger } = require('./lib/logger');
+
+function evaluateResponse() {
+  const data = {
+    experimentId: 'exp-1',
+    bucketId: 'bucket-1',
+    prompt: { promptId: 'p1', promptVersionId: 'v1', type: 'text', content: JSON.stringify([{ content: 'Hello' }]) }
+  };
+  return successResponse(data);
+}
+
+// Logger recording every call as { level, fields, message }
+function recordingLogger() {
+  const calls = [];
+  const logger = {};
+  ['debug', 'info', 'warn', 'error'].forEach(level => {
+    logger[level] = (fields, message) => calls.push({ level, fields, message });
+  });
+  return { logger, calls };
+}
+
+describe('createLogger', () => {
+  test('drops calls below the level and redacts secrets', () => {
+    const { logger, calls } = recordingLogger();
+    const log = createLogger({ logger, logLevel: 'warn' }, ['secret-key']);
+
+    log.info({}, 'ignored');
+    log.warn({ url: 'https://api?key=secret-key', headers: { Authorization: 'Bearer x' } }, 'used secret-key');
+
+    expect(calls).toEqual([{
+      level: 'warn',
+      fields: { url: 'https://api?key=[REDACTED]', headers: { Authorization: '[REDACTED]' } },
+      message: 'used [REDACTED]'
+    }]);
+    expect(log.isLevelEnabled('debug')).toBe(false);
+  });
+
+  test('is silent by default, writes to the console when asked, and never throws from a broken logger', () => {
+    const spy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    createLogger().warn({}, 'quiet');
+    createLogger({ logLevel: 'warn' }).warn({}, 'careful');
+    expect(spy.mock.calls).toEqual([['[LaikaTest] careful']]);
+    spy.mockRestore();
+
+    const debugSpy = jest.spyOn(console, 'debug').mockImplementation(() => {});
+    createLogger({ debug: true }).debug({ url: 'https://api' }, 'Request started');
+    expect(debugSpy).toHaveBeenCalledWith('[LaikaTest] Request started', { url: 'https://api' });
+    debugSpy.mockRestore();
+
+    const broken = { warn: () => { throw new Error('boom'); } };
+    expect(() => createLogger({ logger: broken }).warn({}, 'x')).not.toThrow();
+  });
+});
+
+describe('Client logging', () => {
+  let client;
+
+  beforeEach(() => {
+    makeHttpRequest.mockReset();
+  });
+
+  afterEach(async () => {
+    if (client) {
+      await client.destroy();
+      client = null;
+    }
+  });
+
+  test('debug mode logs requests and cache decisions without the API key', async () => {
+    const { logger, calls } = recordingLogger();
+    client = new LaikaTest('test-key', { logger, debug: true });
+    makeHttpRequest.mockResolvedValue(textResponse('Hello'));
+
+    await client.getPrompt('greeting');
+    await client.getPrompt('greeting');
+    await client.getPrompt('greeting', { bypassCache: true });
+
+    const messages = calls.map(call => call.message);
+    expect(messages).toEqual([
+      'Cache miss', 'Request started', 'Request finished',
+      'Cache hit',
+      'Cache bypassed', 'Request started', 'Request finished'
+    ]);
+    expect(calls[2].fields).toMatchObject({ method: 'GET', statusCode: 200 });
+    expect(calls[2].fields.url).toContain('/api/v1/prompts/by-name/greeting');
+    expect(JSON.stringify(calls)).not.toContain('test-key');
+  });
+
+  test('debug mode logs experiment assignments', async () => {
+    const { logger, calls } = recordingLogger();
+    client = new LaikaTest('test-key', { logger, debug: true, cacheEnabled: false });
+    makeHttpRequest.mockResolvedValue(evaluateResponse());
+
+    await client.getExperimentPrompt('Welcome test', { userId: 'u1' });
+
+    const assignment = calls.find(call => call.message === 'Experiment assigned');
+    expect(assignment.fields).toEqual({
+      experimentTitle: 'Welcome test',
+      experimentId: 'exp-1',
+      bucketId: 'bucket-1',
+      promptVersionId: 'v1',
+      source: 'remote'
+    });
+  });
+
+  test('logs warnings from a given logger by default', async () => {
+    const { logger, calls } = recordingLogger();
+    client = new LaikaTest('test-key', { logger });
+    makeHttpRequest.mockResolvedValue(textResponse('Hello'));
+    client.on('cache:miss', () => { throw new Error('listener bug'); });
+
+    await client.getPrompt('greeting');
+
+    expect(calls).toEqual([{ level: 'warn', fields: { event: 'cache:miss', error: 'listener bug' }, message: 'Event listener threw' }]);
+  });
+
+  test('validates logger options', () => {
+    expect(() => new LaikaTest('test-key', { logger: {} })).toThrow(ValidationError);
+    expect(() => new LaikaTest('test-key', { logLevel: 'verbose' })).toThrow(ValidationError);
+    expect(() => new LaikaTest('test-key', { debug: 'yes' })).toThrow(ValidationError);
+  });
+});
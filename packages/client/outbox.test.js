@@ -0,0 +1,168 @@
+/**
+ * Unit tests for the durable score outbox
+ */
+
+jest.mock('./lib/http', () => require('./test/helpers').httpMock());
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { makeHttpRequest } = require('./lib/http');
+const { errorResponse, scoreResponse } = require('./test/helpers');
+const { ScoreOutbox } = require('./lib/outbox');
+const { LaikaTest, NetworkError, LaikaServiceError, AuthenticationError } = require('./index');
+
+const scores = [{ name: 'rating', type: 'int', value: 5 }];
+
+function readJournal(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+describe('ScoreOutbox', () => {
+  let dir;
+  let file;
+  let outbox;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'laikatest-outbox-'));
+    file = path.join(dir, 'outbox.jsonl');
+  });
+
+  afterEach(async () => {
+    if (outbox) {
+      await outbox.destroy();
+      outbox = null;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('replays pending scores left by a previous run and compacts the journal', async () => {
+    fs.writeFileSync(file, [
+      JSON.stringify({ type: 'add', payload: { sdkEventId: 'a' } }),
+      JSON.stringify({ type: 'add', payload: { sdkEventId: 'b' } }),
+      JSON.stringify({ type: 'ack', sdkEventId: 'a' }),
+      '{"type":"add","payl'
+    ].join('\n'));
+
+    const send = jest.fn().mockResolvedValue();
+    outbox = new ScoreOutbox(send, { path: file });
+    await outbox.ready;
+
+    expect(send).toHaveBeenCalledWith([{ sdkEventId: 'b' }]);
+    expect(readJournal(file)).toEqual([]);
+  });
+
+  test('keeps scores while the API is unreachable', async () => {
+    const send = jest.fn().mockRejectedValue(new NetworkError('down'));
+    outbox = new ScoreOutbox(send, { path: file });
+    await outbox.ready;
+
+    await outbox.add([{ sdkEventId: 'a', clientVersion: '1.0.0' }]);
+    await outbox.replay();
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(await outbox.getStats()).toEqual({ pending: 1 });
+    expect(readJournal(file)).toEqual([{ type: 'add', payload: { sdkEventId: 'a', clientVersion: '1.0.0' } }]);
+  });
+
+  test('stops tracking scores the API rejects', async () => {
+    const send = jest.fn().mockRejectedValue(new LaikaServiceError('bad', 400, {}));
+    outbox = new ScoreOutbox(send, { path: file });
+    await outbox.ready;
+
+    await outbox.add([{ sdkEventId: 'a' }]);
+    await outbox.replay();
+
+    expect(await outbox.getStats()).toEqual({ pending: 0 });
+  });
+
+  test('keeps scores while the API key is rejected', async () => {
+    const send = jest.fn().mockRejectedValue(new AuthenticationError('Invalid API key'));
+    outbox = new ScoreOutbox(send, { path: file });
+    await outbox.ready;
+
+    await outbox.add([{ sdkEventId: 'a' }]);
+    await outbox.replay();
+
+    expect(await outbox.getStats()).toEqual({ pending: 1 });
+  });
+});
+
+describe('LaikaTest with scoreOutbox', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'laikatest-outbox-'));
+    makeHttpRequest.mockReset();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('journals scores on network failure and delivers them on flush', async () => {
+    const file = path.join(dir, 'outbox.jsonl');
+    makeHttpRequest.mockRejectedValue(new Error('ECONNREFUSED'));
+    const client = new LaikaTest('test-key', { cacheEnabled: false, scoreOutbox: file });
+    await client.scoreOutbox.ready;
+
+    const result = await client.pushScore('exp', 'bucket', 'pv', scores, { userId: 'u1' });
+
+    expect(result).toEqual({ success: false, outboxed: true, sdkEventId: expect.any(String), error: 'Failed to connect to LaikaTest API' });
+    const [record] = readJournal(file);
+    expect(record.payload).toEqual(expect.objectContaining({ sdkEventId: result.sdkEventId, clientVersion: expect.any(String) }));
+
+    makeHttpRequest.mockReset();
+    makeHttpRequest.mockResolvedValue(scoreResponse(201));
+    await client.flush();
+
+    expect(JSON.parse(makeHttpRequest.mock.calls[0][1].body).sdkEventId).toBe(result.sdkEventId);
+    expect(readJournal(file)).toEqual([]);
+    await client.destroy();
+  });
+
+  test('acks only the scores that were delivered or rejected', async () => {
+    const file = path.join(dir, 'outbox.jsonl');
+    fs.writeFileSync(file, ['a', 'b', 'c'].map(sdkEventId => JSON.stringify({ type: 'add', payload: { sdkEventId } }) + '\n').join(''));
+    makeHttpRequest
+      .mockResolvedValueOnce(scoreResponse(201))
+      .mockResolvedValueOnce(errorResponse(400, 'bad score'))
+      .mockRejectedValueOnce(new Error('ECONNRESET'));
+    const client = new LaikaTest('test-key', { cacheEnabled: false, scoreOutbox: file });
+    await client.scoreOutbox.ready;
+
+    const sent = makeHttpRequest.mock.calls.map(call => JSON.parse(call[1].body).sdkEventId);
+    expect(sent).toEqual(['a', 'b', 'c']);
+    expect(readJournal(file)).toEqual([{ type: 'add', payload: { sdkEventId: 'c' } }]);
+
+    makeHttpRequest.mockResolvedValue(scoreResponse(201));
+    await client.flush();
+
+    expect(JSON.parse(makeHttpRequest.mock.calls[3][1].body).sdkEventId).toBe('c');
+    expect(readJournal(file)).toEqual([]);
+    await client.destroy();
+  });
+
+  test('stops delivery and keeps the journal when the API key is rejected', async () => {
+    const file = path.join(dir, 'outbox.jsonl');
+    fs.writeFileSync(file, ['a', 'b', 'c'].map(sdkEventId => JSON.stringify({ type: 'add', payload: { sdkEventId } }) + '\n').join(''));
+    makeHttpRequest.mockResolvedValue(errorResponse(401, 'Invalid API key'));
+    const client = new LaikaTest('test-key', { cacheEnabled: false, scoreOutbox: file });
+    await client.scoreOutbox.ready;
+
+    expect(makeHttpRequest).toHaveBeenCalledTimes(1);
+    expect(await client.scoreOutbox.getStats()).toEqual({ pending: 3 });
+    await client.destroy();
+  });
+
+  test('still throws non-transient errors', async () => {
+    makeHttpRequest.mockResolvedValue(errorResponse(400, 'bad'));
+    const client = new LaikaTest('test-key', { cacheEnabled: false, scoreOutbox: path.join(dir, 'outbox.jsonl') });
+
+    await expect(client.pushScore('exp', 'bucket', 'pv', scores, { userId: 'u1' })).rejects.toBeInstanceOf(LaikaServiceError);
+    await client.destroy();
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit tests for prompt composition with partials
+ */
+
+jest.mock('./lib/http', () => require('./test/helpers').httpMock());
+
+const { makeHttpRequest } = require('./lib/http');
+const { successResponse, errorResponse, textResponse } = require('./test/helpers');
+const { LaikaTest, ValidationError } = require('./index');
+
+// Serve text prompts by name (and optional versionNumber or label) from a map
+function mockPrompts(prompts) {
+  makeHttpRequest.mockImplementation(url => {
+    const { pathname, searchParams } = new URL(url);
+    const name = decodeURIComponent(pathname.split('/by-name/')[1]);
+    const version = searchParams.get('versionNumber') || searchParams.get('label');
+    const content = prompts[version ? `${name}@${version}` : name];
+    if (content === undefined) {
+      return Promise.resolve(errorResponse(404, 'Prompt not found'));
+    }
+    return Promise.resolve(textResponse(content));
+  });
+}
+
+describe('Prompt partials', () => {
+  let client;
+
+  beforeEach(() => {
+    makeHttpRequest.mockReset();
+    client = new LaikaTest('test-key');
+  });
+
+  afterEach(async () => {
+    await client.destroy();
+  });
+
+  test('inlines partials, including pinned versions, and records them', async () => {
+    mockPrompts({
+      agent: '{{> shared/preamble}}\n{{> shared/format@v3}}\nHelp {{name}}.',
+      'shared/preamble': 'Be safe, {{name}}.',
+      'shared/format@3': 'Use {{> shared/bullets}}.',
+      'shared/bullets': 'bullet points'
+    });
+
+    const prompt = await client.getPrompt('agent');
+
+    expect(prompt.compile({ name: 'Ada' }).getContent()).toBe('Be safe, Ada.\nUse bullet points.\nHelp Ada.');
+    expect(prompt.getIncludes()).toEqual([
+      { name: 'shared/preamble', versionId: null },
+      { name: 'shared/format', versionId: '3' },
+      { name: 'shared/bullets', versionId: null }
+    ]);
+  });
+
+  test('resolves partials pinned to a deployment label', async () => {
+    mockPrompts({ agent: '{{> shared/preamble@production}} Help.', 'shared/preamble@production': 'Be safe.' });
+
+    const prompt = await client.getPrompt('agent');
+
+    expect(prompt.getContent()).toBe('Be safe. Help.');
+    expect(prompt.getIncludes()).toEqual([{ name: 'shared/preamble', versionId: null, label: 'production' }]);
+  });
+
+  test('loads each partial through the cache', async () => {
+    mockPrompts({ a: '{{> shared}} {{> shared}}', b: '{{> shared}}', shared: 'S' });
+
+    await client.getPrompt('a');
+    await client.getPrompt('b');
+
+    const urls = makeHttpRequest.mock.calls.map(([url]) => url);
+    expect(urls.filter(url => url.includes('/by-name/shared'))).toHaveLength(1);
+  });
+
+  test('resolves partials in chat messages', async () => {
+    makeHttpRequest.mockImplementation(url => {
+      const data = url.includes('/by-name/chat')
+        ? { type: 'chat', content: JSON.stringify([{ role: 'system', content: '{{> shared}}' }, { role: 'user', content: 'Hi' }]) }
+        : { type: 'text', content: JSON.stringify([{ content: 'Be safe.' }]) };
+      return Promise.resolve(successResponse(data));
+    });
+
+    const prompt = await client.getPrompt('chat');
+
+    expect(prompt.getContent()).toEqual([{ role: 'system', content: 'Be safe.' }, { role: 'user', content: 'Hi' }]);
+  });
+
+  test('detects cycles', async () => {
+    mockPrompts({ a: '{{> b}}', b: '{{> a}}' });
+
+    await expect(client.getPrompt('a')).rejects.toThrow('Partial cycle detected: a -> b -> a');
+  });
+
+  test('enforces the depth limit', async () => {
+    await client.destroy();
+    client = new LaikaTest('test-key', { maxPartialDepth: 2 });
+    mockPrompts({ root: '{{> one}}', one: '{{> two}}', two: '{{> three}}', three: 'deep' });
+
+    await expect(client.getPrompt('root')).rejects.toThrow('Partial depth limit of 2 exceeded: root -> one -> two -> three');
+  });
+
+  test('rejects invalid version and label pins and leaves escaped partials alone', async () => {
+    mockPrompts({ bad: '{{> shared@-latest}}', escaped: '\\{{> shared}}' });
+
+    await expect(client.getPrompt('bad')).rejects.toBeInstanceOf(ValidationError);
+    expect((await client.getPrompt('escaped')).compile({ name: 'Ada' }).getContent()).toBe('{{> shared}}');
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Unit tests for bulk prompt loading and cache warm-up
+ */
+
+jest.mock('./lib/http', () => require('./test/helpers').httpMock());
+
+const { makeHttpRequest } = require('./lib/http');
+const { successResponse, errorResponse, textResponse } = require('./test/helpers');
+const { LaikaTest, ValidationError, LaikaServiceError } = require('./index');
+
+// Serve text prompts by name from a map, 404 for unknown names
+function mockPrompts(prompts) {
+  makeHttpRequest.mockImplementation(url => {
+    const name = decodeURIComponent(new URL(url).pathname.split('/by-name/')[1]);
+    if (prompts[name] === undefined) {
+      return Promise.resolve(errorResponse(404, 'Prompt not found'));
+    }
+    return Promise.resolve(textResponse(prompts[name]));
+  });
+}
+
+describe('Bulk prompt loading', () => {
+  let client;
+
+  beforeEach(() => {
+    makeHttpRequest.mockReset();
+    client = new LaikaTest('test-key');
+  });
+
+  afterEach(async () => {
+    await client.destroy();
+  });
+
+  test('getPrompts returns results in input order without rejecting on failures', async () => {
+    mockPrompts({ a: 'A', c: 'C' });
+
+    const results = await client.getPrompts(['a', { name: 'missing' }, { name: 'c', versionId: 'v2' }, { name: '' }]);
+
+    expect(results.map(r => r.name)).toEqual(['a', 'missing', 'c', '']);
+    expect(results[0].prompt.getContent()).toBe('A');
+    expect(results[1].error).toBeInstanceOf(LaikaServiceError);
+    expect(results[2]).toMatchObject({ versionId: 'v2' });
+    expect(results[2].prompt.getContent()).toBe('C');
+    expect(results[3].error).toBeInstanceOf(ValidationError);
+  });
+
+  test('limits the number of concurrent fetches', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    makeHttpRequest.mockImplementation(async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight--;
+      const data = { type: 'text', content: JSON.stringify([{ content: 'x' }]) };
+      return successResponse(data);
+    });
+
+    const report = await client.prefetch(['a', 'b', 'c', 'd', 'e'], { concurrency: 2 });
+
+    expect(maxInFlight).toBe(2);
+    expect(report.loaded).toHaveLength(5);
+  });
+
+  test('prefetch fills the cache and reports failures', async () => {
+    mockPrompts({ a: 'A', b: 'B' });
+
+    const report = await client.prefetch(['a', 'b', 'nope']);
+    makeHttpRequest.mockClear();
+    await client.getPrompt('a');
+    await client.getPrompt('b');
+
+    expect(report.loaded).toEqual([{ name: 'a', versionId: null }, { name: 'b', versionId: null }]);
+    expect(report.failed).toHaveLength(1);
+    expect(report.failed[0]).toMatchObject({ name: 'nope', versionId: null });
+    expect(report.failed[0].error).toBeInstanceOf(LaikaServiceError);
+    expect(makeHttpRequest).not.toHaveBeenCalled();
+  });
+
+  test('ready() resolves with the startup warm-up report', async () => {
+    await client.destroy();
+    mockPrompts({ greeting: 'Hello' });
+    client = new LaikaTest('test-key', { prefetch: { prompts: ['greeting', { name: 'farewell', label: 'production' }], concurrency: 1 } });
+
+    const report = await client.ready();
+
+    expect(report.loaded).toEqual([{ name: 'greeting', versionId: null }]);
+    expect(report.failed.map(f => f.name)).toEqual(['farewell']);
+  });
+
+  test('validates the prompt list and concurrency', async () => {
+    await expect(client.getPrompts('a')).rejects.toBeInstanceOf(ValidationError);
+    await expect(client.prefetch(['a'], { concurrency: 0 })).rejects.toThrow('concurrency must be a positive integer');
+    expect(() => new LaikaTest('test-key', { prefetch: 'a' })).toThrow('prefetch must be an array');
+    expect(await client.ready()).toEqual({ loaded: [], failed: [] });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Unit tests for PromptCache - TTL, stale-while-revalidate and cache adapters
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PromptCache } = require('./lib/cache');
+const { MemoryCacheAdapter } = require('./lib/cache_adapters');
+const { FileCacheAdapter } = require('./lib/file_cache_adapter');
+
+// Stand-in for a shared store such as Redis
+function createMapAdapter() {
+  const store = new Map();
+  return {
+    store,
+    get: jest.fn(async (key) => (store.has(key) ? JSON.parse(store.get(key)) : null)),
+    set: jest.fn(async (key, value) => { store.set(key, JSON.stringify(value)); }),
+    delete: jest.fn(async (key) => { store.delete(key); }),
+    clear: jest.fn(async () => store.clear())
+  };
+}
+
+describe('PromptCache', () => {
+  let now;
+  let dateSpy;
+
+  beforeEach(() => {
+    now = 1000000;
+    dateSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    dateSpy.mockRestore();
+  });
+
+  test('drops entries once the TTL expires by default', async () => {
+    const cache = new PromptCache(1000);
+    await cache.set('greeting', undefined, 'Hello');
+
+    now += 1001;
+
+    expect(await cache.get('greeting')).toBeNull();
+    cache.destroy();
+  });
+
+  describe('stale-while-revalidate', () => {
+    test('returns expired entries flagged as stale', async () => {
+      const cache = new PromptCache(1000, { staleWhileRevalidate: true, maxStale: 5000 });
+      await cache.set('greeting', '2', 'Hello');
+
+      expect(await cache.getEntry('greeting', '2')).toEqual({ content: 'Hello', stale: false });
+
+      now += 2000;
+
+      expect(await cache.getEntry('greeting', '2')).toEqual({ content: 'Hello', stale: true });
+      cache.destroy();
+    });
+
+    test('drops entries older than ttl + maxStale', async () => {
+      const cache = new PromptCache(1000, { staleWhileRevalidate: true, maxStale: 5000 });
+      await cache.set('greeting', undefined, 'Hello');
+
+      now += 6001;
+
+      expect(await cache.getEntry('greeting')).toBeNull();
+      cache.destroy();
+    });
+
+    test('runs a single refresh per key and writes the entry once', async () => {
+      const cache = new PromptCache(1000, { staleWhileRevalidate: true });
+      await cache.set('greeting', undefined, 'Hello');
+      now += 2000;
+
+      const write = jest.spyOn(cache.adapter, 'set');
+      const fetcher = jest.fn(async () => {
+        await cache.set('greeting', undefined, 'Hello again');
+        return 'Hello again';
+      });
+      const first = cache.revalidate('greeting', undefined, fetcher);
+      const second = cache.revalidate('greeting', undefined, fetcher);
+      await Promise.all([first, second]);
+
+      expect(fetcher).toHaveBeenCalledTimes(1);
+      expect(write).toHaveBeenCalledTimes(1);
+      expect(await cache.getEntry('greeting')).toEqual({ content: 'Hello again', stale: false });
+      cache.destroy();
+    });
+
+    test('keeps the stale value when the refresh fails', async () => {
+      const cache = new PromptCache(1000, { staleWhileRevalidate: true });
+      await cache.set('greeting', undefined, 'Hello');
+      now += 2000;
+
+      await cache.revalidate('greeting', undefined, () => Promise.reject(new Error('down')));
+
+      expect(await cache.getEntry('greeting')).toEqual({ content: 'Hello', stale: true });
+      expect(cache.refreshing.size).toBe(0);
+      cache.destroy();
+    });
+  });
+
+  describe('adapters', () => {
+    test('stores entries through a custom adapter with a ttl hint', async () => {
+      const adapter = createMapAdapter();
+      const cache = new PromptCache(1000, { adapter });
+
+      await cache.set('greeting', '3', ['a', 'b']);
+
+      expect(adapter.set).toHaveBeenCalledWith('greeting:3', { content: ['a', 'b'], fetchedAt: now }, 1000);
+      expect(await cache.get('greeting', '3')).toEqual(['a', 'b']);
+    });
+
+    test('enforces the TTL even when the adapter returns old values', async () => {
+      const adapter = createMapAdapter();
+      const cache = new PromptCache(1000, { adapter });
+      await cache.set('greeting', undefined, 'Hello');
+
+      now += 1001;
+
+      expect(await cache.get('greeting')).toBeNull();
+      expect(adapter.store.size).toBe(0);
+    });
+
+    test('treats adapter failures as misses', async () => {
+      const adapter = createMapAdapter();
+      adapter.get.mockRejectedValue(new Error('connection lost'));
+      adapter.set.mockRejectedValue(new Error('connection lost'));
+      const cache = new PromptCache(1000, { adapter });
+
+      await expect(cache.set('greeting', undefined, 'Hello')).resolves.toBeUndefined();
+      await expect(cache.get('greeting')).resolves.toBeNull();
+    });
+
+    test('MemoryCacheAdapter expires values and stops its sweeper on destroy', async () => {
+      const adapter = new MemoryCacheAdapter();
+      await adapter.set('key', { content: 'x', fetchedAt: now }, 500);
+
+      expect(await adapter.get('key')).toEqual({ content: 'x', fetchedAt: now });
+      now += 501;
+      expect(await adapter.get('key')).toBeNull();
+
+      adapter.destroy();
+      expect(adapter.cleanupInterval).toBeNull();
+    });
+
+    test('FileCacheAdapter persists values across instances', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'laikatest-cache-'));
+      try {
+        const first = new FileCacheAdapter({ dir });
+        await first.set('shared/prompt:2', { content: 'Hi', fetchedAt: now }, 1000);
+
+        const second = new FileCacheAdapter({ dir });
+        expect(await second.get('shared/prompt:2')).toEqual({ content: 'Hi', fetchedAt: now });
+
+        await second.delete('shared/prompt:2');
+        expect(await first.get('shared/prompt:2')).toBeNull();
+
+        await first.set('other', { content: 'x', fetchedAt: now }, 1000);
+        fs.writeFileSync(path.join(dir, 'settings.json'), '{}');
+        await first.clear();
+        expect(fs.readdirSync(dir)).toEqual(['settings.json']);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('FileCacheAdapter treats entries that are not objects as misses', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'laikatest-cache-'));
+      try {
+        const adapter = new FileCacheAdapter({ dir });
+        await adapter.set('greeting', { content: 'Hi', fetchedAt: now }, 1000);
+        const [file] = fs.readdirSync(dir);
+
+        for (const raw of ['null', '42', '"text"', '{"value":']) {
+          fs.writeFileSync(path.join(dir, file), raw);
+          expect(await adapter.get('greeting')).toBeNull();
+          expect(fs.readdirSync(dir)).toEqual([]);
+        }
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
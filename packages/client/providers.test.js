@@ -0,0 +1,109 @@
+/**
+ * Unit tests for provider-specific chat prompt conversion
+ */
+
+const { Prompt, ValidationError } = require('./index');
+
+const conversation = [
+  { role: 'system', content: 'You are a support agent.' },
+  { role: 'developer', content: 'Answer briefly.' },
+  {
+    role: 'user',
+    content: [
+      { type: 'text', text: 'What is in this picture?' },
+      { type: 'image_url', image_url: { url: 'https://example.com/cat.png', detail: 'low' } },
+      { type: 'image', data: 'aGVsbG8=', mediaType: 'image/jpeg' }
+    ]
+  },
+  {
+    role: 'assistant',
+    content: null,
+    tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{"id":42}' } }]
+  },
+  { role: 'tool', tool_call_id: 'call_1', content: '{"status":"shipped"}' },
+  { role: 'user', content: 'Thanks' }
+];
+
+describe('Prompt provider conversions', () => {
+  const prompt = new Prompt(conversation);
+
+  test('toOpenAI keeps OpenAI messages and inlines base64 images as data URLs', () => {
+    const messages = prompt.toOpenAI();
+
+    expect(messages[0]).toEqual({ role: 'system', content: 'You are a support agent.' });
+    expect(messages[2].content).toEqual([
+      { type: 'text', text: 'What is in this picture?' },
+      { type: 'image_url', image_url: { url: 'https://example.com/cat.png', detail: 'low' } },
+      { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,aGVsbG8=' } }
+    ]);
+    expect(messages[3]).toEqual({
+      role: 'assistant',
+      content: null,
+      tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{"id":42}' } }]
+    });
+    expect(messages[4]).toEqual({ role: 'tool', content: '{"status":"shipped"}', tool_call_id: 'call_1' });
+  });
+
+  test('toAnthropic hoists system messages and turns tool results into user blocks', () => {
+    const { system, messages } = prompt.toAnthropic();
+
+    expect(system).toBe('You are a support agent.\n\nAnswer briefly.');
+    expect(messages.map(m => m.role)).toEqual(['user', 'assistant', 'user']);
+    expect(messages[0].content).toEqual([
+      { type: 'text', text: 'What is in this picture?' },
+      { type: 'image', source: { type: 'url', url: 'https://example.com/cat.png' } },
+      { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: 'aGVsbG8=' } }
+    ]);
+    expect(messages[1].content).toEqual([{ type: 'tool_use', id: 'call_1', name: 'lookup', input: { id: 42 } }]);
+    // The tool result and the following user message are merged into one turn
+    expect(messages[2].content).toEqual([
+      { type: 'tool_result', tool_use_id: 'call_1', content: '{"status":"shipped"}' },
+      { type: 'text', text: 'Thanks' }
+    ]);
+  });
+
+  test('toGemini maps roles, images and function calls', () => {
+    const { systemInstruction, contents } = prompt.toGemini();
+
+    expect(systemInstruction).toEqual({ parts: [{ text: 'You are a support agent.\n\nAnswer briefly.' }] });
+    expect(contents.map(c => c.role)).toEqual(['user', 'model', 'user']);
+    expect(contents[0].parts).toEqual([
+      { text: 'What is in this picture?' },
+      { fileData: { mimeType: 'image/png', fileUri: 'https://example.com/cat.png' } },
+      { inlineData: { mimeType: 'image/jpeg', data: 'aGVsbG8=' } }
+    ]);
+    expect(contents[1].parts).toEqual([{ functionCall: { name: 'lookup', args: { id: 42 } } }]);
+    expect(contents[2].parts).toEqual([
+      { functionResponse: { name: 'lookup', response: { status: 'shipped' } } },
+      { text: 'Thanks' }
+    ]);
+  });
+
+  test('simple conversations convert to plain strings', () => {
+    const simple = new Prompt([{ role: 'system', content: 'Be nice.' }, { role: 'user', content: 'Hi' }]);
+
+    expect(simple.toOpenAI()).toEqual([{ role: 'system', content: 'Be nice.' }, { role: 'user', content: 'Hi' }]);
+    expect(simple.toAnthropic()).toEqual({ system: 'Be nice.', messages: [{ role: 'user', content: 'Hi' }] });
+    expect(simple.toGemini()).toEqual({ systemInstruction: { parts: [{ text: 'Be nice.' }] }, contents: [{ role: 'user', parts: [{ text: 'Hi' }] }] });
+  });
+
+  describe('unsupported structures', () => {
+    test('text prompts', () => {
+      expect(() => new Prompt('Hello').toOpenAI()).toThrow('only chat prompts');
+    });
+
+    test('unknown roles and part types name the message', () => {
+      expect(() => new Prompt([{ role: 'function', content: 'x' }]).toAnthropic())
+        .toThrow('Cannot convert prompt to Anthropic format: message 0 has unsupported role "function"');
+      expect(() => new Prompt([{ role: 'user', content: [{ type: 'audio', data: 'x' }] }]).toGemini())
+        .toThrow('message 0 has an unsupported content part type "audio"');
+    });
+
+    test('provider-specific rules', () => {
+      expect(() => new Prompt([{ role: 'assistant', content: 'Hi' }]).toAnthropic()).toThrow(ValidationError);
+      expect(() => new Prompt([{ role: 'user', content: [{ type: 'image', url: 'https://example.com/image' }] }]).toGemini())
+        .toThrow('needs a mediaType');
+      expect(() => new Prompt([{ role: 'tool', content: 'done' }]).toOpenAI()).toThrow('without tool_call_id');
+    });
+  });
+});
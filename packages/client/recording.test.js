@@ -0,0 +1,131 @@
+/**
+ * Unit tests for record/replay mode
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { LaikaTest, UnmatchedRequestError, ValidationError } = require('./index');
+
+function startServer() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      server.hits++;
+      const url = new URL(req.url, 'http://127.0.0.1');
+      if (url.pathname === '/api/v3/experiments/evaluate') {
+        const { context } = JSON.parse(body);
+        const data = {
+          experimentId: 'exp-1',
+          bucketId: `bucket-${context.userId}`,
+          prompt: { promptId: 'p1', promptVersionId: 'v1', type: 'text', content: JSON.stringify([{ content: 'Hi' }]) }
+        };
+        res.end(JSON.stringify({ success: true, data }));
+      } else if (url.pathname === '/api/v1/scores') {
+        res.end(JSON.stringify({ success: true, data: {} }));
+      } else {
+        const content = url.searchParams.get('versionNumber') ? 'Hello v2' : 'Hello';
+        res.end(JSON.stringify({ success: true, data: { type: 'text', content: JSON.stringify([{ content }]) } }));
+      }
+    });
+  });
+  server.hits = 0;
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('Recording', () => {
+  let dir;
+  let fixture;
+  let server;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'laika-recording-'));
+    fixture = path.join(dir, 'fixtures', 'api.json');
+    server = await startServer();
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Record a session against the local server, then replay it with the server unused
+  async function session(mode) {
+    const client = new LaikaTest('secret-key', {
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      cacheEnabled: false,
+      recording: { mode, path: fixture }
+    });
+    try {
+      const prompt = await client.getPrompt('greeting');
+      const pinned = await client.getPrompt('greeting', { versionId: '2' });
+      const experiment = await client.getExperimentPrompt('Welcome test', { userId: 'u1', plan: 'pro' });
+      await experiment.pushScore([{ name: 'rating', type: 'int', value: 5 }], { userId: 'u1' });
+      return [prompt.getContent(), pinned.getContent(), experiment.getContent()];
+    } finally {
+      await client.destroy();
+    }
+  }
+
+  test('replays recorded exchanges without the network', async () => {
+    expect(await session('record')).toEqual(['Hello', 'Hello v2', 'Hi']);
+    expect(server.hits).toBe(4);
+
+    expect(await session('replay')).toEqual(['Hello', 'Hello v2', 'Hi']);
+    expect(server.hits).toBe(4);
+  });
+
+  test('scrubs the API key from the fixture', async () => {
+    await session('record');
+
+    const saved = JSON.parse(fs.readFileSync(fixture, 'utf8'));
+    expect(saved.exchanges).toHaveLength(4);
+    expect(saved.exchanges[0].request).toMatchObject({ method: 'GET', path: '/api/v1/prompts/by-name/greeting', body: null });
+    expect(saved.exchanges[0].request.headers.Authorization).toBe('[REDACTED]');
+    expect(JSON.stringify(saved)).not.toContain('secret-key');
+  });
+
+  test('re-recording replaces earlier recordings of the same request', async () => {
+    await session('record');
+    await session('record');
+
+    expect(JSON.parse(fs.readFileSync(fixture, 'utf8')).exchanges).toHaveLength(4);
+  });
+
+  test('fails clearly on requests that were not recorded', async () => {
+    await session('record');
+    const client = new LaikaTest('secret-key', {
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      retry: true,
+      recording: { mode: 'replay', path: fixture }
+    });
+
+    const error = await client.getExperimentPrompt('Welcome test', { userId: 'u2' }).catch(e => e);
+    await client.destroy();
+
+    expect(error).toBeInstanceOf(UnmatchedRequestError);
+    expect(error.message).toContain('POST /api/v3/experiments/evaluate');
+    expect(error.request.body.context.userId).toBe('u2');
+    expect(server.hits).toBe(4);
+  });
+
+  test('passthrough sends requests without a fixture', async () => {
+    const client = new LaikaTest('secret-key', {
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      recording: { mode: 'passthrough' }
+    });
+    await client.getPrompt('greeting');
+    await client.destroy();
+
+    expect(server.hits).toBe(1);
+    expect(fs.existsSync(fixture)).toBe(false);
+  });
+
+  test('validates recording options', () => {
+    expect(() => new LaikaTest('k', { recording: { mode: 'rewind', path: fixture } })).toThrow(ValidationError);
+    expect(() => new LaikaTest('k', { recording: { mode: 'replay' } })).toThrow(ValidationError);
+    expect(() => new LaikaTest('k', { recording: { mode: 'replay', path: fixture } })).toThrow('recording fixture could not be read');
+  });
+});
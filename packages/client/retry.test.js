@@ -0,0 +1,117 @@
+/**
+ * Unit tests for the retry policy and request dispatch
+ */
+
+jest.mock('./lib/http', () => require('./test/helpers').httpMock());
+
+const { makeHttpRequest } = require('./lib/http');
+const { sendRequest } = require('./lib/request');
+const { normalizeRetryPolicy, parseRetryAfter, withRetry } = require('./lib/retry');
+
+const fastPolicy = normalizeRetryPolicy({ initialDelay: 0, maxDelay: 50, jitter: false });
+
+describe('normalizeRetryPolicy', () => {
+  test('is disabled by default', () => {
+    expect(normalizeRetryPolicy(undefined)).toBeNull();
+    expect(normalizeRetryPolicy(false)).toBeNull();
+  });
+
+  test('fills in defaults', () => {
+    expect(normalizeRetryPolicy(true)).toEqual(expect.objectContaining({
+      maxAttempts: 3,
+      retryableStatusCodes: [408, 429, 500, 502, 503, 504]
+    }));
+    expect(normalizeRetryPolicy({ maxAttempts: 5 }).maxAttempts).toBe(5);
+  });
+
+  test('treats a single attempt as disabled', () => {
+    expect(normalizeRetryPolicy({ maxAttempts: 1 })).toBeNull();
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('parses delay seconds', () => {
+    expect(parseRetryAfter('2')).toBe(2000);
+  });
+
+  test('parses HTTP dates', () => {
+    const date = new Date(Date.now() + 60000).toUTCString();
+    expect(parseRetryAfter(date)).toBeGreaterThan(55000);
+  });
+
+  test('ignores missing or invalid values', () => {
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+describe('withRetry', () => {
+  test('retries thrown errors until an attempt succeeds', async () => {
+    const attempt = jest.fn()
+      .mockRejectedValueOnce(new Error('ECONNRESET'))
+      .mockResolvedValueOnce({ statusCode: 200, data: '{}' });
+
+    await expect(withRetry(attempt, fastPolicy)).resolves.toEqual({ statusCode: 200, data: '{}' });
+    expect(attempt).toHaveBeenCalledTimes(2);
+  });
+
+  test('returns the last retryable response after maxAttempts', async () => {
+    const attempt = jest.fn().mockResolvedValue({ statusCode: 502, data: '' });
+
+    await expect(withRetry(attempt, fastPolicy)).resolves.toEqual({ statusCode: 502, data: '' });
+    expect(attempt).toHaveBeenCalledTimes(3);
+  });
+
+  test('rethrows the last error after maxAttempts', async () => {
+    const attempt = jest.fn().mockRejectedValue(new Error('ETIMEDOUT'));
+
+    await expect(withRetry(attempt, fastPolicy)).rejects.toThrow('ETIMEDOUT');
+    expect(attempt).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry non-retryable status codes', async () => {
+    const attempt = jest.fn().mockResolvedValue({ statusCode: 404, data: '' });
+
+    await withRetry(attempt, fastPolicy);
+    expect(attempt).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up when Retry-After exceeds maxDelay', async () => {
+    const attempt = jest.fn().mockResolvedValue({ statusCode: 429, headers: { 'retry-after': '120' }, data: '' });
+
+    await withRetry(attempt, fastPolicy);
+    expect(attempt).toHaveBeenCalledTimes(1);
+  });
+
+  test('waits for Retry-After on 503', async () => {
+    const attempt = jest.fn()
+      .mockResolvedValueOnce({ statusCode: 503, headers: { 'retry-after': '0' }, data: '' })
+      .mockResolvedValueOnce({ statusCode: 200, data: '{}' });
+
+    await withRetry(attempt, fastPolicy);
+    expect(attempt).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('sendRequest', () => {
+  beforeEach(() => {
+    makeHttpRequest.mockReset();
+    makeHttpRequest.mockResolvedValue({ statusCode: 503, data: '' });
+  });
+
+  test('retries GET requests', async () => {
+    await sendRequest('https://api.test/x', { method: 'GET' }, { timeout: 100, retry: fastPolicy, transport: makeHttpRequest });
+    expect(makeHttpRequest).toHaveBeenCalledTimes(3);
+  });
+
+  test('retries idempotent POSTs without passing the flag to the transport', async () => {
+    await sendRequest('https://api.test/x', { method: 'POST', idempotent: true }, { timeout: 100, retry: fastPolicy, transport: makeHttpRequest });
+    expect(makeHttpRequest).toHaveBeenCalledTimes(3);
+    expect(makeHttpRequest).toHaveBeenCalledWith('https://api.test/x', { method: 'POST' }, 100);
+  });
+
+  test('never retries other POSTs', async () => {
+    await sendRequest('https://api.test/x', { method: 'POST' }, { timeout: 100, retry: fastPolicy, transport: makeHttpRequest });
+    expect(makeHttpRequest).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Unit tests for buffered score submission
+ */
+
+jest.mock('./lib/http', () => require('./test/helpers').httpMock());
+
+const { makeHttpRequest } = require('./lib/http');
+const { errorResponse, scoreResponse } = require('./test/helpers');
+const { ScoreQueue } = require('./lib/score_queue');
+const { LaikaTest, NetworkError, LaikaServiceError } = require('./index');
+
+const scores = [{ name: 'rating', type: 'int', value: 5 }];
+
+describe('ScoreQueue', () => {
+  let queue;
+
+  afterEach(async () => {
+    if (queue) {
+      await queue.destroy().catch(() => {});
+      queue = null;
+    }
+  });
+
+  test('flushes a full batch immediately', async () => {
+    const send = jest.fn().mockResolvedValue();
+    queue = new ScoreQueue(send, { batchSize: 2 });
+
+    queue.enqueue({ sdkEventId: 'a' });
+    expect(send).not.toHaveBeenCalled();
+    queue.enqueue({ sdkEventId: 'b' });
+    await queue.flush();
+
+    expect(send).toHaveBeenCalledWith([{ sdkEventId: 'a' }, { sdkEventId: 'b' }]);
+  });
+
+  test('splits a flush into batches', async () => {
+    const send = jest.fn().mockResolvedValue();
+    queue = new ScoreQueue(send, { batchSize: 2, maxQueueSize: 10 });
+    queue.queue.push({ sdkEventId: 'a' }, { sdkEventId: 'b' }, { sdkEventId: 'c' });
+
+    await queue.flush();
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(queue.getStats()).toEqual(expect.objectContaining({ pending: 0, sent: 3 }));
+  });
+
+  test('drops the oldest score when full by default', () => {
+    queue = new ScoreQueue(jest.fn(), { maxQueueSize: 2, batchSize: 10 });
+
+    queue.enqueue({ sdkEventId: 'a' });
+    queue.enqueue({ sdkEventId: 'b' });
+    expect(queue.enqueue({ sdkEventId: 'c' })).toBe(true);
+
+    expect(queue.queue.map(p => p.sdkEventId)).toEqual(['b', 'c']);
+    expect(queue.getStats().dropped).toBe(1);
+  });
+
+  test('rejects the newest score when dropPolicy is newest', () => {
+    queue = new ScoreQueue(jest.fn(), { maxQueueSize: 1, batchSize: 10, dropPolicy: 'newest' });
+
+    queue.enqueue({ sdkEventId: 'a' });
+    expect(queue.enqueue({ sdkEventId: 'b' })).toBe(false);
+    expect(queue.queue.map(p => p.sdkEventId)).toEqual(['a']);
+  });
+
+  test('requeues batches that fail with a transient error', async () => {
+    const send = jest.fn().mockRejectedValueOnce(new NetworkError('down')).mockResolvedValue();
+    queue = new ScoreQueue(send, { batchSize: 10 });
+    queue.enqueue({ sdkEventId: 'a' });
+
+    await queue.flush();
+    expect(queue.queue).toEqual([{ sdkEventId: 'a' }]);
+
+    await queue.flush();
+    expect(queue.queue).toEqual([]);
+    expect(send).toHaveBeenLastCalledWith([{ sdkEventId: 'a' }]);
+  });
+
+  test('discards batches rejected with a client error', async () => {
+    const send = jest.fn().mockRejectedValue(new LaikaServiceError('bad', 400, {}));
+    queue = new ScoreQueue(send, { batchSize: 10 });
+    queue.enqueue({ sdkEventId: 'a' });
+
+    await queue.flush();
+
+    expect(queue.queue).toEqual([]);
+    expect(queue.getStats().dropped).toBe(1);
+  });
+
+  test('keeps draining past rejected scores and stops while the API is down', async () => {
+    const rejected = new LaikaServiceError('bad', 400, {});
+    const down = new NetworkError('down');
+    const send = jest.fn()
+      .mockResolvedValueOnce([null, rejected])
+      .mockResolvedValueOnce([null, down]);
+    queue = new ScoreQueue(send, { batchSize: 2, maxQueueSize: 10 });
+    queue.queue.push({ sdkEventId: 'a' }, { sdkEventId: 'b' }, { sdkEventId: 'c' }, { sdkEventId: 'd' }, { sdkEventId: 'e' });
+
+    await queue.flush();
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(queue.queue.map(p => p.sdkEventId)).toEqual(['d', 'e']);
+    expect(queue.getStats()).toEqual(expect.objectContaining({ sent: 2, failed: 2, dropped: 1 }));
+  });
+});
+
+describe('LaikaTest with scoreBuffer', () => {
+  beforeEach(() => {
+    makeHttpRequest.mockReset();
+    makeHttpRequest.mockResolvedValue(scoreResponse());
+  });
+
+  test('queues scores and sends them to the scores endpoint on destroy', async () => {
+    const client = new LaikaTest('test-key', { cacheEnabled: false, scoreBuffer: true });
+
+    const first = await client.pushScore('exp', 'bucket', 'pv', scores, { userId: 'u1' });
+    const second = await client.pushScore('exp', 'bucket', 'pv', scores, { sessionId: 's1' });
+
+    expect(first).toEqual({ success: true, queued: true, sdkEventId: expect.any(String) });
+    expect(makeHttpRequest).not.toHaveBeenCalled();
+
+    await client.destroy();
+
+    expect(makeHttpRequest).toHaveBeenCalledTimes(2);
+    makeHttpRequest.mock.calls.forEach(([url]) => expect(url).toBe('https://api.laikatest.com/api/v1/scores'));
+    const sent = makeHttpRequest.mock.calls.map(([, options]) => JSON.parse(options.body).sdkEventId);
+    expect(sent).toEqual([first.sdkEventId, second.sdkEventId]);
+  });
+
+  test('reports scores the API rejects instead of dropping them silently', async () => {
+    makeHttpRequest
+      .mockResolvedValueOnce(errorResponse(400, 'bad score'))
+      .mockResolvedValue(scoreResponse());
+    const client = new LaikaTest('test-key', { cacheEnabled: false, scoreBuffer: true, logger: { debug() {}, info() {}, warn() {}, error() {} } });
+    const errors = [];
+    client.on('error', (error, context) => errors.push([error.statusCode, context.operation]));
+
+    await client.pushScore('exp', 'bucket', 'pv', scores, { userId: 'u1' });
+    await client.pushScore('exp', 'bucket', 'pv', scores, { userId: 'u2' });
+    await client.flush();
+
+    expect(makeHttpRequest).toHaveBeenCalledTimes(2);
+    expect(errors).toEqual([[400, 'scoreDelivery']]);
+    expect(client.getStats().scores).toEqual({ sent: 1, failed: 1 });
+    await client.destroy();
+  });
+
+  test('destroy releases timers before returning, for callers that do not await', async () => {
+    const client = new LaikaTest('test-key', { scoreBuffer: true });
+    await client.pushScore('exp', 'bucket', 'pv', scores, { userId: 'u1' });
+
+    const pending = client.destroy();
+
+    expect(client.scoreQueue.flushTimer).toBeNull();
+    expect(client.cache.adapter.cleanupInterval || null).toBeNull();
+    await pending;
+    expect(makeHttpRequest).toHaveBeenCalledTimes(1);
+  });
+});
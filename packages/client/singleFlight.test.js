@@ -0,0 +1,117 @@
+/**
+ * Unit tests for single-flight deduplication of prompt fetches
+ */
+
+jest.mock('./lib/http', () => require('./test/helpers').httpMock());
+
+const { makeHttpRequest } = require('./lib/http');
+const { textResponse } = require('./test/helpers');
+const { LaikaTest, NetworkError } = require('./index');
+const { SingleFlight } = require('./lib/single_flight');
+
+// Resolve or reject a mocked request from the test
+function deferredRequest() {
+  const deferred = {};
+  makeHttpRequest.mockImplementationOnce(() => new Promise((resolve, reject) => {
+    deferred.resolve = resolve;
+    deferred.reject = reject;
+  }));
+  return deferred;
+}
+
+// Let the client reach the HTTP call
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('SingleFlight', () => {
+  test('shares one call per key until it settles', async () => {
+    const flight = new SingleFlight();
+    const fn = jest.fn().mockResolvedValue('x');
+
+    const results = await Promise.all([flight.do('a', fn), flight.do('a', fn), flight.do('b', fn)]);
+    await flight.do('a', fn);
+
+    expect(results).toEqual(['x', 'x', 'x']);
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(flight.getStats()).toEqual({ started: 3, coalesced: 1, inFlight: 0 });
+  });
+});
+
+describe('Prompt fetch deduplication', () => {
+  let client;
+
+  beforeEach(() => {
+    makeHttpRequest.mockReset();
+    client = new LaikaTest('test-key');
+  });
+
+  afterEach(async () => {
+    await client.destroy();
+  });
+
+  test('coalesces concurrent cache misses for the same prompt', async () => {
+    const request = deferredRequest();
+
+    const pending = [client.getPrompt('greeting'), client.getPrompt('greeting'), client.getPrompt('greeting', { bypassCache: true })];
+    await settle();
+    request.resolve(textResponse('Hello'));
+    const prompts = await Promise.all(pending);
+
+    expect(makeHttpRequest).toHaveBeenCalledTimes(1);
+    expect(prompts.map(p => p.getContent())).toEqual(['Hello', 'Hello', 'Hello']);
+    expect(client.getStats()).toMatchObject({ promptFetches: 1, coalescedFetches: 2, inFlightFetches: 0 });
+  });
+
+  test('keeps different versions and labels apart', async () => {
+    makeHttpRequest.mockResolvedValue(textResponse('Hello'));
+
+    await Promise.all([
+      client.getPrompt('greeting'),
+      client.getPrompt('greeting', { versionId: '2' }),
+      client.getPrompt('greeting', { label: 'production' })
+    ]);
+
+    expect(makeHttpRequest).toHaveBeenCalledTimes(3);
+    expect(client.getStats().coalescedFetches).toBe(0);
+  });
+
+  test('shares failures without caching them', async () => {
+    const request = deferredRequest();
+
+    const pending = [client.getPrompt('greeting'), client.getPrompt('greeting')];
+    await settle();
+    request.reject(new Error('ECONNRESET'));
+    const outcomes = await Promise.allSettled(pending);
+
+    expect(outcomes.map(o => o.reason)).toEqual([expect.any(NetworkError), expect.any(NetworkError)]);
+
+    makeHttpRequest.mockResolvedValueOnce(textResponse('Recovered'));
+    expect((await client.getPrompt('greeting')).getContent()).toBe('Recovered');
+    expect(makeHttpRequest).toHaveBeenCalledTimes(2);
+  });
+
+  test('background revalidation joins an in-flight fetch', async () => {
+    await client.destroy();
+    let now = 1000000;
+    const dateSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+    client = new LaikaTest('test-key', { cacheTTL: 1000, staleWhileRevalidate: true });
+
+    try {
+      makeHttpRequest.mockResolvedValueOnce(textResponse('v1'));
+      await client.getPrompt('greeting');
+      now += 2000;
+
+      const request = deferredRequest();
+      const fresh = client.getPrompt('greeting', { bypassCache: true });
+      await settle();
+      const stale = await client.getPrompt('greeting');
+      request.resolve(textResponse('v2'));
+
+      expect(stale.getContent()).toBe('v1');
+      expect((await fresh).getContent()).toBe('v2');
+      expect(makeHttpRequest).toHaveBeenCalledTimes(2);
+      expect(client.getStats().coalescedFetches).toBe(1);
+    } finally {
+      dateSpy.mockRestore();
+    }
+  });
+});
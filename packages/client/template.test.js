@@ -0,0 +1,166 @@
+/**
+ * Unit tests for the Prompt.compile template language
+ */
+
+const { Prompt, ValidationError } = require('./index');
+
+function render(content, variables) {
+  return new Prompt(content).compile(variables).getContent();
+}
+
+describe('Prompt.compile templates', () => {
+  describe('plain variables', () => {
+    test('substitutes and leaves missing variables in place', () => {
+      expect(render('Hi {{ name }}, {{missing}}', { name: 'Ada' })).toBe('Hi Ada, {{missing}}');
+    });
+
+    test('keeps keys that are not identifiers working', () => {
+      expect(render('{{first name}} {{user-id}} {{a.b}}', { 'first name': 'Ada', 'user-id': 7, 'a.b': 'dot' })).toBe('Ada 7 dot');
+    });
+
+    test('does not read inherited properties', () => {
+      expect(render('{{toString}}', { name: 'Ada' })).toBe('{{toString}}');
+    });
+  });
+
+  test('resolves dotted paths', () => {
+    expect(render('{{user.name}} {{user.address.city}} {{user.none}}', { user: { name: 'Ada', address: { city: 'London' } } }))
+      .toBe('Ada London {{user.none}}');
+  });
+
+  describe('filters', () => {
+    test('default applies to missing, null and empty values', () => {
+      expect(render('{{a | default: "x"}} {{b | default: "y"}} {{c | default: \'z\'}} {{d | default: "w"}}', { b: null, c: '', d: 0 }))
+        .toBe('x y z 0');
+    });
+
+    test('upper, lower, json and truncate', () => {
+      expect(render('{{a | upper}} {{b | lower}} {{c | json}} {{d | truncate: 3}} {{e | truncate: 3, "…"}}', {
+        a: 'hi', b: 'HO', c: { k: [1] }, d: 'abcdef', e: 'abcdef'
+      })).toBe('HI ho {"k":[1]} abc... abc…');
+    });
+
+    test('chains filters left to right', () => {
+      expect(render('{{name | default: "anon" | upper}}', { name: null })).toBe('ANON');
+    });
+
+    test('rejects unknown filters in strict mode', () => {
+      expect(() => new Prompt('{{name | shout}}').compile({ name: 'x' }, { strict: true })).toThrow('Unknown template filter "shout"');
+    });
+  });
+
+  describe('blocks', () => {
+    test('if / else', () => {
+      const template = '{{#if user.isPro}}pro{{else}}free{{/if}}';
+      expect(render(template, { user: { isPro: true } })).toBe('pro');
+      expect(render(template, { user: {} })).toBe('free');
+      expect(render('{{#if items}}some{{else}}none{{/if}}', { items: [] })).toBe('none');
+    });
+
+    test('each exposes item fields, this and loop variables', () => {
+      const template = '{{#each docs}}{{@index}}:{{title}}:{{lang}}{{#if @last}}.{{else}}, {{/if}}{{/each}}';
+      expect(render(template, { lang: 'en', docs: [{ title: 'a' }, { title: 'b' }] })).toBe('0:a:en, 1:b:en.');
+      expect(render('{{#each tags}}[{{this}}]{{/each}}', { tags: ['x', 'y'] })).toBe('[x][y]');
+      expect(render('{{#each docs}}x{{else}}empty{{/each}}', { docs: [] })).toBe('empty');
+    });
+
+    test('removes block tags standing alone on their line', () => {
+      const template = 'Docs:\n{{#each docs}}\n- {{title}}\n{{/each}}\nEnd';
+      expect(render(template, { docs: [{ title: 'a' }, { title: 'b' }] })).toBe('Docs:\n- a\n- b\nEnd');
+    });
+
+    test('reports unbalanced blocks in strict mode', () => {
+      const strict = (content, variables) => new Prompt(content).compile(variables, { strict: true });
+      expect(() => strict('{{#if a}}open', { a: 1 })).toThrow('Unclosed');
+      expect(() => strict('{{#if a}}x{{/each}}', { a: 1 })).toThrow(ValidationError);
+      expect(() => strict('x{{/if}}', {})).toThrow('Unexpected {{/if}}');
+      expect(() => strict('x{{else}}', {})).toThrow('Unexpected {{else}}');
+    });
+  });
+
+  test('renders escaped braces literally', () => {
+    expect(render('\\{{name}} is {{name}}', { name: 'Ada' })).toBe('{{name}} is Ada');
+  });
+
+  test('renders every string of chat and object content', () => {
+    const chat = [{ role: 'system', content: '{{#if strict}}Be strict.{{/if}}' }, { role: 'user', content: 'Hi {{user.name}}' }];
+    expect(render(chat, { strict: true, user: { name: 'Ada' } })).toEqual([
+      { role: 'system', content: 'Be strict.' },
+      { role: 'user', content: 'Hi Ada' }
+    ]);
+    expect(render({ text: '{{name | upper}}', count: 2 }, { name: 'ada' })).toEqual({ text: 'ADA', count: 2 });
+  });
+
+  describe('strict mode', () => {
+    const prompt = new Prompt([
+      { role: 'system', content: 'Plan: {{plan | default: "free"}}{{#if vip}} VIP{{/if}}' },
+      { role: 'user', content: 'Hi {{customer_name}}, see {{#each docs}}{{title}} {{/each}}' }
+    ]);
+
+    test('compiles when every variable is provided and used', () => {
+      expect(prompt.compile({ customer_name: 'Ada', plan: 'pro', vip: false, docs: [] }, { strict: true }).getContent()[1].content)
+        .toBe('Hi Ada, see ');
+    });
+
+    test('names missing and unexpected variables', () => {
+      let error;
+      try {
+        prompt.compile({ plan: 'pro', vip: true, docs: [], customer: 'Ada' }, { strict: true });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toBe('Prompt compile failed: missing variables: customer_name; unexpected variables: customer');
+      expect(error.missingVariables).toEqual(['customer_name']);
+      expect(error.unexpectedVariables).toEqual(['customer']);
+    });
+
+    test('reports item fields missing inside loops', () => {
+      expect(() => prompt.compile({ customer_name: 'Ada', plan: 'pro', vip: true, docs: [{ name: 'x' }] }, { strict: true }))
+        .toThrow('missing variables: title');
+    });
+
+    test('leaves non-strict behaviour unchanged', () => {
+      expect(prompt.compile({ plan: 'pro' }).getContent()[1].content).toBe('Hi {{customer_name}}, see ');
+    });
+  });
+
+  describe('plain {{var}} templates keep their previous behaviour', () => {
+    test('tags with unknown filters are left in place or matched as written', () => {
+      expect(render('Price: {{a | b}}', { a: 1 })).toBe('Price: {{a | b}}');
+      expect(render('Price: {{a | b}}', { 'a | b': 5 })).toBe('Price: 5');
+      expect(render('{{x | truncate: nope}}', { x: 'abc' })).toBe('{{x | truncate: nope}}');
+    });
+
+    test('unbalanced block tags are literal text', () => {
+      expect(render('Literal {{/if}} text', { name: 'Ada' })).toBe('Literal {{/if}} text');
+      expect(render('Handlebars {{else}} docs', { name: 'Ada' })).toBe('Handlebars {{else}} docs');
+      expect(render('{{#if a}}open {{name}}', { name: 'Ada' })).toBe('{{#if a}}open Ada');
+      expect(render('{{#if a}}x{{else}}y', { name: 'Ada' })).toBe('{{#if a}}x{{else}}y');
+      expect(render('{{#if a}}x{{/each}}', { a: 1 })).toBe('{{#if a}}x{{/each}}');
+    });
+
+    test('compile without variables still renders defaults, conditionals and escapes', () => {
+      const prompt = new Prompt('Hello {{name | default: "there"}}{{#if vip}} VIP{{else}}!{{/if}} \\{{raw}} {{x}}');
+      expect(prompt.compile().getContent()).toBe('Hello there! {{raw}} {{x}}');
+      expect(prompt.compile({}).getContent()).toBe('Hello there! {{raw}} {{x}}');
+      expect(prompt.compile({ other: 1 }).getContent()).toBe('Hello there! {{raw}} {{x}}');
+      expect(new Prompt('No tags here').compile().getContent()).toBe('No tags here');
+    });
+  });
+
+  test('loop item fields take precedence over top-level variables of the same name', () => {
+    const variables = { title: 'Page', docs: [{ title: 'A' }, { title: 'B' }, {}] };
+    expect(render('{{title}}: {{#each docs}}[{{title}}]{{/each}}', variables)).toBe('Page: [A][B][Page]');
+  });
+
+  test('getVariables lists top-level variables across messages', () => {
+    const prompt = new Prompt([
+      { role: 'system', content: '{{#if vip}}VIP {{/if}}{{user.name | upper}} \\{{ignored}}' },
+      { role: 'user', content: '{{#each docs}}{{title}} {{@index}}{{/each}} {{user.id}} {{first name}}' }
+    ]);
+
+    expect(prompt.getVariables()).toEqual(['vip', 'user', 'docs', 'first name']);
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Shared helpers for the client test suites
+ */
+
+// Module factory replacing lib/http with a mocked makeHttpRequest. jest.mock
+// factories are hoisted above imports, so suites require it inside the factory:
+//   jest.mock('./lib/http', () => require('./test/helpers').httpMock());
+function httpMock() {
+  return {
+    makeHttpRequest: jest.fn()
+  };
+}
+
+// makeHttpRequest result with a JSON (or raw string) body
+function apiResponse(statusCode, body) {
+  return { statusCode, data: typeof body === 'string' ? body : JSON.stringify(body) };
+}
+
+function successResponse(data, statusCode = 200) {
+  return apiResponse(statusCode, { success: true, data });
+}
+
+function errorResponse(statusCode, error) {
+  return apiResponse(statusCode, { success: false, error });
+}
+
+// Prompt API response for a text prompt
+function textResponse(content) {
+  return successResponse({ type: 'text', content: JSON.stringify([{ content }]) });
+}
+
+// Score API response
+function scoreResponse(statusCode = 200) {
+  return successResponse({}, statusCode);
+}
+
+module.exports = {
+  httpMock,
+  apiResponse,
+  successResponse,
+  errorResponse,
+  textResponse,
+  scoreResponse
+};
@@ -0,0 +1,91 @@
+// Type definitions for @laikatest/js-client/testing
+// Project: LaikaTest SDK
+// Definitions by: LaikaTest Team
+
+import { LaikaTest, PromptContent, ScoreInput, Logger, LogLevel } from './index';
+
+/**
+ * A variant's prompt content, or the content with the ids reported to pushScore
+ */
+export type FakeVariant =
+  | PromptContent
+  | { content: PromptContent; bucketId?: string; promptVersionId?: string; promptId?: string };
+
+/**
+ * Seeded experiment
+ */
+export interface FakeExperiment {
+  /** Prompt served for each variant, keyed by variant name */
+  variants: Record<string, FakeVariant>;
+
+  /**
+   * Variant every call is assigned
+   * @default the first variant
+   */
+  variant?: string;
+
+  /**
+   * @default the experiment title
+   */
+  experimentId?: string;
+}
+
+export interface FakeLaikaTestOptions {
+  /** Prompt content keyed by "name", "name:version" or "name@label" */
+  prompts?: Record<string, PromptContent>;
+
+  /** Experiments keyed by title */
+  experiments?: Record<string, FakeExperiment>;
+
+  /** Errors thrown for a prompt key, an experiment title or 'pushScore' */
+  failures?: Record<string, Error>;
+
+  logger?: Logger;
+  logLevel?: LogLevel;
+  debug?: boolean;
+}
+
+/**
+ * Score payload recorded by FakeLaikaTest, as it would be sent to the API
+ */
+export interface RecordedScore {
+  expId: string;
+  bucketId: string;
+  promptVersionId: string;
+  scores: ScoreInput[];
+  source: 'sdk';
+  clientVersion: string;
+  sdkEventId: string;
+  sessionId?: string;
+  userId?: string;
+}
+
+/**
+ * In-memory LaikaTest for unit tests. Returns real Prompt instances from
+ * seeded prompts and experiments, never touches the network and records
+ * every pushScore call.
+ */
+export class FakeLaikaTest extends LaikaTest {
+  constructor(options?: FakeLaikaTestOptions);
+
+  /** Every score pushed through the client or a prompt, oldest first */
+  readonly scores: RecordedScore[];
+
+  /** Serve content for a prompt, optionally for one version or label only */
+  addPrompt(promptName: string, content: PromptContent, options?: { versionId?: string; label?: string }): this;
+
+  /** Seed or replace an experiment */
+  setExperiment(experimentTitle: string, experiment: FakeExperiment): this;
+
+  /** Force the variant later getExperimentPrompt calls are assigned */
+  setVariant(experimentTitle: string, variant: string): this;
+
+  /**
+   * Make calls for a prompt key, experiment title or 'pushScore' reject with error
+   * @param options.times - Only fail this many calls
+   */
+  failWith(target: string, error: Error, options?: { times?: number }): this;
+
+  /** Forget recorded scores and failures */
+  reset(): this;
+}
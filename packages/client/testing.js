@@ -0,0 +1,160 @@
+// testing.js
+// LaikaTest SDK - In-memory fake client for unit tests (@laikatest/js-client/testing)
+
+const { LaikaTest } = require('./index');
+const { generatePromptKey } = require('./lib/cache');
+const { FallbackStore } = require('./lib/fallback');
+const { validateScores, validateSessionOrUserId } = require('./lib/validation');
+const { buildScorePayload } = require('./lib/score_utils');
+const { LaikaServiceError, ValidationError } = require('./lib/errors');
+
+// Validate an experiment seed and pick its forced variant (default: the first)
+function normalizeVariants(title, experiment) {
+  if (!experiment || typeof experiment !== 'object' || !experiment.variants || typeof experiment.variants !== 'object') {
+    throw new ValidationError(`Experiment "${title}" must have a variants object`);
+  }
+  const names = Object.keys(experiment.variants);
+  if (names.length === 0) {
+    throw new ValidationError(`Experiment "${title}" must have at least one variant`);
+  }
+  if (experiment.variant !== undefined && !names.includes(experiment.variant)) {
+    throw new ValidationError(`Experiment "${title}" has no variant "${experiment.variant}"`);
+  }
+  return {
+    experimentId: experiment.experimentId || title,
+    variants: experiment.variants,
+    variant: experiment.variant || names[0]
+  };
+}
+
+// A variant is prompt content, or { content, bucketId?, promptVersionId?, promptId? }
+function describeVariant(experiment, name) {
+  const variant = experiment.variants[name];
+  const detailed = variant && typeof variant === 'object' && !Array.isArray(variant) && 'content' in variant;
+  const details = detailed ? variant : { content: variant };
+  return {
+    content: details.content,
+    bucketId: details.bucketId || name,
+    promptVersionId: details.promptVersionId || `${experiment.experimentId}:${name}`,
+    promptId: details.promptId || null
+  };
+}
+
+// Drop-in LaikaTest that never touches the network. Prompts, experiments and
+// failures are seeded up front (or with addPrompt/setExperiment/failWith);
+// getPrompt and getExperimentPrompt return real Prompt instances, and every
+// score pushed through the client or a prompt is recorded in `scores`.
+class FakeLaikaTest extends LaikaTest {
+  constructor(options = {}) {
+    super('laika-fake-api-key', {
+      cacheEnabled: false,
+      logger: options.logger,
+      logLevel: options.logLevel,
+      debug: options.debug
+    });
+
+    // Keyed like fallbackPrompts: "name", "name:version" or "name@label"
+    this.prompts = new FallbackStore({ fallbackPrompts: options.prompts || {} });
+    this.experiments = new Map();
+    this.failures = new Map();
+    // Score payloads exactly as they would be sent to the API
+    this.scores = [];
+
+    Object.keys(options.experiments || {}).forEach(title => this.setExperiment(title, options.experiments[title]));
+    Object.keys(options.failures || {}).forEach(target => this.failWith(target, options.failures[target]));
+  }
+
+  // Serve `content` for a prompt, optionally for one version or label only
+  addPrompt(promptName, content, options = {}) {
+    const version = options.label ? { label: options.label } : options.versionId;
+    this.prompts.load({ [generatePromptKey(promptName, version)]: content });
+    return this;
+  }
+
+  // Seed an experiment: { variants: { name: content }, variant?, experimentId? }
+  setExperiment(experimentTitle, experiment) {
+    this.experiments.set(experimentTitle, normalizeVariants(experimentTitle, experiment));
+    return this;
+  }
+
+  // Force the variant every later getExperimentPrompt call is assigned
+  setVariant(experimentTitle, variant) {
+    const experiment = this.experiments.get(experimentTitle);
+    if (!experiment) {
+      throw new ValidationError(`Experiment "${experimentTitle}" is not seeded`);
+    }
+    this.experiments.set(experimentTitle, normalizeVariants(experimentTitle, Object.assign({}, experiment, { variant })));
+    return this;
+  }
+
+  // Make calls for `target` reject with `error`: a prompt key ("name",
+  // "name:version", "name@label"), an experiment title, or 'pushScore'.
+  // With `times`, only that many calls fail.
+  failWith(target, error, options = {}) {
+    if (!(error instanceof Error)) {
+      throw new ValidationError('failWith expects an Error instance');
+    }
+    this.failures.set(target, { error, remaining: options.times !== undefined ? options.times : Infinity });
+    return this;
+  }
+
+  // Forget recorded scores and failures; seeded prompts and experiments stay
+  reset() {
+    this.scores = [];
+    this.failures.clear();
+    return this;
+  }
+
+  _throwIfFailing(target) {
+    const failure = this.failures.get(target);
+    if (!failure) {
+      return;
+    }
+    failure.remaining--;
+    if (failure.remaining <= 0) {
+      this.failures.delete(target);
+    }
+    throw failure.error;
+  }
+
+  async _fetchPrompt(promptName, versionId) {
+    this._throwIfFailing(generatePromptKey(promptName, versionId));
+    if (!this.prompts.has(promptName, versionId)) {
+      throw new LaikaServiceError(`Prompt "${generatePromptKey(promptName, versionId)}" is not seeded`, 404, null);
+    }
+    return this.prompts.get(promptName, versionId);
+  }
+
+  async _evaluateExperiment(experimentTitle) {
+    this._throwIfFailing(experimentTitle);
+    const experiment = this.experiments.get(experimentTitle);
+    if (!experiment) {
+      throw new LaikaServiceError(`Experiment "${experimentTitle}" is not seeded`, 404, null);
+    }
+
+    const variant = describeVariant(experiment, experiment.variant);
+    return this._logAssignment(experimentTitle, {
+      groupName: experiment.variant,
+      promptContent: variant.content,
+      promptType: Array.isArray(variant.content) ? 'chat' : 'text',
+      experimentId: experiment.experimentId,
+      bucketId: variant.bucketId,
+      promptMetadata: { promptId: variant.promptId, promptVersionId: variant.promptVersionId }
+    }, 'fake');
+  }
+
+  async _pushScore(expId, bucketId, promptVersionId, scores, options) {
+    validateScores(scores);
+    validateSessionOrUserId(options);
+    this._throwIfFailing('pushScore');
+
+    const payload = buildScorePayload(expId, bucketId, promptVersionId, scores, options);
+    this.scores.push(payload);
+    this._onScoresSent(1, Date.now(), false);
+    return { success: true, statusCode: 200, data: { sdkEventId: payload.sdkEventId } };
+  }
+}
+
+module.exports = {
+  FakeLaikaTest
+};
@@ -0,0 +1,93 @@
+/**
+ * Unit tests for the FakeLaikaTest testing client
+ */
+
+jest.mock('./lib/http', () => require('./test/helpers').httpMock());
+
+const { makeHttpRequest } = require('./lib/http');
+const { FakeLaikaTest } = require('./testing');
+const { LaikaTest, Prompt, LaikaServiceError, NetworkError, ValidationError, getCurrentExperiment, runWithExperimentContext } = require('./index');
+
+describe('FakeLaikaTest', () => {
+  let client;
+
+  beforeEach(() => {
+    makeHttpRequest.mockReset();
+  });
+
+  afterEach(async () => {
+    await client.destroy();
+  });
+
+  test('serves seeded prompts as real Prompt instances', async () => {
+    client = new FakeLaikaTest({
+      prompts: {
+        'greeting': 'Hello {{name}}! {{> signature}}',
+        'greeting:2': 'Hi {{name}}',
+        'greeting@production': 'Welcome {{name}}',
+        'signature': '- The team'
+      }
+    });
+
+    const prompt = await client.getPrompt('greeting');
+    expect(client).toBeInstanceOf(LaikaTest);
+    expect(prompt).toBeInstanceOf(Prompt);
+    expect(prompt.compile({ name: 'Ada' }).getContent()).toBe('Hello Ada! - The team');
+    expect(prompt.getIncludes()).toEqual([{ name: 'signature', versionId: null }]);
+    expect((await client.getPrompt('greeting', { versionId: 'v2' })).getContent()).toBe('Hi {{name}}');
+    expect((await client.getPrompt('greeting', { label: 'production' })).getLabel()).toBe('production');
+    await expect(client.getPrompt('missing')).rejects.toBeInstanceOf(LaikaServiceError);
+    expect(makeHttpRequest).not.toHaveBeenCalled();
+  });
+
+  test('assigns the forced variant and records pushed scores', async () => {
+    client = new FakeLaikaTest({
+      experiments: {
+        'Welcome test': {
+          experimentId: 'exp-1',
+          variants: { control: 'Hello', treatment: { content: 'Hi {{name}}', promptVersionId: 'pv-2' } },
+          variant: 'treatment'
+        }
+      }
+    });
+
+    await runWithExperimentContext(async () => {
+      const prompt = await client.getExperimentPrompt('Welcome test', { userId: 'u1' });
+      expect(prompt.compile({ name: 'Ada' }).getContent()).toBe('Hi Ada');
+      expect(getCurrentExperiment()).toEqual({ experimentId: 'exp-1', variantId: 'treatment', userId: 'u1' });
+
+      await prompt.pushScore([{ name: 'rating', type: 'int', value: 5 }], { userId: 'u1' });
+    });
+
+    expect(client.scores).toEqual([expect.objectContaining({
+      expId: 'exp-1',
+      bucketId: 'treatment',
+      promptVersionId: 'pv-2',
+      scores: [{ name: 'rating', type: 'int', value: 5 }],
+      userId: 'u1'
+    })]);
+
+    client.setVariant('Welcome test', 'control');
+    expect((await client.getExperimentPrompt('Welcome test', { userId: 'u1' })).getContent()).toBe('Hello');
+  });
+
+  test('rejects with seeded failures and validates scores like the real client', async () => {
+    client = new FakeLaikaTest({ prompts: { greeting: 'Hello' } });
+    client.failWith('greeting', new NetworkError('offline'), { times: 1 });
+    client.failWith('pushScore', new LaikaServiceError('boom', 500));
+
+    await expect(client.getPrompt('greeting')).rejects.toThrow('offline');
+    expect((await client.getPrompt('greeting')).getContent()).toBe('Hello');
+    await expect(client.pushScore('e', 'b', 'p', [{ name: 'x', type: 'int', value: 1 }], { userId: 'u' })).rejects.toThrow('boom');
+    await expect(client.pushScore('e', 'b', 'p', [], { userId: 'u' })).rejects.toBeInstanceOf(ValidationError);
+    expect(client.scores).toEqual([]);
+    expect(client.getStats().scores.failed).toBe(2);
+  });
+
+  test('validates experiment seeds', () => {
+    client = new FakeLaikaTest();
+    expect(() => client.setExperiment('t', { variants: {} })).toThrow(ValidationError);
+    expect(() => client.setExperiment('t', { variants: { a: 'A' }, variant: 'b' })).toThrow(ValidationError);
+    expect(() => client.setVariant('unknown', 'a')).toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,44 @@
+// web.js
+// LaikaTest SDK - Entry point for edge runtimes, Deno and browsers
+//
+// Selected by the "workerd", "edge-light", "deno", "worker" and "browser"
+// export conditions. Uses global fetch and Web Crypto; options that need
+// Node.js (file system, agents, proxy, push invalidation) are rejected.
+
+const { LaikaTest } = require('./lib/client');
+const { Prompt } = require('./lib/prompt');
+const { MemoryCacheAdapter } = require('./lib/cache_adapters');
+const {
+  runWithExperimentContext,
+  getCurrentExperiments,
+  getCurrentExperiment,
+  clearCurrentExperiment
+} = require('./lib/experiment_context');
+const {
+  LaikaServiceError,
+  NetworkError,
+  CircuitOpenError,
+  TimeoutError,
+  AbortError,
+  ValidationError,
+  AuthenticationError,
+  UnmatchedRequestError
+} = require('./lib/errors');
+
+module.exports = {
+  LaikaTest,
+  Prompt,
+  MemoryCacheAdapter,
+  LaikaServiceError,
+  NetworkError,
+  CircuitOpenError,
+  TimeoutError,
+  AbortError,
+  ValidationError,
+  AuthenticationError,
+  UnmatchedRequestError,
+  runWithExperimentContext,
+  getCurrentExperiments,
+  getCurrentExperiment,
+  clearCurrentExperiment
+};
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for the runtime-agnostic (fetch-based) build
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { builtinModules } = require('module');
+const { LaikaTest, NetworkError, TimeoutError, ValidationError, getCurrentExperiments } = require('./web');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+// Local API answering prompt, evaluate and score calls
+function startServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      res.setHeader('Content-Type', 'application/json');
+      if (req.url.startsWith('/api/v1/prompts/by-name/slow')) {
+        setTimeout(() => res.end('{}'), 500);
+        return;
+      }
+      if (req.url.startsWith('/api/v1/prompts/by-name/')) {
+        res.end(JSON.stringify({ success: true, data: { type: 'text', content: JSON.stringify([{ content: 'Hello {{name}}' }]) } }));
+        return;
+      }
+      if (req.url === '/api/v3/experiments/evaluate') {
+        res.end(JSON.stringify({
+          success: true,
+          data: {
+            experimentId: 'exp-1',
+            bucketId: 'bucket-1',
+            prompt: { promptId: 'p1', promptVersionId: 'pv-1', type: 'text', content: JSON.stringify([{ content: 'Variant B' }]) }
+          }
+        }));
+        return;
+      }
+      res.end(JSON.stringify({ success: true, data: { id: 'score-1' } }));
+    });
+  });
+  server.requests = requests;
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// Every module reachable from an entry point through relative requires
+function moduleGraph(entry, seen = new Map()) {
+  if (seen.has(entry)) {
+    return seen;
+  }
+  const source = fs.readFileSync(entry, 'utf8');
+  const specifiers = Array.from(source.matchAll(/require\('([^']+)'\)/g), match => match[1]);
+  seen.set(entry, specifiers);
+  specifiers
+    .filter(specifier => specifier.startsWith('.') && !specifier.endsWith('.json'))
+    .forEach(specifier => moduleGraph(require.resolve(path.resolve(path.dirname(entry), specifier)), seen));
+  return seen;
+}
+
+describe('runtime-agnostic build', () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    server = await startServer();
+    client = new LaikaTest('test-key', { baseUrl: `http://127.0.0.1:${server.address().port}`, cacheEnabled: false });
+  });
+
+  afterEach(async () => {
+    await client.destroy();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('requires no Node.js built-in modules', () => {
+    const graph = moduleGraph(require.resolve('./web'));
+    const builtins = [];
+    graph.forEach((specifiers, file) => specifiers
+      .filter(specifier => specifier.startsWith('node:') || builtinModules.includes(specifier))
+      .forEach(specifier => builtins.push(`${path.relative(__dirname, file)}: ${specifier}`)));
+
+    expect(graph.size).toBeGreaterThan(10);
+    expect(builtins).toEqual([]);
+  });
+
+  test('fetches prompts, evaluates experiments and pushes scores over fetch', async () => {
+    const fetchSpy = jest.spyOn(global, 'fetch');
+
+    const prompt = await client.getPrompt('greeting');
+    expect(prompt.compile({ name: 'Ada' }).getContent()).toBe('Hello Ada');
+
+    const variant = await client.getExperimentPrompt('Checkout copy', { userId: 'user-1' });
+    expect(variant.getContent()).toBe('Variant B');
+    await variant.pushScore([{ name: 'rating', type: 'int', value: 5 }], { userId: 'user-1' });
+
+    expect(fetchSpy).toHaveBeenCalledTimes(3);
+    const [, evaluate, score] = server.requests;
+    expect(evaluate.headers.authorization).toBe('Bearer test-key');
+    expect(evaluate.body).toEqual({ experimentTitle: 'Checkout copy', context: { userId: 'user-1' } });
+    expect(score.body).toEqual(expect.objectContaining({ expId: 'exp-1', bucketId: 'bucket-1', promptVersionId: 'pv-1' }));
+    expect(score.body.sdkEventId).toMatch(UUID_PATTERN);
+    // No AsyncLocalStorage on this runtime: nothing is recorded
+    expect(getCurrentExperiments()).toEqual([]);
+    fetchSpy.mockRestore();
+  });
+
+  test('keeps HTTPS-only enforcement and request timeouts', async () => {
+    const insecure = new LaikaTest('test-key', { baseUrl: 'http://api.example.com' });
+    const error = await insecure.getPrompt('greeting').catch(e => e);
+    await insecure.destroy();
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.originalError.message).toBe('HTTP protocol is not allowed for security reasons. Please use HTTPS.');
+
+    const impatient = new LaikaTest('test-key', { baseUrl: `http://127.0.0.1:${server.address().port}`, timeout: 50 });
+    const timeout = await impatient.getPrompt('slow').catch(e => e);
+    await impatient.destroy();
+    expect(timeout).toBeInstanceOf(TimeoutError);
+    expect(timeout.timeout).toBe(50);
+  });
+
+  test('rejects options that need Node.js', () => {
+    expect(() => new LaikaTest('test-key', { fallbackDir: './snapshots' })).toThrow(ValidationError);
+    expect(() => new LaikaTest('test-key', { proxy: 'http://proxy:3128', lockfile: true }))
+      .toThrow('proxy, lockfile are only supported on Node.js');
+    expect(() => client.createWebhookHandler()).toThrow('createWebhookHandler is only supported on Node.js');
+  });
+});
@@ -30,6 +30,8 @@ export {
   Prompt,
   LaikaServiceError,
   NetworkError,
+  TimeoutError,
+  AbortError,
   ValidationError,
   AuthenticationError,
 } from '@laikatest/js-client';
@@ -42,8 +44,19 @@ export type {
   ScoreSource,
   PushScoreOptions,
   PushScoreResponse,
+  QueuedScoreResponse,
+  PushScoreResult,
   ClientOptions,
   GetPromptOptions,
+  CallOptions,
+  CompileOptions,
+  PromptVariables,
+  ChatMessage,
+  OpenAIMessage,
+  AnthropicRequest,
+  GeminiRequest,
+  Logger,
+  LogLevel,
 } from '@laikatest/js-client';
 
 // AI-native tracing API
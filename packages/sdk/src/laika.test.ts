@@ -198,4 +198,21 @@ describe('LaikaTest.shutdown', () => {
 
     consoleSpy.mockRestore();
   });
+
+  test('passes the logger to tracing and the client and logs shutdown errors with it', async () => {
+    (shutdown as jest.Mock).mockRejectedValueOnce(new Error('Shutdown failed'));
+    const logger = { debug: jest.fn(), error: jest.fn() };
+
+    const instance = LaikaTest.init({
+      apiKey: 'test-key',
+      serviceName: 'test-service',
+      logger,
+      debug: true,
+    });
+    await instance.shutdown();
+
+    expect(initLaikaTest).toHaveBeenCalledWith(expect.objectContaining({ logger, debug: true }));
+    expect(LaikaTestClient).toHaveBeenCalledWith('test-key', expect.objectContaining({ logger, debug: true }));
+    expect(logger.error).toHaveBeenCalledWith({ errors: ['Shutdown failed'] }, 'Errors during shutdown');
+  });
 });
@@ -1,5 +1,5 @@
 import { initLaikaTest, shutdown } from '@laikatest/auto-otel';
-import { LaikaTest as LaikaTestClient, Prompt, GetPromptOptions } from '@laikatest/js-client';
+import { LaikaTest as LaikaTestClient, Prompt, GetPromptOptions, CallOptions, PromptVariables, Logger } from '@laikatest/js-client';
 import { LaikaConfig } from './types';
 
 /**
@@ -9,6 +9,8 @@ import { LaikaConfig } from './types';
 export class LaikaTest {
   private client: LaikaTestClient | null = null;
   private tracingEnabled: boolean = false;
+  private logger: Logger | undefined;
+  private silent: boolean = false;
 
   private constructor() {}
 
@@ -20,6 +22,8 @@ export class LaikaTest {
    */
   static init(config: LaikaConfig): LaikaTest {
     const instance = new LaikaTest();
+    instance.logger = config.logger;
+    instance.silent = config.logLevel === 'silent';
 
     // Derive OTLP endpoint from baseUrl if not explicitly set
     const baseUrl = config.baseUrl || 'https://api.laikatest.com';
@@ -34,6 +38,8 @@ export class LaikaTest {
           endpoint: endpoint,
           captureContent: config.captureContent,
           debug: config.debug,
+          logger: config.logger,
+          logLevel: config.logLevel,
           sessionId: config.sessionId,
           getSessionId: config.getSessionId,
           userId: config.userId,
@@ -50,6 +56,9 @@ export class LaikaTest {
           timeout: config.timeout,
           cacheEnabled: config.cacheEnabled,
           cacheTTL: config.cacheTTL,
+          logger: config.logger,
+          logLevel: config.logLevel,
+          debug: config.debug,
         });
       }
 
@@ -72,12 +81,12 @@ export class LaikaTest {
    * @throws {LaikaServiceError} If API returns an error
    * @throws {NetworkError} If network request fails
    */
-  async getPrompt<C = unknown>(
+  async getPrompt<C = unknown, V extends PromptVariables = PromptVariables>(
     promptName: string,
     options?: GetPromptOptions
-  ): Promise<Prompt<C>> {
+  ): Promise<Prompt<C, V>> {
     this.ensureClient();
-    return this.client!.getPrompt<C>(promptName, options);
+    return this.client!.getPrompt<C, V>(promptName, options);
   }
 
   /**
@@ -88,13 +97,15 @@ export class LaikaTest {
    * @throws {AuthenticationError} If API key is invalid
    * @throws {LaikaServiceError} If API returns an error
    * @throws {NetworkError} If network request fails
+   * @throws {AbortError} If the call is aborted through options.signal
    */
-  async getExperimentPrompt<C = unknown>(
+  async getExperimentPrompt<C = unknown, V extends PromptVariables = PromptVariables>(
     experimentTitle: string,
-    context?: Record<string, unknown>
-  ): Promise<Prompt<C>> {
+    context?: Record<string, unknown>,
+    options?: CallOptions
+  ): Promise<Prompt<C, V>> {
     this.ensureClient();
-    return this.client!.getExperimentPrompt<C>(experimentTitle, context);
+    return this.client!.getExperimentPrompt<C, V>(experimentTitle, context, options);
   }
 
   /** Returns true if tracing is enabled. */
@@ -131,14 +142,19 @@ export class LaikaTest {
 
     if (this.client) {
       try {
-        this.client.destroy();
+        await this.client.destroy();
       } catch (error) {
         errors.push(error as Error);
       }
     }
 
-    if (errors.length > 0) {
-      console.error('[LaikaTest] Errors during shutdown:', errors);
+    if (errors.length > 0 && !this.silent) {
+      const fields = { errors: errors.map(error => error.message) };
+      if (this.logger && typeof this.logger.error === 'function') {
+        this.logger.error(fields, 'Errors during shutdown');
+      } else {
+        console.error('[LaikaTest] Errors during shutdown:', errors);
+      }
     }
   }
 
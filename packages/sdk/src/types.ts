@@ -1,3 +1,5 @@
+import type { Logger, LogLevel } from '@laikatest/js-client';
+
 /**
  * Unified configuration for LaikaTest SDK.
  * Combines tracing (observability) and experimentation (A/B testing) config.
@@ -28,9 +30,22 @@ export interface LaikaConfig {
   /** Capture prompt/response content. Default: false (privacy-first) */
   captureContent?: boolean;
 
-  /** Enable debug logging. Default: false */
+  /**
+   * Enable debug logging for tracing and experiments: request URLs, cache
+   * decisions and experiment assignments. Default: false
+   */
   debug?: boolean;
 
+  /**
+   * Where tracing and client logs go, called pino-style as
+   * logger.warn(fields, message). Default: the console for tracing; the
+   * client only logs with a logger, debug or logLevel
+   */
+  logger?: Logger;
+
+  /** Lowest level that is logged. Default: 'debug' with debug, else 'info' */
+  logLevel?: LogLevel;
+
   // Shared context options
   /** Static session ID for grouping related traces */
   sessionId?: string;